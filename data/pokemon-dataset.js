@@ -0,0 +1,4091 @@
+/**
+ * Local Pokemon Dataset
+ *
+ * A small set of Pokemon with their moves, species and evolution chains, in
+ * the same shape as PokeAPI responses. Used by the local data source (see
+ * js/data-source.js) so the game runs with no network at all.
+ * It is a script rather than a .json file so pages opened straight from disk
+ * can load it with a <script> tag.
+ *
+ * The bundled copy draws simple badge sprites. To rebuild it from the live
+ * PokeAPI with the real sprites, run: node scripts/build-local-dataset.js
+ */
+const LOCAL_POKEMON_DATASET = {
+    "source": "https://pokeapi.co/api/v2",
+    "pokemon": [
+        {
+            "id": 1,
+            "name": "bulbasaur",
+            "base_experience": 64,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "grass"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "poison"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 49,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 49,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "overgrow"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "chlorophyll"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzhjODUwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkI8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzhjODUwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkI8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "bulbasaur",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/1/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "vine-whip"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "razor-leaf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "poison-powder"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sleep-powder"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sludge-bomb"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "solar-beam"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 2,
+            "name": "ivysaur",
+            "base_experience": 142,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "grass"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "poison"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 62,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 63,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "overgrow"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "chlorophyll"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzhjODUwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkk8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzI8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzhjODUwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkk8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzI8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "ivysaur",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/2/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "vine-whip"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "razor-leaf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "poison-powder"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sleep-powder"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sludge-bomb"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "solar-beam"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 3,
+            "name": "venusaur",
+            "base_experience": 263,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "grass"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "poison"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 82,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 83,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "overgrow"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "chlorophyll"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzhjODUwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlY8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzM8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzhjODUwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlY8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzM8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "venusaur",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/3/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "vine-whip"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "razor-leaf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "poison-powder"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sleep-powder"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sludge-bomb"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "solar-beam"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 4,
+            "name": "charmander",
+            "base_experience": 62,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "fire"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 39,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 52,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 43,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "blaze"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "solar-power"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzQ8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzQ8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "charmander",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/4/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "scratch"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ember"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "flamethrower"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 5,
+            "name": "charmeleon",
+            "base_experience": 142,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "fire"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 58,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 64,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 58,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "blaze"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "solar-power"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzU8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzU8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "charmeleon",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/5/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "scratch"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ember"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "flamethrower"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 6,
+            "name": "charizard",
+            "base_experience": 267,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "fire"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "flying"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 78,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 84,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 78,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 109,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 85,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "blaze"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "solar-power"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzY8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjA4MDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzY8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "charizard",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/6/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "scratch"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ember"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "flamethrower"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 7,
+            "name": "squirtle",
+            "base_experience": 63,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "water"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 44,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 48,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 64,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 43,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "torrent"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "rain-dish"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlM8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "squirtle",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/7/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "water-gun"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "surf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ice-beam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hydro-pump"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 8,
+            "name": "wartortle",
+            "base_experience": 142,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "water"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 59,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 63,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 58,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "torrent"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "rain-dish"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izg8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izg8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "wartortle",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/8/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "water-gun"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "surf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ice-beam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hydro-pump"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 9,
+            "name": "blastoise",
+            "base_experience": 265,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "water"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 79,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 83,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 85,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 105,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 78,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "torrent"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "rain-dish"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkI8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izk8L3RleHQ+PC9zdmc+",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkI8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izk8L3RleHQ+PC9zdmc+"
+            },
+            "species": {
+                "name": "blastoise",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/9/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "water-gun"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "surf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ice-beam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hydro-pump"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 16,
+            "name": "pidgey",
+            "base_experience": 50,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "normal"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "flying"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 40,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 40,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 56,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "keen-eye"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "tangled-feet"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "big-pecks"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYThhODc4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE2PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYThhODc4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE2PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "pidgey",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/16/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "gust"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "wing-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 17,
+            "name": "pidgeotto",
+            "base_experience": 122,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "normal"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "flying"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 63,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 71,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "keen-eye"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "tangled-feet"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "big-pecks"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYThhODc4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE3PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYThhODc4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE3PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "pidgeotto",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/17/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "gust"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "wing-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 18,
+            "name": "pidgeot",
+            "base_experience": 216,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "normal"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "flying"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 83,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 75,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 70,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 70,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 101,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "keen-eye"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "tangled-feet"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "big-pecks"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYThhODc4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE4PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYThhODc4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzE4PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "pidgeot",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/18/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "gust"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "wing-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 25,
+            "name": "pikachu",
+            "base_experience": 112,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "electric"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 40,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 90,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "static"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "lightning-rod"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzI1PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlA8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzI1PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "pikachu",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/25/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-shock"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunderbolt"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-wave"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "surf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 26,
+            "name": "raichu",
+            "base_experience": 218,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "electric"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 90,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 90,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 110,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "static"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "lightning-rod"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlI8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzI2PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjhkMDMwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPlI8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzI2PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "raichu",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/26/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "quick-attack"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-shock"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunderbolt"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-wave"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "surf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 63,
+            "name": "abra",
+            "base_experience": 62,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "psychic"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 25,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 20,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 15,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 105,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 90,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "synchronize"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "inner-focus"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "magic-guard"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkE8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzYzPC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkE8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzYzPC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "abra",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/63/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "confusion"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "psychic"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-wave"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "shadow-ball"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 64,
+            "name": "kadabra",
+            "base_experience": 140,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "psychic"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 40,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 30,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 120,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 70,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 105,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "synchronize"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "inner-focus"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "magic-guard"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPks8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzY0PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPks8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzY0PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "kadabra",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/64/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "confusion"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "psychic"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-wave"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "shadow-ball"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 65,
+            "name": "alakazam",
+            "base_experience": 250,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "psychic"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 135,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 95,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 120,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "synchronize"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "inner-focus"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "magic-guard"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkE8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzY1PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZjg1ODg4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkE8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzY1PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "alakazam",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/65/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "confusion"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "psychic"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-wave"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "shadow-ball"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 74,
+            "name": "geodude",
+            "base_experience": 60,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "rock"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "ground"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 40,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 30,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 30,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 20,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "rock-head"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "sturdy"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "sand-veil"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYjhhMDM4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZTBjMDY4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc0PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYjhhMDM4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZTBjMDY4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc0PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "geodude",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/74/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "rock-throw"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "rock-slide"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "earthquake"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 75,
+            "name": "graveler",
+            "base_experience": 137,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "rock"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "ground"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 95,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 115,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "rock-head"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "sturdy"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "sand-veil"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYjhhMDM4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZTBjMDY4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc1PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYjhhMDM4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZTBjMDY4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc1PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "graveler",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/75/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "rock-throw"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "rock-slide"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "earthquake"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 76,
+            "name": "golem",
+            "base_experience": 223,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "rock"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "ground"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 120,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 130,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "rock-head"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "sturdy"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "sand-veil"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYjhhMDM4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZTBjMDY4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc2PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjYjhhMDM4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjZTBjMDY4Ii8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izc2PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "golem",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/76/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "rock-throw"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "rock-slide"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "earthquake"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 92,
+            "name": "gastly",
+            "base_experience": 62,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "ghost"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "poison"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 30,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 30,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 35,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "levitate"
+                    },
+                    "is_hidden": false
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzA1ODk4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzkyPC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzA1ODk4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzkyPC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "gastly",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/92/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "lick"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hypnosis"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "shadow-ball"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "confusion"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sludge-bomb"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunderbolt"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 93,
+            "name": "haunter",
+            "base_experience": 142,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "ghost"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "poison"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 50,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 45,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 115,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 95,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "levitate"
+                    },
+                    "is_hidden": false
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzA1ODk4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkg8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzkzPC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzA1ODk4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkg8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzkzPC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "haunter",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/93/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "lick"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hypnosis"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "shadow-ball"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "confusion"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sludge-bomb"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunderbolt"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 94,
+            "name": "gengar",
+            "base_experience": 250,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "ghost"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "poison"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 65,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 130,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 75,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 110,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "cursed-body"
+                    },
+                    "is_hidden": false
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzA1ODk4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izk0PC90ZXh0Pjwvc3ZnPg==",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNzA1ODk4Ii8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTA0MGEwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+Izk0PC90ZXh0Pjwvc3ZnPg=="
+            },
+            "species": {
+                "name": "gengar",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/94/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "lick"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hypnosis"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "shadow-ball"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "confusion"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "sludge-bomb"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunderbolt"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 129,
+            "name": "magikarp",
+            "base_experience": 40,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "water"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 20,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 10,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 55,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 15,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 20,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 80,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "swift-swim"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "rattled"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPk08L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzEyOTwvdGV4dD48L3N2Zz4=",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPk08L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzEyOTwvdGV4dD48L3N2Zz4="
+            },
+            "species": {
+                "name": "magikarp",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/129/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "splash"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "tackle"
+                    }
+                }
+            ]
+        },
+        {
+            "id": 130,
+            "name": "gyarados",
+            "base_experience": 189,
+            "types": [
+                {
+                    "slot": 1,
+                    "type": {
+                        "name": "water"
+                    }
+                },
+                {
+                    "slot": 2,
+                    "type": {
+                        "name": "flying"
+                    }
+                }
+            ],
+            "stats": [
+                {
+                    "base_stat": 95,
+                    "stat": {
+                        "name": "hp"
+                    }
+                },
+                {
+                    "base_stat": 125,
+                    "stat": {
+                        "name": "attack"
+                    }
+                },
+                {
+                    "base_stat": 79,
+                    "stat": {
+                        "name": "defense"
+                    }
+                },
+                {
+                    "base_stat": 60,
+                    "stat": {
+                        "name": "special-attack"
+                    }
+                },
+                {
+                    "base_stat": 100,
+                    "stat": {
+                        "name": "special-defense"
+                    }
+                },
+                {
+                    "base_stat": 81,
+                    "stat": {
+                        "name": "speed"
+                    }
+                }
+            ],
+            "abilities": [
+                {
+                    "ability": {
+                        "name": "intimidate"
+                    },
+                    "is_hidden": false
+                },
+                {
+                    "ability": {
+                        "name": "moxie"
+                    },
+                    "is_hidden": true
+                }
+            ],
+            "sprites": {
+                "front_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjEiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzEzMDwvdGV4dD48L3N2Zz4=",
+                "back_default": "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCA5NiA5NiI+PGRlZnM+PGxpbmVhckdyYWRpZW50IGlkPSJnIiB4MT0iMCIgeTE9IjAiIHgyPSIxIiB5Mj0iMSI+PHN0b3Agb2Zmc2V0PSIwIiBzdG9wLWNvbG9yPSIjNjg5MGYwIi8+PHN0b3Agb2Zmc2V0PSIxIiBzdG9wLWNvbG9yPSIjYTg5MGYwIi8+PC9saW5lYXJHcmFkaWVudD48L2RlZnM+PGNpcmNsZSBjeD0iNDgiIGN5PSI1MiIgcj0iMzQiIGZpbGw9InVybCgjZykiIG9wYWNpdHk9IjAuNzUiIHN0cm9rZT0iIzFhMWExYSIgc3Ryb2tlLXdpZHRoPSIzIi8+PHRleHQgeD0iNDgiIHk9IjY0IiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIzMiIgZm9udC13ZWlnaHQ9ImJvbGQiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGZpbGw9IiNmZmYiPkc8L3RleHQ+PHRleHQgeD0iNDgiIHk9IjkyIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iI2ZmZiI+IzEzMDwvdGV4dD48L3N2Zz4="
+            },
+            "species": {
+                "name": "gyarados",
+                "url": "https://pokeapi.co/api/v2/pokemon-species/130/"
+            },
+            "moves": [
+                {
+                    "move": {
+                        "name": "bite"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "hydro-pump"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "surf"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "ice-beam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "earthquake"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "body-slam"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "thunder-wave"
+                    }
+                },
+                {
+                    "move": {
+                        "name": "toxic"
+                    }
+                }
+            ]
+        }
+    ],
+    "moves": [
+        {
+            "id": 33,
+            "name": "tackle",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "normal"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 10,
+            "name": "scratch",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "normal"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 98,
+            "name": "quick-attack",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "normal"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 34,
+            "name": "body-slam",
+            "power": 85,
+            "accuracy": 100,
+            "type": {
+                "name": "normal"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "paralysis"
+                },
+                "ailment_chance": 30
+            }
+        },
+        {
+            "id": 22,
+            "name": "vine-whip",
+            "power": 45,
+            "accuracy": 100,
+            "type": {
+                "name": "grass"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 75,
+            "name": "razor-leaf",
+            "power": 55,
+            "accuracy": 95,
+            "type": {
+                "name": "grass"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 76,
+            "name": "solar-beam",
+            "power": 120,
+            "accuracy": 100,
+            "type": {
+                "name": "grass"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 79,
+            "name": "sleep-powder",
+            "power": null,
+            "accuracy": 75,
+            "type": {
+                "name": "grass"
+            },
+            "damage_class": {
+                "name": "status"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "sleep"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 77,
+            "name": "poison-powder",
+            "power": null,
+            "accuracy": 75,
+            "type": {
+                "name": "poison"
+            },
+            "damage_class": {
+                "name": "status"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "poison"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 188,
+            "name": "sludge-bomb",
+            "power": 90,
+            "accuracy": 100,
+            "type": {
+                "name": "poison"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "poison"
+                },
+                "ailment_chance": 30
+            }
+        },
+        {
+            "id": 92,
+            "name": "toxic",
+            "power": null,
+            "accuracy": 90,
+            "type": {
+                "name": "poison"
+            },
+            "damage_class": {
+                "name": "status"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "poison"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 52,
+            "name": "ember",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "fire"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "burn"
+                },
+                "ailment_chance": 10
+            }
+        },
+        {
+            "id": 53,
+            "name": "flamethrower",
+            "power": 90,
+            "accuracy": 100,
+            "type": {
+                "name": "fire"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "burn"
+                },
+                "ailment_chance": 10
+            }
+        },
+        {
+            "id": 16,
+            "name": "gust",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "flying"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 17,
+            "name": "wing-attack",
+            "power": 60,
+            "accuracy": 100,
+            "type": {
+                "name": "flying"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 55,
+            "name": "water-gun",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "water"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 57,
+            "name": "surf",
+            "power": 90,
+            "accuracy": 100,
+            "type": {
+                "name": "water"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 56,
+            "name": "hydro-pump",
+            "power": 110,
+            "accuracy": 80,
+            "type": {
+                "name": "water"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 58,
+            "name": "ice-beam",
+            "power": 90,
+            "accuracy": 100,
+            "type": {
+                "name": "ice"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "freeze"
+                },
+                "ailment_chance": 10
+            }
+        },
+        {
+            "id": 44,
+            "name": "bite",
+            "power": 60,
+            "accuracy": 100,
+            "type": {
+                "name": "dark"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 84,
+            "name": "thunder-shock",
+            "power": 40,
+            "accuracy": 100,
+            "type": {
+                "name": "electric"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "paralysis"
+                },
+                "ailment_chance": 10
+            }
+        },
+        {
+            "id": 85,
+            "name": "thunderbolt",
+            "power": 90,
+            "accuracy": 100,
+            "type": {
+                "name": "electric"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "paralysis"
+                },
+                "ailment_chance": 10
+            }
+        },
+        {
+            "id": 86,
+            "name": "thunder-wave",
+            "power": null,
+            "accuracy": 90,
+            "type": {
+                "name": "electric"
+            },
+            "damage_class": {
+                "name": "status"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "paralysis"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 93,
+            "name": "confusion",
+            "power": 50,
+            "accuracy": 100,
+            "type": {
+                "name": "psychic"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "confusion"
+                },
+                "ailment_chance": 10
+            }
+        },
+        {
+            "id": 94,
+            "name": "psychic",
+            "power": 90,
+            "accuracy": 100,
+            "type": {
+                "name": "psychic"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 95,
+            "name": "hypnosis",
+            "power": null,
+            "accuracy": 60,
+            "type": {
+                "name": "psychic"
+            },
+            "damage_class": {
+                "name": "status"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "sleep"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 88,
+            "name": "rock-throw",
+            "power": 50,
+            "accuracy": 90,
+            "type": {
+                "name": "rock"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 157,
+            "name": "rock-slide",
+            "power": 75,
+            "accuracy": 90,
+            "type": {
+                "name": "rock"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 89,
+            "name": "earthquake",
+            "power": 100,
+            "accuracy": 100,
+            "type": {
+                "name": "ground"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 122,
+            "name": "lick",
+            "power": 30,
+            "accuracy": 100,
+            "type": {
+                "name": "ghost"
+            },
+            "damage_class": {
+                "name": "physical"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "paralysis"
+                },
+                "ailment_chance": 30
+            }
+        },
+        {
+            "id": 247,
+            "name": "shadow-ball",
+            "power": 80,
+            "accuracy": 100,
+            "type": {
+                "name": "ghost"
+            },
+            "damage_class": {
+                "name": "special"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        },
+        {
+            "id": 150,
+            "name": "splash",
+            "power": null,
+            "accuracy": null,
+            "type": {
+                "name": "normal"
+            },
+            "damage_class": {
+                "name": "status"
+            },
+            "meta": {
+                "ailment": {
+                    "name": "none"
+                },
+                "ailment_chance": 0
+            }
+        }
+    ],
+    "species": [
+        {
+            "id": 1,
+            "name": "bulbasaur",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/1/"
+            }
+        },
+        {
+            "id": 2,
+            "name": "ivysaur",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/1/"
+            }
+        },
+        {
+            "id": 3,
+            "name": "venusaur",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/1/"
+            }
+        },
+        {
+            "id": 4,
+            "name": "charmander",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/2/"
+            }
+        },
+        {
+            "id": 5,
+            "name": "charmeleon",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/2/"
+            }
+        },
+        {
+            "id": 6,
+            "name": "charizard",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/2/"
+            }
+        },
+        {
+            "id": 7,
+            "name": "squirtle",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/3/"
+            }
+        },
+        {
+            "id": 8,
+            "name": "wartortle",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/3/"
+            }
+        },
+        {
+            "id": 9,
+            "name": "blastoise",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/3/"
+            }
+        },
+        {
+            "id": 16,
+            "name": "pidgey",
+            "capture_rate": 255,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/6/"
+            }
+        },
+        {
+            "id": 17,
+            "name": "pidgeotto",
+            "capture_rate": 120,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/6/"
+            }
+        },
+        {
+            "id": 18,
+            "name": "pidgeot",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/6/"
+            }
+        },
+        {
+            "id": 25,
+            "name": "pikachu",
+            "capture_rate": 190,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/10/"
+            }
+        },
+        {
+            "id": 26,
+            "name": "raichu",
+            "capture_rate": 75,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/10/"
+            }
+        },
+        {
+            "id": 63,
+            "name": "abra",
+            "capture_rate": 200,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/26/"
+            }
+        },
+        {
+            "id": 64,
+            "name": "kadabra",
+            "capture_rate": 100,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/26/"
+            }
+        },
+        {
+            "id": 65,
+            "name": "alakazam",
+            "capture_rate": 50,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/26/"
+            }
+        },
+        {
+            "id": 74,
+            "name": "geodude",
+            "capture_rate": 255,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/31/"
+            }
+        },
+        {
+            "id": 75,
+            "name": "graveler",
+            "capture_rate": 120,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/31/"
+            }
+        },
+        {
+            "id": 76,
+            "name": "golem",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/31/"
+            }
+        },
+        {
+            "id": 92,
+            "name": "gastly",
+            "capture_rate": 190,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/40/"
+            }
+        },
+        {
+            "id": 93,
+            "name": "haunter",
+            "capture_rate": 90,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/40/"
+            }
+        },
+        {
+            "id": 94,
+            "name": "gengar",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/40/"
+            }
+        },
+        {
+            "id": 129,
+            "name": "magikarp",
+            "capture_rate": 255,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/64/"
+            }
+        },
+        {
+            "id": 130,
+            "name": "gyarados",
+            "capture_rate": 45,
+            "is_legendary": false,
+            "is_mythical": false,
+            "evolution_chain": {
+                "url": "https://pokeapi.co/api/v2/evolution-chain/64/"
+            }
+        }
+    ],
+    "evolutionChains": [
+        {
+            "id": 1,
+            "chain": {
+                "species": {
+                    "name": "bulbasaur",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/1/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "ivysaur",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/2/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 16,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "venusaur",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/3/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "level-up"
+                                        },
+                                        "min_level": 32,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/1/"
+        },
+        {
+            "id": 2,
+            "chain": {
+                "species": {
+                    "name": "charmander",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/4/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "charmeleon",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/5/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 16,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "charizard",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/6/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "level-up"
+                                        },
+                                        "min_level": 36,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/2/"
+        },
+        {
+            "id": 3,
+            "chain": {
+                "species": {
+                    "name": "squirtle",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/7/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "wartortle",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/8/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 16,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "blastoise",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/9/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "level-up"
+                                        },
+                                        "min_level": 36,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/3/"
+        },
+        {
+            "id": 6,
+            "chain": {
+                "species": {
+                    "name": "pidgey",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/16/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "pidgeotto",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/17/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 18,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "pidgeot",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/18/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "level-up"
+                                        },
+                                        "min_level": 36,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/6/"
+        },
+        {
+            "id": 10,
+            "chain": {
+                "species": {
+                    "name": "pichu",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/172/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "pikachu",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/25/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": null,
+                                "min_happiness": 220,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "raichu",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/26/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "use-item"
+                                        },
+                                        "min_level": null,
+                                        "item": {
+                                            "name": "thunder-stone"
+                                        }
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/10/"
+        },
+        {
+            "id": 26,
+            "chain": {
+                "species": {
+                    "name": "abra",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/63/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "kadabra",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/64/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 16,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "alakazam",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/65/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "trade"
+                                        },
+                                        "min_level": null,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/26/"
+        },
+        {
+            "id": 31,
+            "chain": {
+                "species": {
+                    "name": "geodude",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/74/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "graveler",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/75/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 25,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "golem",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/76/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "trade"
+                                        },
+                                        "min_level": null,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/31/"
+        },
+        {
+            "id": 40,
+            "chain": {
+                "species": {
+                    "name": "gastly",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/92/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "haunter",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/93/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 25,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": [
+                            {
+                                "species": {
+                                    "name": "gengar",
+                                    "url": "https://pokeapi.co/api/v2/pokemon-species/94/"
+                                },
+                                "evolution_details": [
+                                    {
+                                        "trigger": {
+                                            "name": "trade"
+                                        },
+                                        "min_level": null,
+                                        "item": null
+                                    }
+                                ],
+                                "evolves_to": []
+                            }
+                        ]
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/40/"
+        },
+        {
+            "id": 64,
+            "chain": {
+                "species": {
+                    "name": "magikarp",
+                    "url": "https://pokeapi.co/api/v2/pokemon-species/129/"
+                },
+                "evolution_details": [],
+                "evolves_to": [
+                    {
+                        "species": {
+                            "name": "gyarados",
+                            "url": "https://pokeapi.co/api/v2/pokemon-species/130/"
+                        },
+                        "evolution_details": [
+                            {
+                                "trigger": {
+                                    "name": "level-up"
+                                },
+                                "min_level": 20,
+                                "item": null
+                            }
+                        ],
+                        "evolves_to": []
+                    }
+                ]
+            },
+            "url": "https://pokeapi.co/api/v2/evolution-chain/64/"
+        }
+    ]
+};
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCAL_POKEMON_DATASET };
+}
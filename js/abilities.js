@@ -0,0 +1,163 @@
+/**
+ * Abilities
+ *
+ * A curated set of Pokemon abilities that change how battles play out.
+ * Each ability is a set of hooks the combat flow calls (see combat.js):
+ *   - getTypeMultiplier(pokemon, moveType): scales the damage a move of that type deals to it
+ *   - getPowerMultiplier(pokemon, move): scales the power of its own moves
+ *   - limitDamage(pokemon, damage): caps the damage it takes from one hit
+ *   - onEntry(pokemon, foe): a stat change made as it enters battle
+ * Abilities not listed here are still shown on cards, but have no effect.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** HP fraction at or below which pinch abilities (Blaze, Torrent, ...) kick in */
+const PINCH_HP_FRACTION = 1 / 3;
+
+/** Power boost from a pinch ability */
+const PINCH_POWER_MULTIPLIER = 1.5;
+
+/**
+ * Creates an ability that powers up moves of one type when the Pokemon is low on HP.
+ * @param {string} name - Ability name
+ * @param {string} type - Move type it boosts
+ * @param {string} typeName - Display name of the type
+ * @returns {Object} Ability definition
+ */
+function createPinchAbility(name, type, typeName) {
+    return {
+        name,
+        description: `Powers up ${typeName}-type moves when its HP is low`,
+        getPowerMultiplier: (pokemon, move) => (
+            move.type === type && pokemon.hp <= pokemon.maxHp * PINCH_HP_FRACTION ? PINCH_POWER_MULTIPLIER : 1
+        )
+    };
+}
+
+/** Abilities that work in battle, keyed by PokeAPI ability name */
+const ABILITIES = {
+    levitate: {
+        name: 'Levitate',
+        description: 'Ground-type moves have no effect on it',
+        getTypeMultiplier: (pokemon, moveType) => (moveType === 'ground' ? 0 : 1)
+    },
+    intimidate: {
+        name: 'Intimidate',
+        description: "Lowers the foe's Attack when it enters battle",
+        onEntry: () => ({ target: 'foe', stat: 'attack', stages: -1 })
+    },
+    blaze: createPinchAbility('Blaze', 'fire', 'Fire'),
+    torrent: createPinchAbility('Torrent', 'water', 'Water'),
+    overgrow: createPinchAbility('Overgrow', 'grass', 'Grass'),
+    swarm: createPinchAbility('Swarm', 'bug', 'Bug'),
+    sturdy: {
+        name: 'Sturdy',
+        description: 'Survives a hit that would knock it out from full HP',
+        limitDamage: (pokemon, damage) => (
+            pokemon.hp === pokemon.maxHp && damage >= pokemon.hp ? pokemon.hp - 1 : damage
+        )
+    }
+};
+
+// ==========================================
+// Lookup
+// ==========================================
+
+/**
+ * Gets the battle effects of a Pokemon's ability.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object|null} Ability definition, or null if its ability has no effect in battle
+ */
+function getAbility(pokemon) {
+    return (pokemon.ability && ABILITIES[pokemon.ability.id]) || null;
+}
+
+/**
+ * Checks whether an ability does anything in battle.
+ * @param {Object} ability - Ability as stored on a Pokemon ({ id, name })
+ * @returns {boolean} True if the ability is one of ABILITIES
+ */
+function isAbilityActive(ability) {
+    return !!(ability && ABILITIES[ability.id]);
+}
+
+/**
+ * Picks the ability a newly met Pokemon has. Hidden abilities are never picked.
+ * @param {Object[]} abilities - The species' abilities (see formatPokemonData)
+ * @param {Function} randomFn - Source of randomness
+ * @returns {Object|null} The chosen ability, or null if the species has none
+ */
+function chooseAbility(abilities, randomFn) {
+    const regular = (abilities || []).filter(ability => !ability.isHidden);
+    if (regular.length === 0) return null;
+    
+    const { id, name } = regular[Math.floor(randomFn() * regular.length)];
+    return { id, name };
+}
+
+// ==========================================
+// Hooks
+// ==========================================
+
+/**
+ * Gets how a defender's ability scales damage from a move type.
+ * @param {Object} defender - The defending Pokemon
+ * @param {string} moveType - Type of the incoming move
+ * @returns {number} Damage multiplier (0 for an immunity)
+ */
+function getAbilityTypeMultiplier(defender, moveType) {
+    const ability = getAbility(defender);
+    return ability && ability.getTypeMultiplier ? ability.getTypeMultiplier(defender, moveType) : 1;
+}
+
+/**
+ * Gets how an attacker's ability scales a move's power.
+ * @param {Object} attacker - The attacking Pokemon
+ * @param {Object} move - The move being used
+ * @returns {number} Power multiplier
+ */
+function getAbilityPowerMultiplier(attacker, move) {
+    const ability = getAbility(attacker);
+    return ability && ability.getPowerMultiplier ? ability.getPowerMultiplier(attacker, move) : 1;
+}
+
+/**
+ * Caps the damage a defender takes from one hit, if its ability does that.
+ * @param {Object} defender - The defending Pokemon, before the damage is applied
+ * @param {number} damage - Damage the hit would deal
+ * @returns {number} Damage to deal
+ */
+function getAbilityDamageLimit(defender, damage) {
+    const ability = getAbility(defender);
+    return ability && ability.limitDamage ? ability.limitDamage(defender, damage) : damage;
+}
+
+/**
+ * Gets the stat change a Pokemon's ability makes as it enters battle.
+ * @param {Object} pokemon - The Pokemon entering battle
+ * @param {Object} foe - The Pokemon it is facing
+ * @returns {Object|null} Effect with target ('self' or 'foe'), stat and stages, or null
+ */
+function getEntryAbilityEffect(pokemon, foe) {
+    const ability = getAbility(pokemon);
+    return ability && ability.onEntry ? ability.onEntry(pokemon, foe) : null;
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ABILITIES,
+        getAbility,
+        isAbilityActive,
+        chooseAbility,
+        getAbilityTypeMultiplier,
+        getAbilityPowerMultiplier,
+        getAbilityDamageLimit,
+        getEntryAbilityEffect
+    };
+}
@@ -0,0 +1,278 @@
+/**
+ * Enemy AI
+ *
+ * Decides what the enemy does each turn. Every difficulty level is a strategy
+ * that looks at the battle and returns an action in the same shape the battle
+ * page uses for the player: { type: 'fight', move } or { type: 'switch', slot }.
+ * Works headlessly in Node, so battles can be simulated without a browser.
+ */
+
+// ==========================================
+// Dependencies
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    // Browser pages load these as globals via <script> tags
+    Object.assign(globalThis, require('./rng.js'), require('./combat.js'));
+}
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Available AI difficulty levels */
+const AI_DIFFICULTIES = {
+    RANDOM: 'random',
+    GREEDY: 'greedy',
+    SMART: 'smart'
+};
+
+/** Display names for each difficulty */
+const AI_DIFFICULTY_NAMES = {
+    random: 'Easy',
+    greedy: 'Normal',
+    smart: 'Hard'
+};
+
+/** Difficulty for new runs and older saves */
+const DEFAULT_AI_DIFFICULTY = AI_DIFFICULTIES.GREEDY;
+
+/** Value of landing a status condition, compared to dealing a target's full HP in damage */
+const STATUS_MOVE_VALUE = 0.35;
+
+/** Extra value for a move expected to knock the target out */
+const KNOCKOUT_BONUS = 0.5;
+
+/** How much better a matchup has to be before the smart AI gives up its turn to switch */
+const SWITCH_MARGIN = 0.4;
+
+// ==========================================
+// Battle Situation
+// ==========================================
+
+/**
+ * Describes the battle from the enemy's side.
+ * @typedef {Object} BattleSituation
+ * @property {Object} self - The enemy's active Pokemon
+ * @property {Object} opponent - The player's active Pokemon
+ * @property {Object[]} team - The enemy's whole team (just [self] for a wild Pokemon)
+ * @property {number} activeIndex - Index of self in team
+ */
+
+/**
+ * Gets every action the enemy is allowed to take.
+ * @param {BattleSituation} situation - Current battle situation
+ * @returns {Object[]} Legal actions
+ */
+function getLegalActions(situation) {
+    const moves = getMoveset(situation.self).map(move => ({ type: 'fight', move }));
+    const switches = getSwitchOptions(situation).map(slot => ({ type: 'switch', slot }));
+    return [...moves, ...switches];
+}
+
+/**
+ * Gets the team slots the enemy could switch to.
+ * @param {BattleSituation} situation - Current battle situation
+ * @returns {number[]} Slots of healthy benched Pokemon
+ */
+function getSwitchOptions(situation) {
+    const team = situation.team || [situation.self];
+    
+    return team
+        .map((pokemon, slot) => slot)
+        .filter(slot => slot !== situation.activeIndex && team[slot].hp > 0);
+}
+
+// ==========================================
+// Evaluation
+// ==========================================
+
+/**
+ * Gets the highest expected damage a Pokemon can deal to a target with its moves.
+ * @param {Object} attacker - Attacking Pokemon
+ * @param {Object} defender - Defending Pokemon
+ * @returns {Object} Object with the best move and its expected damage
+ */
+function getBestDamagingMove(attacker, defender) {
+    let best = { move: getMoveset(attacker)[0], damage: -1 };
+    
+    for (const move of getMoveset(attacker)) {
+        const damage = estimateDamage(attacker, defender, move);
+        if (damage > best.damage) {
+            best = { move, damage };
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Scores how well one Pokemon fares against another over the next exchange.
+ * Positive means it deals a bigger share of its opponent's HP than it takes.
+ * @param {Object} pokemon - Pokemon being scored
+ * @param {Object} opponent - Pokemon it faces
+ * @returns {number} Matchup score from -1 to 1
+ */
+function evaluateMatchup(pokemon, opponent) {
+    const offense = getBestDamagingMove(pokemon, opponent).damage / Math.max(1, opponent.hp);
+    const threat = getBestDamagingMove(opponent, pokemon).damage / Math.max(1, pokemon.hp);
+    return Math.min(1, offense) - Math.min(1, threat);
+}
+
+/**
+ * Scores a move for the smart AI, taking the player's likely reply into account.
+ * @param {Object} move - Move being considered
+ * @param {BattleSituation} situation - Current battle situation
+ * @param {boolean} survivesReply - Whether self is expected to survive the player's next attack
+ * @returns {number} Move score (higher is better)
+ */
+function scoreMove(move, situation, survivesReply) {
+    const { self, opponent } = situation;
+    
+    if (move.damageClass === 'status') {
+        // Only worth it if the target can take the condition and we'll live to benefit
+        if (!survivesReply || !canReceiveStatus(opponent, move.ailment)) return 0;
+        const hitChance = move.accuracy ? move.accuracy / 100 : 1;
+        return STATUS_MOVE_VALUE * hitChance;
+    }
+    
+    const damage = estimateDamage(self, opponent, move);
+    let score = Math.min(1, damage / Math.max(1, opponent.hp));
+    
+    // A knockout only counts if we get to move before being knocked out ourselves
+    const movesFirst = getEffectiveSpeed(self) >= getEffectiveSpeed(opponent);
+    if (damage >= opponent.hp && (movesFirst || survivesReply)) {
+        score += KNOCKOUT_BONUS;
+    }
+    
+    return score;
+}
+
+// ==========================================
+// Strategies
+// ==========================================
+
+/**
+ * Easy: picks any legal action at random.
+ * @param {BattleSituation} situation - Current battle situation
+ * @returns {Object} Chosen action
+ */
+function chooseRandomAction(situation) {
+    return randomChoice(getLegalActions(situation));
+}
+
+/**
+ * Normal: always uses the move with the highest expected damage.
+ * @param {BattleSituation} situation - Current battle situation
+ * @returns {Object} Chosen action
+ */
+function chooseGreedyAction(situation) {
+    return { type: 'fight', move: getBestDamagingMove(situation.self, situation.opponent).move };
+}
+
+/**
+ * Hard: weighs each move against the player's likely reply,
+ * and switches out of matchups it is clearly losing.
+ * @param {BattleSituation} situation - Current battle situation
+ * @returns {Object} Chosen action
+ */
+function chooseSmartAction(situation) {
+    const { self, opponent } = situation;
+    
+    // Assume the player answers with their strongest attack
+    const likelyReply = getBestDamagingMove(opponent, self);
+    const survivesReply = likelyReply.damage < self.hp;
+    
+    // Consider switching to a benched Pokemon that handles the opponent better
+    const currentMatchup = evaluateMatchup(self, opponent);
+    let bestSwitch = null;
+    
+    for (const slot of getSwitchOptions(situation)) {
+        const candidate = situation.team[slot];
+        
+        // The incoming Pokemon takes the player's attack on the way in
+        const hitOnEntry = getBestDamagingMove(opponent, candidate).damage / Math.max(1, candidate.hp);
+        const score = evaluateMatchup(candidate, opponent) - Math.min(1, hitOnEntry);
+        
+        if (!bestSwitch || score > bestSwitch.score) {
+            bestSwitch = { slot, score };
+        }
+    }
+    
+    if (bestSwitch && bestSwitch.score > currentMatchup + SWITCH_MARGIN) {
+        return { type: 'switch', slot: bestSwitch.slot };
+    }
+    
+    // Otherwise use the best-scoring move
+    let bestMove = null;
+    
+    for (const move of getMoveset(self)) {
+        const score = scoreMove(move, situation, survivesReply);
+        if (!bestMove || score > bestMove.score) {
+            bestMove = { move, score };
+        }
+    }
+    
+    return { type: 'fight', move: bestMove.move };
+}
+
+/** Strategy used by each difficulty level */
+const AI_STRATEGIES = {
+    random: chooseRandomAction,
+    greedy: chooseGreedyAction,
+    smart: chooseSmartAction
+};
+
+/**
+ * Decides the enemy's action for this turn.
+ * @param {string} difficulty - AI difficulty (one of AI_DIFFICULTIES)
+ * @param {BattleSituation} situation - Current battle situation
+ * @returns {Object} Chosen action ({ type: 'fight', move } or { type: 'switch', slot })
+ */
+function chooseEnemyAction(difficulty, situation) {
+    const strategy = AI_STRATEGIES[difficulty] || AI_STRATEGIES[DEFAULT_AI_DIFFICULTY];
+    
+    return strategy({
+        team: [situation.self],
+        activeIndex: 0,
+        ...situation
+    });
+}
+
+/**
+ * Picks which Pokemon to send out after the enemy's active one faints.
+ * Hard sends out the best matchup against the player's Pokemon; the others go in team order.
+ * @param {string} difficulty - AI difficulty (one of AI_DIFFICULTIES)
+ * @param {BattleSituation} situation - Current battle situation (self is the fainted Pokemon)
+ * @returns {number} Team slot to send out, or -1 if none are left
+ */
+function chooseEnemyReplacement(difficulty, situation) {
+    const options = getSwitchOptions(situation);
+    if (options.length === 0) return -1;
+    
+    if (difficulty !== AI_DIFFICULTIES.SMART) return options[0];
+    
+    return options.reduce((best, slot) => (
+        evaluateMatchup(situation.team[slot], situation.opponent) > evaluateMatchup(situation.team[best], situation.opponent)
+            ? slot
+            : best
+    ));
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AI_DIFFICULTIES,
+        AI_DIFFICULTY_NAMES,
+        DEFAULT_AI_DIFFICULTY,
+        getLegalActions,
+        getBestDamagingMove,
+        evaluateMatchup,
+        chooseRandomAction,
+        chooseGreedyAction,
+        chooseSmartAction,
+        chooseEnemyAction,
+        chooseEnemyReplacement
+    };
+}
@@ -1,76 +1,380 @@
 /**
  * Pokemon API Service
  * 
- * Handles all interactions with the PokeAPI.
+ * Turns raw PokeAPI-format data into the game's Pokemon and moves.
+ * The data itself comes from the active data source (see data-source.js).
  * API Documentation: https://pokeapi.co/docs/v2
  */
 
+// ==========================================
+// Dependencies
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    // Browser pages load these as globals via <script> tags
+    Object.assign(
+        globalThis,
+        require('./shared.js'),
+        require('./rng.js'),
+        require('./leveling.js'),
+        require('./data-source.js'),
+        require('./pokedex-tracker.js'),
+        require('./abilities.js')
+    );
+}
+
 // ==========================================
 // Constants
 // ==========================================
 
-const POKEAPI_BASE_URL = 'https://pokeapi.co/api/v2';
+/** Number of moves in every Pokemon's moveset */
+const MOVESET_SIZE = 4;
+
+/** How many learnable moves to look up when building a moveset */
+const MOVE_CANDIDATE_COUNT = 12;
+
+/** How many times a random Pokemon that fails to load is swapped for another */
+const MAX_POKEMON_REROLLS = 2;
+
+/** Chance of a generated Pokemon being shiny */
+const SHINY_CHANCE = 1 / 128;
+
+/** Candidates drawn for each Pokemon still needed, per batch of encounter draws */
+const ENCOUNTER_DRAWS_PER_POKEMON = 4;
+
+/** Batches of encounter draws to try before deciding nothing matches the filters */
+const MAX_ENCOUNTER_DRAW_BATCHES = 10;
+
+/** Move details already fetched this session, keyed by move name */
+const moveCache = new Map();
+
+/** Species details already fetched this session, keyed by species ID or name */
+const speciesCache = new Map();
 
-/** Total number of Pokemon in Gen 1-5 (good variety without too many) */
-const MAX_POKEMON_ID = 649;
+/** Strength tier names already looked up this session, keyed by Pokemon ID */
+const strengthTierCache = new Map();
 
-/** Minimum Pokemon ID */
-const MIN_POKEMON_ID = 1;
+/**
+ * Fields every Pokemon object needs.
+ * Saved Pokemon missing any of them are backfilled from the API on load.
+ */
+const REQUIRED_POKEMON_FIELDS = ['moves', 'defense', 'specialAttack', 'specialDefense', 'speed', 'level', 'xp', 'baseStats', 'sprites', 'ability'];
+
+/** Required fields that feed a Pokemon's stats; backfilling any of them means the stats are recalculated */
+const STAT_POKEMON_FIELDS = ['defense', 'specialAttack', 'specialDefense', 'speed', 'baseStats'];
 
 // ==========================================
 // API Functions
 // ==========================================
 
 /**
- * Fetches a Pokemon by ID or name from the PokeAPI.
+ * Fetches a Pokemon by ID or name from the active data source.
  * @param {number|string} idOrName - Pokemon ID or name
+ * @param {number} level - Level to create the Pokemon at
  * @returns {Promise<Object>} Pokemon data formatted for our game
  */
-async function fetchPokemon(idOrName) {
+async function fetchPokemon(idOrName, level = STARTING_LEVEL) {
+    // Draw this Pokemon's randomness now, so parallel fetches stay reproducible
+    // no matter which response arrives first
+    const pokemonRandom = createSeededRandom(randomInt(0, MAX_SEED));
+    const isShiny = pokemonRandom() < SHINY_CHANCE;
+    
     try {
-        const response = await fetch(`${POKEAPI_BASE_URL}/pokemon/${idOrName}`);
+        const data = await getDataSource().getPokemon(idOrName);
         
-        if (!response.ok) {
+        if (!data) {
             throw new Error(`Pokemon not found: ${idOrName}`);
         }
         
-        const data = await response.json();
-        return formatPokemonData(data);
+        const moves = await fetchMoveset(data, pokemonRandom);
+        const pokemon = formatPokemonData(data, moves, level);
+        return { ...pokemon, ability: chooseAbility(pokemon.abilities, pokemonRandom), isShiny };
     } catch (error) {
         console.error('Error fetching Pokemon:', error);
         throw error;
     }
 }
 
+/**
+ * Fetches a move's details by name or ID.
+ * Requests are shared for the session since movesets share many moves.
+ * @param {number|string} nameOrId - Move name or ID
+ * @returns {Promise<Object>} Move data formatted for our game
+ */
+async function fetchMove(nameOrId) {
+    if (!moveCache.has(nameOrId)) {
+        const request = getDataSource().getMove(nameOrId)
+            .then(data => {
+                if (!data) {
+                    throw new Error(`Move not found: ${nameOrId}`);
+                }
+                return formatMoveData(data);
+            });
+        
+        // Don't keep failed lookups around so they can be retried
+        request.catch(() => moveCache.delete(nameOrId));
+        moveCache.set(nameOrId, request);
+    }
+    
+    return moveCache.get(nameOrId);
+}
+
+/**
+ * Builds a four-move moveset from a Pokemon's learnable moves.
+ * Looks up a random sample of learnable moves and keeps the damaging ones,
+ * preferring at least one move that matches the Pokemon's own type. One
+ * status move that inflicts a status condition may take the last slot.
+ * @param {Object} apiData - Raw Pokemon data from PokeAPI
+ * @param {Function} randomFn - Source of randomness (defaults to the shared generator)
+ * @returns {Promise<Object[]>} Up to four formatted moves (empty if none could be loaded)
+ */
+async function fetchMoveset(apiData, randomFn = random) {
+    const learnable = (apiData.moves || []).map(entry => entry.move.name);
+    const candidates = shuffleArray(learnable, randomFn).slice(0, MOVE_CANDIDATE_COUNT);
+    
+    // A failed move lookup shouldn't sink the whole Pokemon
+    const results = await Promise.allSettled(candidates.map(name => fetchMove(name)));
+    const loadedMoves = results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value);
+    const damagingMoves = loadedMoves.filter(move => move.power > 0);
+    const statusMove = loadedMoves.find(move => move.power === 0 && STATUS_CONDITIONS[move.ailment]);
+    
+    // Lead with a same-type move if there is one
+    const types = apiData.types.map(t => t.type.name);
+    const typeMatch = damagingMoves.find(move => types.includes(move.type));
+    const ordered = typeMatch
+        ? [typeMatch, ...damagingMoves.filter(move => move !== typeMatch)]
+        : damagingMoves;
+    
+    // Only add a status move alongside at least one move that deals damage
+    if (statusMove && ordered.length > 0) {
+        return [...ordered.slice(0, MOVESET_SIZE - 1), statusMove];
+    }
+    
+    return ordered.slice(0, MOVESET_SIZE);
+}
+
+/**
+ * Fetches raw species data (capture rate, evolution chain, etc.) from the active data source.
+ * Requests are shared for the session.
+ * @param {number|string} idOrName - Species ID or name
+ * @returns {Promise<Object>} Raw species data
+ */
+async function fetchSpecies(idOrName) {
+    if (!speciesCache.has(idOrName)) {
+        const request = getDataSource().getSpecies(idOrName)
+            .then(data => {
+                if (!data) {
+                    throw new Error(`Species not found: ${idOrName}`);
+                }
+                return data;
+            });
+        
+        // Don't keep failed lookups around so they can be retried
+        request.catch(() => speciesCache.delete(idOrName));
+        speciesCache.set(idOrName, request);
+    }
+    
+    return speciesCache.get(idOrName);
+}
+
+/**
+ * Fetches how easy a Pokemon's species is to catch.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Promise<number>} Species capture rate (1 to MAX_CAPTURE_RATE)
+ */
+async function fetchCaptureRate(pokemon) {
+    const species = await fetchSpecies(pokemon.speciesId || pokemon.id);
+    return species.capture_rate;
+}
+
+/**
+ * Fetches the species that have a type, for searching in the Team Builder.
+ * Alternate forms outside the active data source's Pokemon IDs are left out.
+ * @param {string} type - Type name (e.g. 'fire')
+ * @returns {Promise<Object[]>} Species with their ID and display name, in National Dex order
+ */
+async function fetchSpeciesOfType(type) {
+    const data = await getDataSource().getType(type);
+    if (!data) {
+        throw new Error(`Type not found: ${type}`);
+    }
+    
+    const knownIds = new Set(getDataSource().getPokemonIds());
+    return data.pokemon
+        .map(entry => ({ id: getIdFromUrl(entry.pokemon.url), name: capitalizeFirst(entry.pokemon.name) }))
+        .filter(species => knownIds.has(species.id))
+        .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Fetches the ways a Pokemon can evolve from its species' evolution chain.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Promise<Object[]>} Evolution options (empty if fully evolved)
+ */
+async function fetchEvolutionOptions(pokemon) {
+    const species = await fetchSpecies(pokemon.speciesId || pokemon.id);
+    
+    const chainData = await getDataSource().getEvolutionChain(species.evolution_chain.url);
+    if (!chainData) {
+        throw new Error(`Evolution chain not found for: ${species.name}`);
+    }
+    
+    const node = findEvolutionNode(chainData.chain, species.name);
+    return node ? node.evolves_to.map(formatEvolutionData) : [];
+}
+
+/**
+ * Creates the evolved form of a Pokemon.
+ * The evolved Pokemon keeps its level, XP, moves, held item, status and HP ratio.
+ * @param {Object} pokemon - Pokemon that is evolving
+ * @param {Object} evolution - Evolution option (see fetchEvolutionOptions)
+ * @returns {Promise<Object>} The evolved Pokemon
+ */
+async function fetchEvolvedForm(pokemon, evolution) {
+    const evolved = await fetchPokemon(evolution.speciesId, pokemon.level);
+    
+    const hpRatio = pokemon.maxHp > 0 ? pokemon.hp / pokemon.maxHp : 1;
+    const hp = pokemon.hp > 0 ? Math.max(1, Math.round(evolved.maxHp * hpRatio)) : 0;
+    
+    return {
+        ...evolved,
+        hp,
+        xp: pokemon.xp,
+        moves: pokemon.moves && pokemon.moves.length > 0 ? pokemon.moves : evolved.moves,
+        isShiny: !!pokemon.isShiny,
+        heldItem: pokemon.heldItem || null,
+        status: pokemon.status || null,
+        statusTurns: pokemon.statusTurns || 0,
+        evolvedFrom: [...(pokemon.evolvedFrom || []), pokemon.name]
+    };
+}
+
+/**
+ * Fills in fields missing from a Pokemon saved by an older version of the game.
+ * Only missing fields are taken from the API, so saved progress like HP is kept.
+ * If any stats were missing, all of them are recalculated for the Pokemon's level.
+ * If the API can't be reached the Pokemon is returned unchanged.
+ * @param {Object} pokemon - Saved Pokemon object
+ * @returns {Promise<Object>} Pokemon with all required fields
+ */
+async function backfillPokemon(pokemon) {
+    const missingFields = REQUIRED_POKEMON_FIELDS.filter(field => pokemon[field] === undefined);
+    if (missingFields.length === 0) return pokemon;
+    
+    try {
+        const fresh = await fetchPokemon(pokemon.id);
+        const backfilled = { ...pokemon };
+        missingFields.forEach(field => {
+            backfilled[field] = fresh[field];
+        });
+        
+        // Fresh stats are for the fetched level, so bring them all in line with the saved level
+        if (missingFields.some(field => STAT_POKEMON_FIELDS.includes(field))) {
+            applyLevel(backfilled, backfilled.level);
+        }
+        return backfilled;
+    } catch (error) {
+        console.error(`Could not backfill ${pokemon.name}:`, error);
+        return pokemon;
+    }
+}
+
+/**
+ * Backfills every Pokemon in a saved team (see backfillPokemon).
+ * @param {Object[]} team - Saved team array
+ * @returns {Promise<Object[]>} Team with all required fields
+ */
+async function backfillTeam(team) {
+    return Promise.all(team.map(pokemon => backfillPokemon(pokemon)));
+}
+
 /**
  * Fetches multiple Pokemon by their IDs.
  * @param {number[]} ids - Array of Pokemon IDs
+ * @param {number} level - Level to create the Pokemon at
  * @returns {Promise<Object[]>} Array of Pokemon data
  */
-async function fetchMultiplePokemon(ids) {
-    const promises = ids.map(id => fetchPokemon(id));
+async function fetchMultiplePokemon(ids, level = STARTING_LEVEL) {
+    const promises = ids.map(id => fetchPokemon(id, level));
     return Promise.all(promises);
 }
 
 /**
- * Fetches random Pokemon for a team.
+ * Fetches random Pokemon for a team, following the run's encounter filters.
+ * A Pokemon that fails to load is rerolled rather than failing the whole team.
  * @param {number} count - Number of Pokemon to fetch (default 3)
+ * @param {number} level - Level to create the Pokemon at
+ * @param {string[]|null} tiers - Strength tiers to draw from (see getStrengthTier), or null for any
  * @returns {Promise<Object[]>} Array of random Pokemon data
  */
-async function fetchRandomTeam(count = 3) {
-    const randomIds = generateRandomPokemonIds(count);
+async function fetchRandomTeam(count = 3, level = STARTING_LEVEL, tiers = null) {
+    const randomIds = await generateRandomPokemonIds(count, new Set(), tiers);
     console.log('Fetching Pokemon with IDs:', randomIds);
-    return fetchMultiplePokemon(randomIds);
+    return fetchRandomPokemonWithRerolls(randomIds, level, tiers);
 }
 
 /**
- * Fetches a single random Pokemon (for enemy encounters).
+ * Fetches a single random Pokemon (for enemy encounters), following the run's encounter filters.
+ * The Pokemon's species is marked as seen in the Pokedex.
+ * @param {number} level - Level to create the Pokemon at
+ * @param {string[]|null} tiers - Strength tiers to draw from (see getStrengthTier), or null for any
  * @returns {Promise<Object>} Random Pokemon data
  */
-async function fetchRandomPokemon() {
-    const randomId = getRandomInt(MIN_POKEMON_ID, MAX_POKEMON_ID);
+async function fetchRandomPokemon(level = STARTING_LEVEL, tiers = null) {
+    const [randomId] = await generateRandomPokemonIds(1, new Set(), tiers);
     console.log('Fetching random enemy Pokemon with ID:', randomId);
-    return fetchPokemon(randomId);
+    const [pokemon] = await fetchRandomPokemonWithRerolls([randomId], level, tiers);
+    markPokemonSeen(pokemon);
+    return pokemon;
+}
+
+/**
+ * Fetches Pokemon for randomly picked IDs. Any that fail to load are swapped
+ * for other random IDs not tried yet, up to MAX_POKEMON_REROLLS times.
+ * Failed slots are rerolled together, so a seeded run picks the same
+ * replacements as long as the same requests fail.
+ * @param {number[]} ids - Randomly picked Pokemon IDs
+ * @param {number} level - Level to create the Pokemon at
+ * @param {string[]|null} tiers - Strength tiers rerolls are drawn from, or null for any
+ * @returns {Promise<Object[]>} Pokemon data, one per ID in the same order
+ * @throws {Error} If a slot still can't be filled after every reroll
+ */
+async function fetchRandomPokemonWithRerolls(ids, level = STARTING_LEVEL, tiers = null) {
+    const pokemon = new Array(ids.length);
+    const triedIds = new Set(ids);
+    let pending = ids.map((id, slot) => ({ id, slot }));
+    
+    for (let reroll = 0; ; reroll++) {
+        const results = await Promise.allSettled(pending.map(({ id }) => fetchPokemon(id, level)));
+        const failed = [];
+        
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                pokemon[pending[i].slot] = result.value;
+            } else {
+                failed.push({ ...pending[i], error: result.reason });
+            }
+        });
+        
+        if (failed.length === 0) return pokemon;
+        if (reroll >= MAX_POKEMON_REROLLS) throw failed[0].error;
+        
+        let newIds;
+        try {
+            newIds = await generateRandomPokemonIds(failed.length, triedIds, tiers);
+        } catch (error) {
+            // Nothing left to reroll into
+            throw failed[0].error;
+        }
+        if (newIds.length < failed.length) throw failed[0].error;
+        
+        pending = failed.map(({ id, slot }, i) => {
+            triedIds.add(newIds[i]);
+            console.warn(`Couldn't load Pokemon #${id}, trying #${newIds[i]} instead`);
+            return { id: newIds[i], slot };
+        });
+    }
 }
 
 // ==========================================
@@ -80,35 +384,199 @@ async function fetchRandomPokemon() {
 /**
  * Formats raw PokeAPI data into our game's Pokemon structure.
  * @param {Object} apiData - Raw data from PokeAPI
+ * @param {Object[]} moves - Formatted moveset (see fetchMoveset)
+ * @param {number} level - Level to create the Pokemon at
  * @returns {Object} Formatted Pokemon object
  */
-function formatPokemonData(apiData) {
-    // Calculate HP based on base stat (scaled for gameplay)
-    const baseHp = apiData.stats.find(stat => stat.stat.name === 'hp')?.base_stat || 50;
-    const gameHp = Math.round(baseHp * 1.5); // Scale HP for better gameplay
+function formatPokemonData(apiData, moves = [], level = STARTING_LEVEL) {
+    // Base stats are kept so stats can be recalculated on level up
+    const baseStats = {
+        hp: getBaseStat(apiData, 'hp'),
+        attack: getBaseStat(apiData, 'attack'),
+        defense: getBaseStat(apiData, 'defense'),
+        specialAttack: getBaseStat(apiData, 'special-attack'),
+        specialDefense: getBaseStat(apiData, 'special-defense'),
+        speed: getBaseStat(apiData, 'speed')
+    };
     
-    // Get attack stat for damage calculation
-    const baseAttack = apiData.stats.find(stat => stat.stat.name === 'attack')?.base_stat || 50;
+    // HP and the other stats scale with level (see leveling.js)
+    const stats = calculateLevelStats(baseStats, level);
     
     // Get Pokemon types
     const types = apiData.types.map(t => t.type.name);
     
     // Get base experience and calculate strength score (1-100 scale)
-    // base_experience typically ranges from ~36 to ~608
     const baseExperience = apiData.base_experience || 100;
-    const strength = Math.min(100, Math.max(1, Math.round((baseExperience / 608) * 100)));
+    const strength = calculateStrength(baseExperience);
     
     return {
         id: apiData.id,
+        speciesId: getIdFromUrl(apiData.species.url),
         name: capitalizeFirst(apiData.name),
-        hp: gameHp,
-        maxHp: gameHp,
-        attack: baseAttack,
+        hp: stats.maxHp,
+        ...stats,
+        level: level,
+        xp: getExperienceForLevel(level),
+        baseStats: baseStats,
         types: types,
         sprite: apiData.sprites.front_default,
         spriteBack: apiData.sprites.back_default,
+        sprites: formatSpriteData(apiData.sprites),
+        abilities: (apiData.abilities || []).map(formatAbilityData),
         baseExperience: baseExperience,
-        strength: strength
+        strength: strength,
+        moves: moves
+    };
+}
+
+/**
+ * Collects a Pokemon's sprites in each style (see SPRITE_STYLES).
+ * Sprites a style doesn't have for the species are left null.
+ * @param {Object} sprites - Raw sprites object from PokeAPI
+ * @returns {Object} Front, back and shiny sprite URLs keyed by style
+ */
+function formatSpriteData(sprites) {
+    const artwork = sprites.other?.['official-artwork'] || {};
+    // Showdown's animated sprites cover every generation; Black/White's stop at Gen 5
+    const animated = sprites.other?.showdown
+        || sprites.versions?.['generation-v']?.['black-white']?.animated
+        || {};
+    
+    const pickSprites = (set) => ({
+        front: set.front_default || null,
+        back: set.back_default || null,
+        frontShiny: set.front_shiny || null,
+        backShiny: set.back_shiny || null
+    });
+    
+    return {
+        [SPRITE_STYLES.CLASSIC]: pickSprites(sprites),
+        [SPRITE_STYLES.ARTWORK]: pickSprites(artwork),
+        [SPRITE_STYLES.ANIMATED]: pickSprites(animated)
+    };
+}
+
+/**
+ * Formats one of a species' abilities from PokeAPI.
+ * @param {Object} entry - Entry from a PokeAPI Pokemon's abilities list
+ * @returns {Object} Ability with id, display name and whether it is hidden
+ */
+function formatAbilityData(entry) {
+    return {
+        id: entry.ability.name,
+        name: formatDisplayName(entry.ability.name),
+        isHidden: !!entry.is_hidden
+    };
+}
+
+/**
+ * Calculates a Pokemon's strength score from its base experience.
+ * @param {number} baseExperience - Base experience from PokeAPI (typically ~36 to ~608)
+ * @returns {number} Strength score (1-100 scale)
+ */
+function calculateStrength(baseExperience) {
+    return Math.min(100, Math.max(1, Math.round((baseExperience / 608) * 100)));
+}
+
+/**
+ * Finds a species' entry in an evolution chain.
+ * @param {Object} chainNode - Evolution chain node from PokeAPI
+ * @param {string} speciesName - Species name to look for
+ * @returns {Object|null} The matching chain node, or null
+ */
+function findEvolutionNode(chainNode, speciesName) {
+    if (chainNode.species.name === speciesName) return chainNode;
+    
+    for (const next of chainNode.evolves_to) {
+        const found = findEvolutionNode(next, speciesName);
+        if (found) return found;
+    }
+    
+    return null;
+}
+
+/**
+ * Formats an evolution chain node into an evolution option.
+ * @param {Object} chainNode - Evolution chain node for the evolved species
+ * @returns {Object} Evolution option with target species and condition
+ */
+function formatEvolutionData(chainNode) {
+    const details = chainNode.evolution_details[0] || {};
+    const trigger = details.trigger?.name || 'other';
+    
+    return {
+        speciesId: getIdFromUrl(chainNode.species.url),
+        name: capitalizeFirst(chainNode.species.name),
+        trigger,
+        // Only plain level-ups are handled automatically after battle
+        minLevel: trigger === 'level-up' ? details.min_level || null : null,
+        condition: describeEvolutionCondition(trigger, details)
+    };
+}
+
+/**
+ * Describes an evolution condition for display (e.g. "Use a Fire Stone").
+ * @param {string} trigger - PokeAPI evolution trigger name
+ * @param {Object} details - PokeAPI evolution details
+ * @returns {string} Human-readable condition
+ */
+function describeEvolutionCondition(trigger, details) {
+    if (trigger === 'use-item' && details.item) {
+        return `Use a ${formatDisplayName(details.item.name)}`;
+    }
+    if (trigger === 'trade') {
+        return details.held_item
+            ? `Trade while holding a ${formatDisplayName(details.held_item.name)}`
+            : 'Trade';
+    }
+    if (trigger === 'level-up') {
+        if (details.min_level) return `Reach Lv. ${details.min_level}`;
+        if (details.min_happiness) return 'Level up with high friendship';
+        if (details.known_move) return `Level up knowing ${formatDisplayName(details.known_move.name)}`;
+        if (details.location) return 'Level up in a special place';
+        return 'Level up under special conditions';
+    }
+    return 'Special conditions';
+}
+
+/**
+ * Reads the trailing numeric ID from a PokeAPI resource URL.
+ * @param {string} url - Resource URL (e.g. ".../pokemon-species/25/")
+ * @returns {number} Resource ID
+ */
+function getIdFromUrl(url) {
+    return parseInt(url.split('/').filter(Boolean).pop(), 10);
+}
+
+/**
+ * Reads a base stat from raw PokeAPI data.
+ * @param {Object} apiData - Raw data from PokeAPI
+ * @param {string} statName - PokeAPI stat name (e.g. 'special-attack')
+ * @returns {number} Base stat value (50 if missing)
+ */
+function getBaseStat(apiData, statName) {
+    return apiData.stats.find(stat => stat.stat.name === statName)?.base_stat || 50;
+}
+
+/**
+ * Formats raw PokeAPI move data into our game's move structure.
+ * @param {Object} apiMove - Raw move data from PokeAPI
+ * @returns {Object} Formatted move object
+ */
+function formatMoveData(apiMove) {
+    return {
+        id: apiMove.id,
+        name: formatDisplayName(apiMove.name),
+        power: apiMove.power || 0,
+        // null accuracy means the move never misses
+        accuracy: apiMove.accuracy,
+        type: apiMove.type.name,
+        damageClass: apiMove.damage_class.name,
+        ailment: apiMove.meta?.ailment?.name || null,
+        // Status moves report a 0% chance but always inflict their ailment
+        ailmentChance: apiMove.damage_class.name === 'status'
+            ? 100
+            : (apiMove.meta?.ailment_chance || 0)
     };
 }
 
@@ -117,28 +585,155 @@ function formatPokemonData(apiData) {
 // ==========================================
 
 /**
- * Generates an array of unique random Pokemon IDs.
+ * Gets the Pokemon IDs in the generations the encounter filters allow.
+ * @param {Object} filters - Encounter filters (see DEFAULT_ENCOUNTER_FILTERS)
+ * @returns {number[]} IDs from the active data source
+ */
+function getEncounterPool(filters = getEncounterFilters()) {
+    const ranges = GENERATIONS.filter(generation => filters.generations.includes(generation.id));
+    
+    return getDataSource().getPokemonIds()
+        .filter(id => ranges.some(range => id >= range.firstId && id <= range.lastId));
+}
+
+/**
+ * Checks whether the encounter filters allow a species.
+ * @param {Object} species - Raw species data
+ * @param {Object} filters - Encounter filters (see DEFAULT_ENCOUNTER_FILTERS)
+ * @returns {boolean} True if the species can be encountered
+ */
+function isSpeciesAllowed(species, filters) {
+    if (species.is_legendary && !filters.legendaries) return false;
+    if (species.is_mythical && !filters.mythicals) return false;
+    return true;
+}
+
+/**
+ * Looks up the name of a Pokemon's strength tier.
+ * @param {number} id - Pokemon ID
+ * @returns {Promise<string>} Strength tier name (see getStrengthTier)
+ */
+async function fetchStrengthTier(id) {
+    if (!strengthTierCache.has(id)) {
+        const request = getDataSource().getPokemon(id)
+            .then(data => {
+                if (!data) {
+                    throw new Error(`Pokemon not found: ${id}`);
+                }
+                return getStrengthTier(calculateStrength(data.base_experience || 100)).name;
+            });
+        
+        // Don't keep failed lookups around so they can be retried
+        request.catch(() => strengthTierCache.delete(id));
+        strengthTierCache.set(id, request);
+    }
+    
+    return strengthTierCache.get(id);
+}
+
+/**
+ * Checks whether a Pokemon's strength tier is one of the given tiers.
+ * @param {number} id - Pokemon ID
+ * @param {string[]} tiers - Strength tier names (see getStrengthTier)
+ * @returns {Promise<boolean>} True if it fits (false if its data can't be loaded)
+ */
+async function fitsStrengthTiers(id, tiers) {
+    try {
+        return tiers.includes(await fetchStrengthTier(id));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Generates unique random Pokemon IDs that match the run's encounter filters.
+ * Each Pokemon is drawn with a weight of its species' capture rate, so
+ * common Pokemon turn up far more often than rare ones like legendaries.
+ * Candidates are drawn in batches before any species data is loaded, so a
+ * seeded run draws the same IDs however the requests finish.
+ * If too few Pokemon fit the strength tiers, the rest are drawn from any tier.
  * @param {number} count - Number of IDs to generate
- * @returns {number[]} Array of unique random IDs
+ * @param {Set<number>} excludedIds - IDs that mustn't be picked (e.g. ones already tried)
+ * @param {string[]|null} tiers - Strength tiers to draw from (see getStrengthTier), or null for any
+ * @returns {Promise<number[]>} Unique random IDs (fewer than count if the pool is too small)
+ * @throws {Error} If no Pokemon match the filters, or species data can't be loaded
  */
-function generateRandomPokemonIds(count) {
+async function generateRandomPokemonIds(count, excludedIds = new Set(), tiers = null) {
+    const filters = getEncounterFilters();
+    const available = getEncounterPool(filters).filter(id => !excludedIds.has(id));
+    const target = Math.min(count, available.length);
     const ids = new Set();
     
-    while (ids.size < count) {
-        ids.add(getRandomInt(MIN_POKEMON_ID, MAX_POKEMON_ID));
+    for (let batch = 0; ids.size < target; batch++) {
+        if (batch >= MAX_ENCOUNTER_DRAW_BATCHES) break;
+        
+        const candidates = Array.from({ length: (target - ids.size) * ENCOUNTER_DRAWS_PER_POKEMON }, () => ({
+            id: randomChoice(available),
+            roll: random() * MAX_CAPTURE_RATE
+        }));
+        const results = await Promise.allSettled(candidates.map(candidate => fetchSpecies(candidate.id)));
+        
+        // Species data can only go missing for the whole batch if the network is down
+        if (results.every(result => result.status === 'rejected')) {
+            throw results[0].reason;
+        }
+        
+        const accepted = candidates.filter((candidate, i) => {
+            const species = results[i].value;
+            return species && isSpeciesAllowed(species, filters) && candidate.roll < species.capture_rate;
+        });
+        
+        // Tiers are checked in draw order, only for as many candidates as are still needed
+        let next = 0;
+        while (ids.size < target && next < accepted.length) {
+            const checking = accepted.slice(next, next + target - ids.size);
+            next += checking.length;
+            
+            const fits = tiers
+                ? await Promise.all(checking.map(candidate => fitsStrengthTiers(candidate.id, tiers)))
+                : checking.map(() => true);
+            checking.forEach((candidate, i) => {
+                if (ids.size < target && fits[i]) ids.add(candidate.id);
+            });
+        }
+    }
+    
+    if (tiers && ids.size < target) {
+        const rest = await generateRandomPokemonIds(target - ids.size, new Set([...excludedIds, ...ids]));
+        rest.forEach(id => ids.add(id));
+    }
+    
+    if (count > 0 && ids.size === 0) {
+        throw new Error('No Pokemon match the encounter filters');
     }
     
     return Array.from(ids);
 }
 
 /**
- * Generates a random integer between min and max (inclusive).
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {number} Random integer
+ * Returns a shuffled copy of an array (Fisher-Yates).
+ * @param {Array} array - Array to shuffle
+ * @param {Function} randomFn - Source of randomness (defaults to the shared generator)
+ * @returns {Array} New shuffled array
+ */
+function shuffleArray(array, randomFn = random) {
+    const shuffled = [...array];
+    
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randomInt(0, i, randomFn);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    
+    return shuffled;
+}
+
+/**
+ * Turns a PokeAPI slug into a display name (e.g. "thunder-punch" -> "Thunder Punch").
+ * @param {string} slug - Hyphenated PokeAPI name
+ * @returns {string} Display name
  */
-function getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+function formatDisplayName(slug) {
+    return slug.split('-').map(capitalizeFirst).join(' ');
 }
 
 /**
@@ -156,10 +751,24 @@ function capitalizeFirst(str) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         fetchPokemon,
+        fetchMove,
+        fetchMoveset,
+        fetchSpecies,
+        fetchCaptureRate,
+        fetchSpeciesOfType,
+        fetchEvolutionOptions,
+        fetchEvolvedForm,
+        backfillPokemon,
+        backfillTeam,
         fetchMultiplePokemon,
         fetchRandomTeam,
         fetchRandomPokemon,
-        formatPokemonData
+        fetchRandomPokemonWithRerolls,
+        getEncounterPool,
+        generateRandomPokemonIds,
+        calculateStrength,
+        formatPokemonData,
+        formatMoveData
     };
 }
 
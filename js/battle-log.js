@@ -0,0 +1,391 @@
+/**
+ * Battle Log Recording
+ *
+ * Records every battle as a structured log: who took part, the random seed,
+ * and an event for each attack, switch and status effect along with the state
+ * of both active Pokemon afterwards. Finished logs are kept in localStorage,
+ * can be exported and imported as JSON, and are played back on the replay page.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** localStorage keys */
+const BATTLE_LOGS_STORAGE_KEY = 'pokemonBattleLogs';
+const CURRENT_LOG_STORAGE_KEY = 'pokemonBattleCurrentLog';
+
+/** Log format version, bumped when the structure changes */
+const BATTLE_LOG_VERSION = 1;
+
+/** Number of finished logs kept (oldest are dropped first) */
+const MAX_SAVED_BATTLE_LOGS = 20;
+
+/** How a logged battle ended */
+const BATTLE_LOG_OUTCOMES = {
+    WIN: 'win',
+    LOSS: 'loss',
+    ESCAPED: 'escaped',
+    CAUGHT: 'caught',
+    ABANDONED: 'abandoned'
+};
+
+/** Display names for each outcome */
+const BATTLE_LOG_OUTCOME_NAMES = {
+    win: 'Won',
+    loss: 'Lost',
+    escaped: 'Got away',
+    caught: 'Caught',
+    abandoned: 'Abandoned'
+};
+
+/** Pokemon fields kept in log snapshots (enough to draw a battle card) */
+const SNAPSHOT_FIELDS = [
+    'id', 'name', 'level', 'hp', 'maxHp', 'attack', 'defense', 'specialAttack',
+    'specialDefense', 'speed', 'types', 'sprite', 'spriteBack', 'isShiny', 'strength', 'status',
+    'ability', 'statStages', 'heldItem'
+];
+
+// ==========================================
+// Recording
+// ==========================================
+
+/**
+ * Copies the parts of a Pokemon a log needs, so later changes don't alter the log.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object|null} Pokemon snapshot
+ */
+function snapshotPokemon(pokemon) {
+    if (!pokemon) return null;
+    
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (pokemon[field] !== undefined) {
+            snapshot[field] = Array.isArray(pokemon[field]) ? [...pokemon[field]] : pokemon[field];
+        }
+    });
+    
+    // Only the classic sprite is kept, to keep logs small
+    const shinySprite = pokemon.isShiny && pokemon.sprites?.classic?.frontShiny;
+    if (shinySprite) {
+        snapshot.sprite = shinySprite;
+    }
+    return snapshot;
+}
+
+/**
+ * Starts recording a new battle.
+ * @param {Object} details - Battle details
+ * @param {Object} details.encounter - The encounter being fought
+ * @param {Object[]} details.playerTeam - The player's team
+ * @param {string} details.seed - Seed of the run
+ * @param {number} details.rngState - Random number generator state when the battle started
+ * @param {number} details.round - Battle round
+ * @param {string} details.difficulty - Enemy AI difficulty
+ * @param {string} details.battleMode - Turn-based or quick battle
+ * @returns {Object} The new log
+ */
+function startBattleLog(details) {
+    const { encounter, playerTeam } = details;
+    
+    const log = {
+        version: BATTLE_LOG_VERSION,
+        // Not drawn from the game's generator, so recording never changes how a seeded run plays out
+        id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        seed: details.seed,
+        rngState: details.rngState,
+        round: details.round,
+        difficulty: details.difficulty,
+        battleMode: details.battleMode,
+        encounterType: encounter.type,
+        trainer: encounter.trainer ? { ...encounter.trainer } : null,
+        participants: {
+            player: playerTeam.map(snapshotPokemon),
+            enemy: encounter.team.map(snapshotPokemon)
+        },
+        events: [],
+        outcome: null
+    };
+    
+    saveCurrentBattleLog(log);
+    return log;
+}
+
+/**
+ * Adds an event to the battle being recorded.
+ * @param {Object} event - Event with a type, message, and the active Pokemon afterwards
+ * @returns {Object|null} The recorded event, or null if no battle is being recorded
+ */
+function logBattleEvent(event) {
+    const log = loadCurrentBattleLog();
+    if (!log) return null;
+    
+    const recorded = { index: log.events.length, ...event };
+    log.events.push(recorded);
+    saveCurrentBattleLog(log);
+    return recorded;
+}
+
+/**
+ * Finishes the battle being recorded and files it with the saved logs.
+ * @param {string} outcome - How the battle ended (one of BATTLE_LOG_OUTCOMES)
+ * @returns {Object|null} The finished log, or null if no battle was being recorded
+ */
+function finishBattleLog(outcome) {
+    const log = loadCurrentBattleLog();
+    if (!log) return null;
+    
+    log.outcome = outcome;
+    log.endedAt = new Date().toISOString();
+    
+    const logs = loadBattleLogs();
+    logs.unshift(log);
+    saveBattleLogs(logs.slice(0, MAX_SAVED_BATTLE_LOGS));
+    clearCurrentBattleLog();
+    
+    return log;
+}
+
+/**
+ * Gets a short title for a log, naming who the player fought.
+ * @param {Object} log - Battle log
+ * @returns {string} Log title (e.g. "Youngster Joey" or "Wild Pidgey")
+ */
+function getBattleLogTitle(log) {
+    if (log.trainer) {
+        return `${log.trainer.title} ${log.trainer.name}`;
+    }
+    const enemy = log.participants.enemy[0];
+    return `Wild ${enemy ? enemy.name : 'Pokemon'}`;
+}
+
+// ==========================================
+// Storage
+// ==========================================
+
+/**
+ * Saves the battle currently being recorded.
+ * @param {Object} log - In-progress battle log
+ */
+function saveCurrentBattleLog(log) {
+    try {
+        localStorage.setItem(CURRENT_LOG_STORAGE_KEY, JSON.stringify(log));
+    } catch (error) {
+        console.error('Error saving battle log:', error);
+    }
+}
+
+/**
+ * Loads the battle currently being recorded.
+ * @returns {Object|null} In-progress battle log or null if none
+ */
+function loadCurrentBattleLog() {
+    try {
+        const stored = localStorage.getItem(CURRENT_LOG_STORAGE_KEY);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        console.error('Error loading battle log:', error);
+    }
+    return null;
+}
+
+/**
+ * Stops recording without saving the current battle.
+ */
+function clearCurrentBattleLog() {
+    localStorage.removeItem(CURRENT_LOG_STORAGE_KEY);
+}
+
+/**
+ * Saves the list of finished battle logs.
+ * @param {Object[]} logs - Finished logs, newest first
+ */
+function saveBattleLogs(logs) {
+    try {
+        localStorage.setItem(BATTLE_LOGS_STORAGE_KEY, JSON.stringify(logs));
+    } catch (error) {
+        console.error('Error saving battle logs:', error);
+    }
+}
+
+/**
+ * Loads the finished battle logs.
+ * @returns {Object[]} Finished logs, newest first
+ */
+function loadBattleLogs() {
+    try {
+        const stored = localStorage.getItem(BATTLE_LOGS_STORAGE_KEY);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        console.error('Error loading battle logs:', error);
+    }
+    return [];
+}
+
+/**
+ * Deletes a finished battle log.
+ * @param {string} id - ID of the log to delete
+ */
+function deleteBattleLog(id) {
+    saveBattleLogs(loadBattleLogs().filter(log => log.id !== id));
+}
+
+// ==========================================
+// Import / Export
+// ==========================================
+
+/**
+ * Converts a battle log to a JSON string for sharing.
+ * @param {Object} log - Battle log
+ * @returns {string} Pretty-printed JSON
+ */
+function exportBattleLog(log) {
+    return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it is an object
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a Pokemon snapshot from an imported log can be drawn as a battle card.
+ * @param {*} snapshot - Snapshot to check
+ * @returns {boolean} True if the snapshot is well formed
+ */
+function isValidPokemonSnapshot(snapshot) {
+    if (!isPlainObject(snapshot) || typeof snapshot.name !== 'string') {
+        return false;
+    }
+    if (!Number.isFinite(snapshot.hp) || !Number.isFinite(snapshot.maxHp) || snapshot.maxHp <= 0) {
+        return false;
+    }
+    
+    const numberFields = ['id', 'level', 'attack', 'defense', 'specialAttack', 'specialDefense', 'speed', 'strength'];
+    if (numberFields.some(field => snapshot[field] !== undefined && !Number.isFinite(snapshot[field]))) {
+        return false;
+    }
+    
+    const stringFields = ['sprite', 'spriteBack', 'status', 'heldItem'];
+    if (stringFields.some(field => snapshot[field] != null && typeof snapshot[field] !== 'string')) {
+        return false;
+    }
+    
+    if (snapshot.types !== undefined && (!Array.isArray(snapshot.types) || !snapshot.types.every(type => typeof type === 'string'))) {
+        return false;
+    }
+    if (snapshot.ability != null && (!isPlainObject(snapshot.ability) || typeof snapshot.ability.name !== 'string')) {
+        return false;
+    }
+    if (snapshot.statStages !== undefined && (!isPlainObject(snapshot.statStages) || !Object.values(snapshot.statStages).every(Number.isFinite))) {
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Checks that an imported log has everything the replay page reads from it.
+ * @param {*} log - Parsed log to check
+ * @returns {boolean} True if the log is well formed
+ */
+function isValidBattleLog(log) {
+    if (!isPlainObject(log) || typeof log.id !== 'string' || !log.id) {
+        return false;
+    }
+    
+    const participants = log.participants;
+    if (!isPlainObject(participants) || !Array.isArray(participants.player) || !Array.isArray(participants.enemy)) {
+        return false;
+    }
+    if (!participants.player.concat(participants.enemy).every(isValidPokemonSnapshot)) {
+        return false;
+    }
+    
+    if (log.trainer != null && (!isPlainObject(log.trainer) || !['title', 'name', 'icon'].every(field => typeof log.trainer[field] === 'string'))) {
+        return false;
+    }
+    if (log.outcome != null && !BATTLE_LOG_OUTCOME_NAMES[log.outcome]) {
+        return false;
+    }
+    
+    return Array.isArray(log.events) && log.events.every(event => (
+        isPlainObject(event) &&
+        typeof event.message === 'string' &&
+        isValidPokemonSnapshot(event.player) &&
+        isValidPokemonSnapshot(event.enemy)
+    ));
+}
+
+/**
+ * Parses and checks a battle log exported with exportBattleLog.
+ * @param {string} json - JSON text of a battle log
+ * @returns {Object} The battle log
+ * @throws {Error} If the text isn't a valid battle log
+ */
+function parseBattleLog(json) {
+    let log;
+    try {
+        log = JSON.parse(json);
+    } catch (error) {
+        throw new Error('That file is not valid JSON.');
+    }
+    
+    if (!isValidBattleLog(log)) {
+        throw new Error('That file is not a battle log.');
+    }
+    if (log.version > BATTLE_LOG_VERSION) {
+        throw new Error('That battle log was made by a newer version of the game.');
+    }
+    
+    return log;
+}
+
+/**
+ * Imports a battle log, adding it to the saved logs.
+ * Importing a log that is already saved replaces the saved copy.
+ * @param {string} json - JSON text of a battle log
+ * @returns {Object} The imported log
+ * @throws {Error} If the text isn't a valid battle log
+ */
+function importBattleLog(json) {
+    const log = parseBattleLog(json);
+    const logs = loadBattleLogs().filter(saved => saved.id !== log.id);
+    
+    logs.unshift(log);
+    saveBattleLogs(logs.slice(0, MAX_SAVED_BATTLE_LOGS));
+    return log;
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BATTLE_LOG_VERSION,
+        BATTLE_LOG_OUTCOMES,
+        BATTLE_LOG_OUTCOME_NAMES,
+        snapshotPokemon,
+        startBattleLog,
+        logBattleEvent,
+        finishBattleLog,
+        getBattleLogTitle,
+        loadCurrentBattleLog,
+        clearCurrentBattleLog,
+        loadBattleLogs,
+        deleteBattleLog,
+        exportBattleLog,
+        parseBattleLog,
+        importBattleLog
+    };
+}
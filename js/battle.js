@@ -5,93 +5,351 @@
  * switching Pokemon, and battle flow.
  */
 
+// ==========================================
+// Constants
+// ==========================================
+
+/** How a turn ended */
+const TURN_OUTCOMES = {
+    CONTINUE: 'continue',
+    ENEMY_FAINTED: 'enemyFainted',
+    PLAYER_FAINTED: 'playerFainted',
+    ESCAPED: 'escaped',
+    CAUGHT: 'caught'
+};
+
+/** Menus shown in the action panel during a turn-based battle */
+const BATTLE_MENUS = {
+    ACTIONS: 'actions',
+    MOVES: 'moves',
+    BAG: 'bag'
+};
+
+/** Safety limit on turns in a quick battle */
+const MAX_QUICK_BATTLE_TURNS = 50;
+
+/** Move button value that lets a quick battle pick the best move every turn */
+const AUTO_MOVE = 'auto';
+
 // ==========================================
 // Game State
 // ==========================================
 const gameState = {
     round: 1,
     wins: 0,
+    difficulty: DEFAULT_AI_DIFFICULTY,
+    encounterFilters: DEFAULT_ENCOUNTER_FILTERS,
     isLoading: true,
     isBattling: false,
+    controlsEnabled: false,
+    battleMode: BATTLE_MODES.MANUAL,
+    battleMenu: BATTLE_MENUS.ACTIONS,
+    awaitingSwitch: false,
+    escapeAttempts: 0,
+    retryAction: null,
     playerTeam: [
         { id: 1, name: '???', hp: 100, maxHp: 100, sprite: null },
         { id: 2, name: '???', hp: 100, maxHp: 100, sprite: null },
         { id: 3, name: '???', hp: 100, maxHp: 100, sprite: null }
     ],
     activePlayerPokemon: 0,
+    encounter: null,
     enemyPokemon: { name: '???', hp: 100, maxHp: 100, sprite: null }
 };
 
 // ==========================================
-// Battle Sequence
+// Battle Turns
 // ==========================================
 
 /**
- * Runs the full battle sequence until one Pokemon faints.
- * Executes turn by turn with visual updates.
+ * Plays a single turn: the player's action and the enemy's action in turn order,
+ * then end-of-turn status effects. Switching, using items, throwing balls and running happen before any moves.
+ * @param {Object} action - Player action: { type: 'fight', move }, { type: 'switch', slot },
+ *   { type: 'item', itemId }, { type: 'catch', itemId, captureRate } or { type: 'run' }
+ * @returns {Promise<string>} Turn outcome (one of TURN_OUTCOMES)
  */
-async function runBattleSequence() {
+async function playTurn(action) {
+    gameState.encounter.turn = (gameState.encounter.turn || 0) + 1;
+    
+    // The enemy decides before seeing what the player chose
+    const enemyAction = chooseEnemyAction(gameState.difficulty, getEnemySituation());
+    
+    if (action.type === 'switch') {
+        switchActivePokemon(action.slot);
+        await delay(1000);
+    } else if (action.type === 'item') {
+        useBattleItem(action.itemId);
+        await delay(1000);
+    } else if (action.type === 'catch') {
+        if (await throwBall(action.itemId, action.captureRate)) return TURN_OUTCOMES.CAUGHT;
+    } else if (action.type === 'run') {
+        if (await tryToEscape()) return TURN_OUTCOMES.ESCAPED;
+    }
+    
+    if (enemyAction.type === 'switch') {
+        await switchEnemyPokemon(enemyAction.slot);
+    }
+    
     const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
     const enemyPokemon = gameState.enemyPokemon;
     
+    const attacks = [];
+    if (action.type === 'fight') {
+        attacks.push({ attacker: playerPokemon, defender: enemyPokemon, move: action.move, isPlayerAttack: true });
+    }
+    if (enemyAction.type === 'fight') {
+        attacks.push({ attacker: enemyPokemon, defender: playerPokemon, move: enemyAction.move, isPlayerAttack: false });
+    }
+    
+    // Determine who attacks first based on Speed
+    if (attacks.length === 2 && !determineTurnOrder(playerPokemon, enemyPokemon)) {
+        attacks.reverse();
+    }
+    
+    for (const [index, attack] of attacks.entries()) {
+        // A Pokemon knocked out earlier in the turn doesn't get to attack
+        if (attack.attacker.hp <= 0) break;
+        
+        if (index > 0) await delay(800);
+        await playAttack(attack.attacker, attack.defender, attack.move, attack.isPlayerAttack);
+    }
+    
+    if (playerPokemon.hp > 0 && enemyPokemon.hp > 0) {
+        await applyEndOfTurnEffects([playerPokemon, enemyPokemon]);
+    }
+    
+    // Save after every turn so a reload resumes mid-fight
+    saveTeam(gameState.playerTeam);
+    saveEncounter(gameState.encounter);
+    saveProgress();
+    
+    if (enemyPokemon.hp <= 0) return TURN_OUTCOMES.ENEMY_FAINTED;
+    if (playerPokemon.hp <= 0) return TURN_OUTCOMES.PLAYER_FAINTED;
+    return TURN_OUTCOMES.CONTINUE;
+}
+
+/**
+ * Describes the battle from the enemy's side, for the enemy AI.
+ * @returns {Object} Battle situation (see ai.js)
+ */
+function getEnemySituation() {
+    return {
+        self: gameState.enemyPokemon,
+        opponent: gameState.playerTeam[gameState.activePlayerPokemon],
+        team: gameState.encounter.team,
+        activeIndex: gameState.encounter.activeIndex
+    };
+}
+
+/**
+ * Executes one attack and shows its result.
+ * @param {Object} attacker - Attacking Pokemon
+ * @param {Object} defender - Defending Pokemon
+ * @param {Object} move - Move being used
+ * @param {boolean} isPlayerAttack - Whether the player is attacking
+ */
+async function playAttack(attacker, defender, move, isPlayerAttack) {
+    const result = executeAttack(attacker, defender, move, isPlayerAttack);
+    recordBattleEvent('attack', describeAttackResult(result), { side: isPlayerAttack ? 'player' : 'enemy', result });
+    await showAttackResult(result);
+    renderBattle();
+}
+
+/**
+ * Uses an item from the bag on the player's active Pokemon.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ */
+function useBattleItem(itemId) {
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    const effect = applyBattleItem(playerPokemon, itemId);
+    removeBagItem(itemId);
+    
+    const message = `You used ${BAG_ITEMS[itemId].name}! ${effect}`;
+    recordBattleEvent('item', message, { pokemon: playerPokemon.name, itemId });
+    showBattleMessage(message);
+    renderBattle();
+}
+
+/**
+ * Throws a ball from the bag at the wild enemy.
+ * @param {string} itemId - Ball item ID (see BAG_ITEMS)
+ * @param {number} captureRate - The enemy species' capture rate
+ * @returns {Promise<boolean>} True if the enemy was caught (false if the ball wasn't in the bag)
+ */
+async function throwBall(itemId, captureRate) {
+    const ball = BAG_ITEMS[itemId];
+    const enemyPokemon = gameState.enemyPokemon;
+    if (!removeBagItem(itemId)) return false;
+    
+    const caught = attemptCatch(enemyPokemon, captureRate, ball.catchRate);
+    const message = caught
+        ? `You threw a ${ball.name}! Gotcha! ${enemyPokemon.name} was caught!`
+        : `You threw a ${ball.name}! Oh no! ${enemyPokemon.name} broke free!`;
+    
+    recordBattleEvent('catch', message, { itemId, caught });
+    showBattleMessage(message);
+    await delay(1200);
+    return caught;
+}
+
+/**
+ * Adds the caught wild enemy to the party, or to a storage box if the party is full.
+ */
+async function handleEnemyCaught() {
+    const caught = { ...gameState.enemyPokemon };
+    clearStatStages(caught);
+    
+    // Drop the round boost so the catch keeps the stats of its level
+    delete caught.statMultiplier;
+    applyLevel(caught, caught.level);
+    
+    recordCatch();
+    finishBattleLog(BATTLE_LOG_OUTCOMES.CAUGHT);
+    markPokemonOwned(caught);
+    
+    if (gameState.playerTeam.length < getPartySize()) {
+        gameState.playerTeam.push(caught);
+        saveTeam(gameState.playerTeam);
+        showBattleMessage(`${caught.name} joined your team!`);
+    } else {
+        const boxIndex = storePokemon(caught);
+        showBattleMessage(`Your team is full, so ${caught.name} was sent to ${loadBoxes()[boxIndex].name}.`);
+    }
+    
+    renderBattle();
+    await delay(1500);
+}
+
+/**
+ * Tries to run away from the wild enemy.
+ * @returns {Promise<boolean>} True if the player got away
+ */
+async function tryToEscape() {
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    
+    if (attemptEscape(playerPokemon, gameState.enemyPokemon, gameState.escapeAttempts)) {
+        recordBattleEvent('run', 'Got away safely!', { escaped: true });
+        showBattleMessage('Got away safely!');
+        await delay(1200);
+        return true;
+    }
+    
+    gameState.escapeAttempts++;
+    recordBattleEvent('run', `${playerPokemon.name} couldn't get away!`, { escaped: false });
+    showBattleMessage(`${playerPokemon.name} couldn't get away!`);
+    await delay(1200);
+    return false;
+}
+
+/**
+ * Handles whatever ended a turn: a win, a faint or running away.
+ * @param {string} outcome - Turn outcome (one of TURN_OUTCOMES)
+ */
+async function handleTurnOutcome(outcome) {
+    if (outcome === TURN_OUTCOMES.ESCAPED) {
+        finishBattleLog(BATTLE_LOG_OUTCOMES.ESCAPED);
+        await loadNextEncounter();
+        return;
+    }
+    
+    if (outcome === TURN_OUTCOMES.CAUGHT) {
+        await handleEnemyCaught();
+        await loadNextEncounter();
+        return;
+    }
+    
+    if (outcome === TURN_OUTCOMES.ENEMY_FAINTED) {
+        await handleEnemyFainted();
+    }
+    
+    // The player's Pokemon can faint in the same turn as the enemy (e.g. from a burn)
+    if (gameState.playerTeam[gameState.activePlayerPokemon].hp <= 0) {
+        await handlePokemonFainted();
+    }
+}
+
+/**
+ * Runs a quick battle: the player's move is used every turn until one Pokemon faints.
+ * @param {Object|null} playerMove - The move the player's Pokemon uses each turn,
+ *   or null to pick the most effective move every turn
+ */
+async function runBattleSequence(playerMove) {
     gameState.isBattling = true;
     setButtonsEnabled(false);
     
+    let outcome = TURN_OUTCOMES.CONTINUE;
     let turnCount = 0;
-    const maxTurns = 50; // Safety limit
     
     // Battle continues until one Pokemon faints
-    while (playerPokemon.hp > 0 && enemyPokemon.hp > 0 && turnCount < maxTurns) {
+    while (outcome === TURN_OUTCOMES.CONTINUE && turnCount < MAX_QUICK_BATTLE_TURNS) {
         turnCount++;
-        
-        // Determine who attacks first based on strength (with some randomness)
-        const playerGoesFirst = determineTurnOrder(playerPokemon, enemyPokemon);
-        
-        if (playerGoesFirst) {
-            // Player attacks first
-            const playerResult = executeAttack(playerPokemon, enemyPokemon, true);
-            await showAttackResult(playerResult);
-            renderBattle();
-            
-            if (enemyPokemon.hp <= 0) break;
-            
-            await delay(800);
-            
-            // Enemy attacks
-            const enemyResult = executeAttack(enemyPokemon, playerPokemon, false);
-            await showAttackResult(enemyResult);
-            renderBattle();
-            saveTeam(gameState.playerTeam);
-        } else {
-            // Enemy attacks first
-            const enemyResult = executeAttack(enemyPokemon, playerPokemon, false);
-            await showAttackResult(enemyResult);
-            renderBattle();
-            saveTeam(gameState.playerTeam);
-            
-            if (playerPokemon.hp <= 0) break;
-            
-            await delay(800);
-            
-            // Player attacks
-            const playerResult = executeAttack(playerPokemon, enemyPokemon, true);
-            await showAttackResult(playerResult);
-            renderBattle();
-        }
-        
+        const move = playerMove || getBestDamagingMove(
+            gameState.playerTeam[gameState.activePlayerPokemon],
+            gameState.enemyPokemon
+        ).move;
+        outcome = await playTurn({ type: 'fight', move });
         await delay(600);
     }
     
     // Battle ended - determine outcome
     await delay(500);
+    await handleTurnOutcome(outcome);
     
-    if (enemyPokemon.hp <= 0) {
-        await handleBattleWin();
-    } else if (playerPokemon.hp <= 0) {
-        await handlePokemonFainted();
+    gameState.isBattling = false;
+    
+    if (outcome === TURN_OUTCOMES.CONTINUE) {
+        setButtonsEnabled(true);
+        showBattleMessage('Both Pokemon are worn out! Choose your next move.');
     }
+}
+
+/**
+ * Runs a single turn of a turn-based battle, then waits for the player's next choice.
+ * @param {Object} action - Player action (see playTurn)
+ */
+async function runManualTurn(action) {
+    gameState.isBattling = true;
+    gameState.battleMenu = BATTLE_MENUS.ACTIONS;
+    setButtonsEnabled(false);
+    
+    const outcome = await playTurn(action);
+    await handleTurnOutcome(outcome);
     
     gameState.isBattling = false;
+    renderMoveButtons();
+    
+    if (outcome === TURN_OUTCOMES.CONTINUE) {
+        const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+        setButtonsEnabled(true);
+        showBattleMessage(`What will ${playerPokemon.name} do?`);
+    }
+}
+
+/**
+ * Applies end-of-turn status damage, then held item healing, to each Pokemon still standing.
+ * @param {Object[]} pokemonList - Pokemon in battle
+ */
+async function applyEndOfTurnEffects(pokemonList) {
+    for (const pokemon of pokemonList) {
+        const result = applyEndOfTurnStatus(pokemon);
+        if (result) {
+            const faintedMsg = result.fainted ? ` ${pokemon.name} fainted!` : '';
+            recordBattleEvent('status', `${result.message}${faintedMsg}`, { pokemon: pokemon.name, damage: result.damage });
+            showBattleMessage(`${result.message}${faintedMsg}`);
+            renderBattle();
+            saveTeam(gameState.playerTeam);
+            await delay(1000);
+        }
+        
+        const itemResult = applyEndOfTurnItem(pokemon);
+        if (itemResult) {
+            recordBattleEvent('item', itemResult.message, { pokemon: pokemon.name, healing: itemResult.healing });
+            showBattleMessage(itemResult.message);
+            renderBattle();
+            saveTeam(gameState.playerTeam);
+            await delay(1000);
+        }
+    }
 }
 
 /**
@@ -99,55 +357,321 @@ async function runBattleSequence() {
  * @param {Object} result - Attack result object
  */
 async function showAttackResult(result) {
-    let message = `${result.attacker} attacks ${result.defender} for ${result.damage} damage!`;
+    showBattleMessage(describeAttackResult(result));
+    await delay(1200);
+}
+
+/**
+ * Builds the battle message describing an attack.
+ * @param {Object} result - Attack result object
+ * @returns {string} Battle message
+ */
+function describeAttackResult(result) {
+    // The attacker's status stopped it from moving
+    if (result.skipped) {
+        return result.statusMessage;
+    }
+    
+    let message = result.statusMessage ? `${result.statusMessage} ` : '';
+    message += `${result.attacker} used ${result.move}!`;
+    
+    if (result.missed) {
+        message += ' But it missed!';
+    } else if (!result.isStatusMove) {
+        message += ` ${result.defender} took ${result.damage} damage!`;
+    }
     
     if (result.effectivenessMsg) {
         message += ` ${result.effectivenessMsg}`;
     }
     
+    if (result.statusInflicted) {
+        message += ` ${result.defender} ${STATUS_CONDITIONS[result.statusInflicted].inflicted}!`;
+    } else if (result.isStatusMove && !result.missed && result.typeMultiplier !== 0) {
+        message += ' But it failed!';
+    }
+    
+    if (result.abilityMessage) {
+        message += ` ${result.abilityMessage}`;
+    }
+    
+    if (result.itemMessage) {
+        message += ` ${result.itemMessage}`;
+    }
+    
     if (result.defenderFainted) {
         message += ` ${result.defender} fainted!`;
     }
     
-    showBattleMessage(message);
-    await delay(1200);
+    return message;
+}
+
+/**
+ * Applies a Pokemon's ability as it enters battle (e.g. Intimidate) and records it.
+ * @param {Object} pokemon - The Pokemon entering battle
+ * @param {Object} foe - The Pokemon it is facing
+ * @returns {string} Battle message for the ability (or empty string if nothing happened)
+ */
+function triggerEntryAbility(pokemon, foe) {
+    const message = applyEntryAbility(pokemon, foe);
+    if (!message) return '';
+    
+    recordBattleEvent('ability', message, { pokemon: pokemon.name });
+    renderBattle();
+    return message;
+}
+
+/**
+ * Applies both active Pokemon's entry abilities at the start of a battle.
+ * Stat changes left over from the last battle wear off first.
+ */
+async function playBattleStartAbilities() {
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    const enemyPokemon = gameState.enemyPokemon;
+    gameState.playerTeam.forEach(clearStatStages);
+    
+    const messages = [
+        triggerEntryAbility(playerPokemon, enemyPokemon),
+        triggerEntryAbility(enemyPokemon, playerPokemon)
+    ].filter(Boolean);
+    
+    for (const message of messages) {
+        await delay(1500);
+        showBattleMessage(message);
+    }
+    saveTeam(gameState.playerTeam);
+    saveEncounter(gameState.encounter);
+}
+
+/**
+ * Handles the enemy's active Pokemon fainting.
+ * A trainer sends out their next Pokemon; beating the last one wins the battle.
+ */
+async function handleEnemyFainted() {
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    const defeated = gameState.enemyPokemon;
+    const coinsBefore = getCoins();
+    
+    addCoins(REWARDS.DEFEAT_POKEMON, COIN_REASONS.DEFEAT_POKEMON, defeated.name);
+    
+    if (gameState.encounter.type === ENCOUNTER_TYPES.WILD) {
+        await handleBattleWin(coinsBefore);
+        await awardExperience(playerPokemon, defeated);
+        await checkForEvolution(gameState.activePlayerPokemon);
+        await loadNextEncounter();
+        return;
+    }
+    
+    showBattleMessage(`${playerPokemon.name} defeated ${defeated.name}! You earned ${getCoins() - coinsBefore} coins!`);
+    await delay(1500);
+    
+    await awardExperience(playerPokemon, defeated);
+    await checkForEvolution(gameState.activePlayerPokemon);
+    
+    if (!isEncounterDefeated(gameState.encounter)) {
+        await sendOutNextEnemy();
+        return;
+    }
+    
+    await handleBattleWin();
+    await loadNextEncounter();
 }
 
 /**
- * Handles winning a battle against the enemy.
+ * Handles winning a battle against the enemy (a wild Pokemon or a trainer's whole team).
+ * @param {number} coinsBefore - Balance to count the coins earned from (defaults to the current balance)
  */
-async function handleBattleWin() {
+async function handleBattleWin(coinsBefore = getCoins()) {
     gameState.wins++;
     gameState.round++;
     
     // Save battle progress
-    saveBattleProgress({ round: gameState.round, wins: gameState.wins });
+    saveProgress();
     
-    // Record win and add coins
+    // Record win and add coins (trainers pay a prize on top)
     recordBattleResult(true);
-    addCoins(REWARDS.DEFEAT_POKEMON);
+    finishBattleLog(BATTLE_LOG_OUTCOMES.WIN);
     
-    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
-    showBattleMessage(`${playerPokemon.name} defeated ${gameState.enemyPokemon.name}! You earned ${REWARDS.WIN_BATTLE + REWARDS.DEFEAT_POKEMON} coins!`);
+    if (gameState.encounter.type === ENCOUNTER_TYPES.TRAINER) {
+        addCoins(REWARDS.WIN_TRAINER_BATTLE, COIN_REASONS.WIN_TRAINER_BATTLE, getTrainerDisplayName(gameState.encounter.trainer));
+    }
+    
+    // Report the coins actually recorded, not what the rewards should add up to
+    const earned = getCoins() - coinsBefore;
+    
+    if (gameState.encounter.type === ENCOUNTER_TYPES.TRAINER) {
+        showBattleMessage(`You defeated ${getTrainerDisplayName(gameState.encounter.trainer)}! You earned ${earned} coins!`);
+    } else {
+        const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+        showBattleMessage(`${playerPokemon.name} defeated ${gameState.enemyPokemon.name}! You earned ${earned} coins!`);
+    }
     
     updateBattleUI();
     
     await delay(2000);
+}
+
+/**
+ * Has the trainer send out their next Pokemon after one faints.
+ */
+async function sendOutNextEnemy() {
+    const slot = chooseEnemyReplacement(gameState.difficulty, getEnemySituation());
+    await switchEnemyPokemon(slot);
+    
+    saveEncounter(gameState.encounter);
+    setButtonsEnabled(true);
+}
+
+/**
+ * Switches the trainer's active Pokemon.
+ * @param {number} slot - Slot in the trainer's team to send out
+ */
+async function switchEnemyPokemon(slot) {
+    const previousPokemon = gameState.enemyPokemon;
+    const trainerName = getTrainerDisplayName(gameState.encounter.trainer);
     
-    // Fetch new enemy
+    clearStatStages(previousPokemon);
+    gameState.encounter.activeIndex = slot;
+    gameState.enemyPokemon = getActiveEnemy(gameState.encounter);
+    renderBattle();
+    
+    const message = previousPokemon.hp > 0
+        ? `${trainerName} withdrew ${previousPokemon.name} and sent out ${gameState.enemyPokemon.name}!`
+        : `${trainerName} sent out ${gameState.enemyPokemon.name}!`;
+    
+    recordBattleEvent('switch', message, { side: 'enemy', slot });
+    const abilityMessage = triggerEntryAbility(gameState.enemyPokemon, gameState.playerTeam[gameState.activePlayerPokemon]);
+    showBattleMessage(abilityMessage ? `${message} ${abilityMessage}` : message);
+    await delay(1200);
+}
+
+/**
+ * Makes an encounter the current one.
+ * @param {Object} encounter - Encounter object
+ */
+function setEncounter(encounter) {
+    gameState.encounter = encounter;
+    gameState.enemyPokemon = getActiveEnemy(encounter);
+    gameState.escapeAttempts = 0;
+}
+
+/**
+ * Fetches the next encounter for the current round.
+ */
+async function loadNextEncounter() {
     showBattleMessage('A new challenger approaches...');
     setButtonsEnabled(false);
     
     try {
-        const newEnemy = await fetchRandomPokemon();
-        gameState.enemyPokemon = newEnemy;
-        saveEnemy(newEnemy);
+        const encounter = await fetchEncounter(gameState.round);
+        setEncounter(encounter);
+        ensureBattleLog();
+        saveEncounter(encounter);
+        saveProgress();
         renderBattle();
-        showBattleMessage(`A wild ${newEnemy.name} appeared! Ready to battle?`);
+        
+        if (encounter.type === ENCOUNTER_TYPES.TRAINER) {
+            await playTrainerIntro();
+        } else {
+            showBattleMessage(`A wild ${gameState.enemyPokemon.name} appeared! Ready to battle?`);
+        }
+        await playBattleStartAbilities();
         setButtonsEnabled(true);
     } catch (error) {
         console.error('Failed to fetch new enemy:', error);
-        showBattleMessage('Failed to find a new challenger. Please refresh.');
+        showLoadError("Couldn't find a new challenger.", loadNextEncounter);
+    }
+}
+
+/**
+ * Plays the trainer's challenge and first send-out.
+ */
+async function playTrainerIntro() {
+    const { trainer, team } = gameState.encounter;
+    const trainerName = getTrainerDisplayName(trainer);
+    
+    battleElements.trainerBanner.classList.add('intro');
+    showBattleMessage(`${trainerName} wants to battle! "${trainer.quote}"`);
+    await delay(2000);
+    battleElements.trainerBanner.classList.remove('intro');
+    
+    showBattleMessage(`${trainerName} has ${team.length} Pokemon. ${trainerName} sent out ${gameState.enemyPokemon.name}!`);
+}
+
+/**
+ * Gives experience for a defeated enemy to the Pokemon that beat it.
+ * @param {Object} pokemon - The player's Pokemon
+ * @param {Object} defeated - The defeated enemy Pokemon
+ */
+async function awardExperience(pokemon, defeated) {
+    if (pokemon.hp <= 0) return;
+    
+    const result = gainExperience(pokemon, getExperienceYield(defeated));
+    saveTeam(gameState.playerTeam);
+    renderBattle();
+    
+    showBattleMessage(`${pokemon.name} gained ${result.xpGained} XP!`);
+    await delay(1200);
+    
+    if (result.levelsGained > 0) {
+        showBattleMessage(`${pokemon.name} grew to level ${result.level}!`);
+        await delay(1500);
+    }
+}
+
+/**
+ * Evolves a team Pokemon if it has reached its evolution level.
+ * Evolution options are looked up once and saved with the Pokemon.
+ * @param {number} slot - Team slot of the Pokemon to check
+ */
+async function checkForEvolution(slot) {
+    const pokemon = gameState.playerTeam[slot];
+    if (!pokemon || pokemon.hp <= 0) return;
+    
+    try {
+        if (!pokemon.evolutions) {
+            pokemon.evolutions = await fetchEvolutionOptions(pokemon);
+            saveTeam(gameState.playerTeam);
+        }
+        
+        const evolution = pokemon.evolutions.find(option => option.minLevel && pokemon.level >= option.minLevel);
+        if (evolution) {
+            await playEvolutionSequence(slot, evolution);
+        }
+    } catch (error) {
+        console.error('Evolution failed:', error);
+        showBattleMessage(`${pokemon.name} stopped evolving.`);
+        await delay(1200);
+    }
+}
+
+/**
+ * Plays the evolution sequence and replaces the Pokemon with its evolved form.
+ * @param {number} slot - Team slot of the evolving Pokemon
+ * @param {Object} evolution - Evolution option to evolve into
+ */
+async function playEvolutionSequence(slot, evolution) {
+    const pokemon = gameState.playerTeam[slot];
+    
+    showBattleMessage(`What? ${pokemon.name} is evolving!`);
+    battleElements.playerPokemon.classList.add('evolving');
+    
+    try {
+        // Fetch the new form while the animation plays
+        const [evolved] = await Promise.all([
+            fetchEvolvedForm(pokemon, evolution),
+            delay(2500)
+        ]);
+        
+        gameState.playerTeam[slot] = evolved;
+        updateTeamPokemon(slot, evolved);
+        markPokemonOwned(evolved);
+        renderBattle();
+        
+        showBattleMessage(`Congratulations! Your ${pokemon.name} evolved into ${evolved.name}!`);
+        await delay(2000);
+    } finally {
+        battleElements.playerPokemon.classList.remove('evolving');
     }
 }
 
@@ -161,12 +685,18 @@ async function handlePokemonFainted() {
     // Check if any Pokemon are still alive
     const alivePokemon = gameState.playerTeam.findIndex(p => p.hp > 0);
     
-    if (alivePokemon >= 0) {
+    if (alivePokemon >= 0 && gameState.battleMode === BATTLE_MODES.MANUAL) {
+        // Player picks who to send out next; that switch doesn't cost a turn
+        gameState.awaitingSwitch = true;
+        setButtonsEnabled(false);
+        showBattleMessage(`${faintedPokemon.name} fainted! Choose your next Pokemon from your team.`);
+    } else if (alivePokemon >= 0) {
         // Auto-switch to next available Pokemon
         gameState.activePlayerPokemon = alivePokemon;
         const nextPokemon = gameState.playerTeam[alivePokemon];
+        const abilityMessage = triggerEntryAbility(nextPokemon, gameState.enemyPokemon);
         
-        showBattleMessage(`${faintedPokemon.name} fainted! Go, ${nextPokemon.name}!`);
+        showBattleMessage(`${faintedPokemon.name} fainted! Go, ${nextPokemon.name}! ${abilityMessage}`.trim());
         renderBattle();
         
         await delay(1500);
@@ -175,12 +705,13 @@ async function handlePokemonFainted() {
     } else {
         // All Pokemon fainted - game over
         recordBattleResult(false);
+        finishBattleLog(BATTLE_LOG_OUTCOMES.LOSS);
         showBattleMessage(`All your Pokemon have fainted! Your streak of ${gameState.wins} wins has ended.`);
         gameState.wins = 0;
         gameState.round = 1;
         
-        // Reset battle progress
-        resetBattleProgress();
+        // Reset battle progress (the run's seed carries on)
+        saveProgress();
         updateBattleUI();
         
         await delay(2000);
@@ -188,6 +719,80 @@ async function handlePokemonFainted() {
     }
 }
 
+/**
+ * Saves the round, wins and random number generator state,
+ * so a reloaded run picks up exactly where it left off.
+ */
+function saveProgress() {
+    saveBattleProgress({
+        round: gameState.round,
+        wins: gameState.wins,
+        difficulty: gameState.difficulty,
+        encounterFilters: gameState.encounterFilters,
+        seed: getRandomSeed(),
+        rngState: getRandomState()
+    });
+}
+
+// ==========================================
+// Battle Log
+// ==========================================
+
+/**
+ * Starts recording the current encounter and links the log to it.
+ */
+function beginBattleLog() {
+    const encounter = gameState.encounter;
+    const log = startBattleLog({
+        encounter,
+        playerTeam: gameState.playerTeam,
+        seed: getRandomSeed(),
+        rngState: getRandomState(),
+        round: gameState.round,
+        difficulty: gameState.difficulty,
+        battleMode: gameState.battleMode
+    });
+    
+    encounter.logId = log.id;
+    encounter.turn = 0;
+    
+    const opponent = encounter.type === ENCOUNTER_TYPES.TRAINER
+        ? getTrainerDisplayName(encounter.trainer)
+        : `A wild ${gameState.enemyPokemon.name}`;
+    recordBattleEvent('start', `${opponent} vs. ${gameState.playerTeam[gameState.activePlayerPokemon].name}!`);
+}
+
+/**
+ * Makes sure the current encounter is being recorded.
+ * A resumed encounter keeps its log; a log left over from another battle is filed as abandoned.
+ */
+function ensureBattleLog() {
+    const currentLog = loadCurrentBattleLog();
+    if (currentLog && currentLog.id === gameState.encounter.logId) return;
+    
+    if (currentLog) {
+        finishBattleLog(BATTLE_LOG_OUTCOMES.ABANDONED);
+    }
+    beginBattleLog();
+}
+
+/**
+ * Adds an event to the battle log, along with both active Pokemon as they are now.
+ * @param {string} type - Event type (start, attack, status, item, catch, switch, ability or run)
+ * @param {string} message - Battle message shown for the event
+ * @param {Object} details - Extra details about the event (optional)
+ */
+function recordBattleEvent(type, message, details = {}) {
+    logBattleEvent({
+        type,
+        turn: gameState.encounter.turn || 0,
+        message,
+        ...details,
+        player: snapshotPokemon(gameState.playerTeam[gameState.activePlayerPokemon]),
+        enemy: snapshotPokemon(gameState.enemyPokemon)
+    });
+}
+
 /**
  * Utility function for async delays.
  * @param {number} ms - Milliseconds to delay
@@ -207,8 +812,17 @@ const battleElements = {
     playerTeam: null,
     playerPokemon: null,
     enemyPokemon: null,
-    attackBtn: null,
+    trainerBanner: null,
+    moveButtons: null,
+    battleModeSelect: null,
     resetBtn: null,
+    seedInput: null,
+    dailySeedBtn: null,
+    seedDisplay: null,
+    difficultySelect: null,
+    difficultyDisplay: null,
+    threatPreview: null,
+    encounterFilters: null,
     userBadge: null
 };
 
@@ -247,55 +861,81 @@ async function loadPokemon() {
         let team;
         let isNewTeam = false;
         
-        if (savedTeam && savedTeam.length === 3) {
-            // Use saved team
-            team = savedTeam;
+        if (savedTeam && savedTeam.length > 0) {
+            // Use saved team, filling in anything older saves are missing
             showBattleMessage('Loading your team...');
+            team = await backfillTeam(savedTeam);
+            saveTeam(team);
         } else {
             // Fetch new team
             isNewTeam = true;
-            team = await fetchRandomTeam(3);
+            team = await fetchRandomTeam(getPartySize());
             // Save the new team
             saveTeam(team);
         }
+        // Also fills in the Pokedex for teams saved before it existed
+        markTeamOwned(team);
         
-        // Check for existing saved enemy, otherwise fetch new one
-        let enemy = loadEnemy();
-        let isNewEnemy = false;
+        // Resume a saved encounter, otherwise fetch a new one
+        let encounter = loadEncounter();
+        let isNewEncounter = false;
         
-        if (!enemy) {
-            isNewEnemy = true;
-            enemy = await fetchRandomPokemon();
-            saveEnemy(enemy);
+        if (!encounter || isEncounterDefeated(encounter)) {
+            isNewEncounter = true;
+            encounter = await fetchEncounter(gameState.round);
+        } else {
+            encounter = await backfillEncounter(encounter);
+            
+            // A reload can land between a trainer's Pokemon fainting and the next one coming out
+            if (getActiveEnemy(encounter).hp <= 0) {
+                encounter.activeIndex = getRemainingEnemySlots(encounter)[0];
+            }
         }
         
         // Update game state
         gameState.playerTeam = team;
-        gameState.enemyPokemon = enemy;
+        setEncounter(encounter);
         gameState.isLoading = false;
         
+        const enemy = gameState.enemyPokemon;
+        const isTrainerBattle = encounter.type === ENCOUNTER_TYPES.TRAINER;
+        const opponentName = isTrainerBattle ? getTrainerDisplayName(encounter.trainer) : enemy.name;
+        
         // Find first non-fainted Pokemon to be active
         const activeIndex = team.findIndex(p => p.hp > 0);
         gameState.activePlayerPokemon = activeIndex >= 0 ? activeIndex : 0;
         
+        // Keep recording a resumed battle, or start logging a new one
+        ensureBattleLog();
+        saveEncounter(encounter);
+        saveProgress();
+        
         // Re-render with real Pokemon
         renderBattle();
-        setButtonsEnabled(true);
         
         // Show appropriate message
         if (isNewTeam) {
             const teamNames = team.map(p => p.name).join(', ');
-            showBattleMessage(`Your new team: ${teamNames}! Battle against ${enemy.name}!`);
+            showBattleMessage(`Your new team: ${teamNames}! Battle against ${opponentName}!`);
+        } else if (isTrainerBattle) {
+            const activePokemon = team[gameState.activePlayerPokemon];
+            showBattleMessage(isNewEncounter
+                ? `Go, ${activePokemon.name}! ${opponentName} wants to battle and sent out ${enemy.name}!`
+                : `Go, ${activePokemon.name}! ${opponentName}'s ${enemy.name} awaits!`);
         } else {
             const activePokemon = team[gameState.activePlayerPokemon];
-            showBattleMessage(`Go, ${activePokemon.name}! ${isNewEnemy ? 'A wild' : 'Your opponent'} ${enemy.name} ${isNewEnemy ? 'appeared' : 'awaits'}!`);
+            showBattleMessage(`Go, ${activePokemon.name}! ${isNewEncounter ? 'A wild' : 'Your opponent'} ${enemy.name} ${isNewEncounter ? 'appeared' : 'awaits'}!`);
         }
         
-        console.log('Pokemon loaded:', { team, enemy, isNewTeam, isNewEnemy });
+        if (isNewEncounter) {
+            await playBattleStartAbilities();
+        }
+        setButtonsEnabled(true);
+        
+        console.log('Pokemon loaded:', { team, encounter, isNewTeam, isNewEncounter });
     } catch (error) {
         console.error('Failed to load Pokemon:', error);
-        showBattleMessage('Failed to load Pokemon. Please refresh the page.');
-        gameState.isLoading = false;
+        showLoadError("Couldn't load your Pokemon.", loadPokemon);
     }
 }
 
@@ -309,8 +949,17 @@ function cacheBattleElements() {
     battleElements.playerTeam = document.getElementById('player-team');
     battleElements.playerPokemon = document.getElementById('player-pokemon');
     battleElements.enemyPokemon = document.getElementById('enemy-pokemon');
-    battleElements.attackBtn = document.querySelector('.btn-attack');
+    battleElements.trainerBanner = document.getElementById('trainer-banner');
+    battleElements.moveButtons = document.getElementById('move-buttons');
+    battleElements.battleModeSelect = document.getElementById('battle-mode-select');
     battleElements.resetBtn = document.getElementById('reset-btn');
+    battleElements.seedInput = document.getElementById('seed-input');
+    battleElements.dailySeedBtn = document.getElementById('daily-seed-btn');
+    battleElements.seedDisplay = document.getElementById('seed-display');
+    battleElements.difficultySelect = document.getElementById('difficulty-select');
+    battleElements.difficultyDisplay = document.getElementById('difficulty-display');
+    battleElements.threatPreview = document.getElementById('threat-preview');
+    battleElements.encounterFilters = document.getElementById('encounter-filters');
     battleElements.userBadge = document.getElementById('user-badge');
 }
 
@@ -318,11 +967,35 @@ function cacheBattleElements() {
  * Sets up event listeners for battle interactions.
  */
 function setupBattleEventListeners() {
-    // Attack button
-    battleElements.attackBtn.addEventListener('click', handleAttack);
+    // Move and battle menu buttons (using event delegation, since they change every turn)
+    battleElements.moveButtons.addEventListener('click', (e) => {
+        const moveBtn = e.target.closest('.btn-move');
+        if (moveBtn) {
+            const moveIndex = moveBtn.dataset.moveIndex;
+            handleAttack(moveIndex === AUTO_MOVE ? AUTO_MOVE : parseInt(moveIndex, 10));
+            return;
+        }
+        
+        const itemBtn = e.target.closest('.btn-bag-item');
+        if (itemBtn) {
+            handleUseItem(itemBtn.dataset.item);
+            return;
+        }
+        
+        const actionBtn = e.target.closest('.btn-action');
+        if (actionBtn) {
+            handleBattleAction(actionBtn.dataset.action);
+        }
+    });
+    
+    // Battle mode selector
+    battleElements.battleModeSelect.addEventListener('change', handleBattleModeChange);
     
     // Reset button
-    battleElements.resetBtn.addEventListener('click', handleReset);
+    battleElements.resetBtn.addEventListener('click', () => handleReset());
+    
+    // Daily seed button
+    battleElements.dailySeedBtn.addEventListener('click', () => handleReset(getDailySeed()));
     
     // Team Pokemon cards (using event delegation)
     battleElements.playerTeam.addEventListener('click', (e) => {
@@ -341,10 +1014,25 @@ function loadUserData() {
     // Update user badge in header using shared function
     renderUserBadge();
     
-    // Load battle progress (round and wins)
+    // Load battle mode setting
+    gameState.battleMode = getSettings().battleMode;
+    battleElements.battleModeSelect.value = gameState.battleMode;
+    
+    // Load battle progress (round, wins, difficulty and random seed)
     const progress = loadBattleProgress();
     gameState.round = progress.round;
     gameState.wins = progress.wins;
+    gameState.difficulty = progress.difficulty || DEFAULT_AI_DIFFICULTY;
+    battleElements.difficultySelect.value = gameState.difficulty;
+    gameState.encounterFilters = getEncounterFilters();
+    battleElements.encounterFilters.innerHTML = createEncounterFiltersTemplate(gameState.encounterFilters);
+    
+    if (progress.seed) {
+        restoreRandomState(progress.seed, progress.rngState ?? hashSeed(progress.seed));
+    } else {
+        // Older saves have no seed, so the run continues from a fresh one
+        setRandomSeed(generateSeed());
+    }
 }
 
 // ==========================================
@@ -352,33 +1040,209 @@ function loadUserData() {
 // ==========================================
 
 /**
- * Handles the attack action.
- * Initiates the battle sequence if not already battling.
+ * Checks whether the player can act right now, explaining why not if they can't.
+ * @returns {boolean} True if the active Pokemon can take an action
  */
-function handleAttack() {
-    if (gameState.isLoading || gameState.isBattling) return;
+function canPlayerAct() {
+    // Nothing to do until the Pokemon that failed to load are retried
+    if (gameState.isLoading || gameState.isBattling || gameState.retryAction) return false;
     
     const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
     
+    // Check if all Pokemon are fainted
+    const hasAlivePokemon = gameState.playerTeam.some(p => p.hp > 0);
+    if (!hasAlivePokemon) {
+        showBattleMessage('All your Pokemon have fainted! Visit the Team page to revive them.');
+        return false;
+    }
+    
     // Check if active Pokemon can battle
     if (playerPokemon.hp <= 0) {
         showBattleMessage(`${playerPokemon.name} has fainted! Select another Pokemon.`);
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Handles the attack action.
+ * Plays a turn with the chosen move, or the whole fight in quick battle mode.
+ * @param {number|string} moveIndex - Index of the chosen move in the active Pokemon's moveset,
+ *   or AUTO_MOVE to let a quick battle pick the best move every turn
+ */
+function handleAttack(moveIndex) {
+    if (!canPlayerAct()) return;
+    
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    const move = getMoveset(playerPokemon)[moveIndex] || getMoveset(playerPokemon)[0];
+    
+    if (gameState.battleMode === BATTLE_MODES.QUICK) {
+        runBattleSequence(moveIndex === AUTO_MOVE ? null : move);
+    } else {
+        runManualTurn({ type: 'fight', move });
+    }
+}
+
+/**
+ * Handles using an item from the bag, which takes the player's turn.
+ * Poke Balls are thrown at the enemy instead (see handleThrowBall).
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ */
+function handleUseItem(itemId) {
+    if (!canPlayerAct()) return;
+    
+    if (BAG_ITEMS[itemId] && BAG_ITEMS[itemId].catchRate) {
+        handleThrowBall(itemId);
         return;
     }
     
-    // Check if all Pokemon are fainted
-    const hasAlivePokemon = gameState.playerTeam.some(p => p.hp > 0);
-    if (!hasAlivePokemon) {
-        showBattleMessage('All your Pokemon have fainted! Visit the Team page to revive them.');
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    
+    if (!getBagItemCount(itemId) || !canUseBattleItem(playerPokemon, itemId)) {
+        showBattleMessage(`It won't have any effect on ${playerPokemon.name}.`);
         return;
     }
     
-    // Start the battle sequence
-    runBattleSequence();
+    runManualTurn({ type: 'item', itemId });
+}
+
+/**
+ * Handles throwing a Poke Ball at the enemy, which takes the player's turn.
+ * Only wild Pokemon can be caught.
+ * @param {string} itemId - Ball item ID (see BAG_ITEMS)
+ */
+async function handleThrowBall(itemId) {
+    if (!getBagItemCount(itemId)) {
+        showBattleMessage(`You don't have any ${BAG_ITEMS[itemId].name}s left!`);
+        return;
+    }
+    
+    if (gameState.encounter.type === ENCOUNTER_TYPES.TRAINER) {
+        showBattleMessage("You can't catch another trainer's Pokemon!");
+        return;
+    }
+    
+    if (gameState.playerTeam.length >= getPartySize() && !hasBoxSpace()) {
+        showBattleMessage('Your team and boxes are full! Release some Pokemon on the Box page first.');
+        return;
+    }
+    
+    setButtonsEnabled(false);
+    
+    let captureRate;
+    try {
+        captureRate = await fetchCaptureRate(gameState.enemyPokemon);
+    } catch (error) {
+        console.error('Failed to fetch capture rate:', error);
+        setButtonsEnabled(true);
+        showBattleMessage("Couldn't reach the Pokemon server. Check your connection and try again.");
+        return;
+    }
+    
+    runManualTurn({ type: 'catch', itemId, captureRate });
+}
+
+/**
+ * Handles a choice from the turn-based battle menu.
+ * @param {string} action - Chosen action (fight, switch, bag, run or back)
+ */
+function handleBattleAction(action) {
+    if (action === 'retry') {
+        handleRetry();
+        return;
+    }
+    
+    if (!canPlayerAct()) return;
+    
+    const playerPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    
+    switch (action) {
+        case 'fight':
+            gameState.battleMenu = BATTLE_MENUS.MOVES;
+            renderMoveButtons();
+            showBattleMessage(`Which move should ${playerPokemon.name} use?`);
+            break;
+        case 'back':
+            gameState.battleMenu = BATTLE_MENUS.ACTIONS;
+            renderMoveButtons();
+            showBattleMessage(`What will ${playerPokemon.name} do?`);
+            break;
+        case 'switch':
+            showBattleMessage('Choose a Pokemon from your team to switch in. Switching uses your turn.');
+            break;
+        case 'bag':
+            // Held items are kept in the bag too, but can't be used from it
+            if (!Object.keys(getBag()).some(itemId => BAG_ITEMS[itemId])) {
+                showBattleMessage('Your bag is empty! Buy items at the Shop.');
+                break;
+            }
+            gameState.battleMenu = BATTLE_MENUS.BAG;
+            renderMoveButtons();
+            showBattleMessage(`Which item should ${playerPokemon.name} use? Using an item takes your turn.`);
+            break;
+        case 'run':
+            if (gameState.encounter.type === ENCOUNTER_TYPES.TRAINER) {
+                showBattleMessage("There's no running from a trainer battle!");
+                break;
+            }
+            runManualTurn({ type: 'run' });
+            break;
+    }
+}
+
+/**
+ * Reads the encounter filters picked for the next run.
+ * @returns {Object} Encounter filters (see DEFAULT_ENCOUNTER_FILTERS)
+ */
+function readEncounterFilters() {
+    const container = battleElements.encounterFilters;
+    
+    return {
+        generations: [...container.querySelectorAll('input[name="generation"]:checked')]
+            .map(input => parseInt(input.value, 10)),
+        legendaries: container.querySelector('input[name="legendaries"]').checked,
+        mythicals: container.querySelector('input[name="mythicals"]').checked
+    };
+}
+
+/**
+ * Handles the Try Again button shown after Pokemon fail to load.
+ */
+function handleRetry() {
+    const retry = gameState.retryAction;
+    if (!retry) return;
+    
+    gameState.retryAction = null;
+    renderMoveButtons();
+    setButtonsEnabled(false);
+    showBattleMessage('Trying again...');
+    retry();
+}
+
+/**
+ * Handles changing between turn-based and quick battles.
+ */
+function handleBattleModeChange() {
+    if (gameState.isBattling) {
+        battleElements.battleModeSelect.value = gameState.battleMode;
+        showBattleMessage("Can't change battle mode mid-turn!");
+        return;
+    }
+    
+    gameState.battleMode = battleElements.battleModeSelect.value;
+    gameState.battleMenu = BATTLE_MENUS.ACTIONS;
+    updateSettings({ battleMode: gameState.battleMode });
+    renderMoveButtons();
+    
+    showBattleMessage(gameState.battleMode === BATTLE_MODES.QUICK
+        ? 'Quick battle: pick a move, or Best Move, and the fight plays out automatically.'
+        : 'Turn-based battle: choose your action every turn.');
 }
 
 /**
  * Handles selecting a Pokemon from the team.
+ * In a turn-based battle switching uses the player's turn, unless it replaces a fainted Pokemon.
  * @param {number} slot - The slot index of the selected Pokemon (0-2)
  */
 function handlePokemonSelect(slot) {
@@ -401,27 +1265,67 @@ function handlePokemonSelect(slot) {
         return;
     }
     
-    // Update active Pokemon
+    if (gameState.awaitingSwitch) {
+        // Replacing a fainted Pokemon is free
+        gameState.awaitingSwitch = false;
+        switchActivePokemon(slot);
+        setButtonsEnabled(true);
+        return;
+    }
+    
+    if (gameState.battleMode === BATTLE_MODES.MANUAL && canPlayerAct()) {
+        runManualTurn({ type: 'switch', slot });
+        return;
+    }
+    
+    switchActivePokemon(slot);
+}
+
+/**
+ * Sends a team Pokemon into battle in place of the active one.
+ * @param {number} slot - The slot index of the Pokemon to send in
+ */
+function switchActivePokemon(slot) {
+    const pokemon = gameState.playerTeam[slot];
     const previousPokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+    clearStatStages(previousPokemon);
     gameState.activePlayerPokemon = slot;
     
     // Re-render battle to update active Pokemon in arena and team
     renderBattle();
     
-    showBattleMessage(`Go, ${pokemon.name}! ${previousPokemon.name}, come back!`);
+    const message = previousPokemon.hp > 0
+        ? `Go, ${pokemon.name}! ${previousPokemon.name}, come back!`
+        : `Go, ${pokemon.name}!`;
+    
+    recordBattleEvent('switch', message, { side: 'player', slot });
+    const abilityMessage = triggerEntryAbility(pokemon, gameState.enemyPokemon);
+    showBattleMessage(abilityMessage ? `${message} ${abilityMessage}` : message);
     console.log(`Switched from ${previousPokemon.name} to ${pokemon.name}`);
 }
 
 /**
  * Handles the reset/start again action.
  * Clears team, resets progress, and fetches new Pokemon.
+ * The new run uses the given seed, the one typed into the seed box, or a random one.
+ * @param {string} seed - Seed for the new run (optional)
  */
-async function handleReset() {
+async function handleReset(seed) {
     if (gameState.isBattling) {
         showBattleMessage("Can't reset during battle!");
         return;
     }
     
+    const encounterFilters = readEncounterFilters();
+    if (encounterFilters.generations.length === 0) {
+        showBattleMessage('Pick at least one generation for the new run!');
+        return;
+    }
+    if (getEncounterPool(encounterFilters).length === 0) {
+        showBattleMessage('There are no Pokemon from those generations to battle. Pick some more!');
+        return;
+    }
+    
     // Confirm reset
     if (!confirm('Are you sure you want to start again? This will reset your team and progress.')) {
         return;
@@ -432,11 +1336,22 @@ async function handleReset() {
     gameState.wins = 0;
     gameState.isLoading = true;
     gameState.activePlayerPokemon = 0;
+    gameState.battleMenu = BATTLE_MENUS.ACTIONS;
+    gameState.awaitingSwitch = false;
+    gameState.escapeAttempts = 0;
+    gameState.retryAction = null;
+    gameState.difficulty = battleElements.difficultySelect.value;
+    gameState.encounterFilters = encounterFilters;
     
-    // Clear saved data
+    // Seed the new run
+    setRandomSeed(seed || battleElements.seedInput.value.trim() || generateSeed());
+    battleElements.seedInput.value = '';
+    
+    // Clear saved data (an unfinished battle is kept in the logs as abandoned)
+    finishBattleLog(BATTLE_LOG_OUTCOMES.ABANDONED);
     clearTeam();
-    clearEnemy();
-    resetBattleProgress();
+    clearEncounter();
+    saveProgress();
     
     // Update UI
     updateBattleUI();
@@ -446,27 +1361,32 @@ async function handleReset() {
     
     // Fetch new team and enemy
     try {
-        const team = await fetchRandomTeam(3);
-        const enemy = await fetchRandomPokemon();
+        const team = await fetchRandomTeam(getPartySize());
+        const encounter = await fetchEncounter(gameState.round);
         
         // Update game state
         gameState.playerTeam = team;
-        gameState.enemyPokemon = enemy;
+        setEncounter(encounter);
         gameState.isLoading = false;
+        ensureBattleLog();
         
-        // Save new team
+        // Save new team, encounter and where the generator got to
         saveTeam(team);
+        markTeamOwned(team);
+        saveEncounter(encounter);
+        saveProgress();
         
         // Re-render
         renderBattle();
-        setButtonsEnabled(true);
         
         const teamNames = team.map(p => p.name).join(', ');
-        showBattleMessage(`New adventure begins! Your team: ${teamNames}. Battle against ${enemy.name}!`);
+        showBattleMessage(`New adventure begins! Your team: ${teamNames}. Battle against ${gameState.enemyPokemon.name}!`);
+        await playBattleStartAbilities();
+        setButtonsEnabled(true);
     } catch (error) {
         console.error('Failed to reset game:', error);
-        showBattleMessage('Failed to start new game. Please refresh the page.');
-        gameState.isLoading = false;
+        // The old run is already cleared, so retrying just loads the new one
+        showLoadError("Couldn't start a new game.", loadPokemon);
     }
 }
 
@@ -475,11 +1395,27 @@ async function handleReset() {
 // ==========================================
 
 /**
- * Renders the entire battle scene (arena + team).
+ * Renders the entire battle scene (arena + team + moves).
  */
 function renderBattle() {
+    renderTrainerBanner();
     renderBattleArena();
     renderTeam();
+    renderMoveButtons();
+}
+
+/**
+ * Renders the opposing trainer's card (empty for wild encounters).
+ */
+function renderTrainerBanner() {
+    const encounter = gameState.encounter;
+    
+    if (gameState.isLoading || !encounter || encounter.type !== ENCOUNTER_TYPES.TRAINER) {
+        battleElements.trainerBanner.innerHTML = '';
+        return;
+    }
+    
+    battleElements.trainerBanner.innerHTML = createTrainerCardTemplate(encounter.trainer, encounter.team);
 }
 
 /**
@@ -518,6 +1454,32 @@ function renderTeam() {
     battleElements.playerTeam.innerHTML = teamHTML;
 }
 
+/**
+ * Renders the action panel: the battle menu or the active Pokemon's move buttons.
+ */
+function renderMoveButtons() {
+    const isManual = gameState.battleMode === BATTLE_MODES.MANUAL;
+    
+    if (gameState.retryAction) {
+        battleElements.moveButtons.innerHTML = createRetryButtonTemplate();
+    } else if (gameState.isLoading) {
+        battleElements.moveButtons.innerHTML = isManual
+            ? createBattleActionsTemplate()
+            : createMoveButtonsTemplate([DEFAULT_MOVE]);
+    } else if (isManual && gameState.battleMenu === BATTLE_MENUS.ACTIONS) {
+        battleElements.moveButtons.innerHTML = createBattleActionsTemplate();
+    } else if (isManual && gameState.battleMenu === BATTLE_MENUS.BAG) {
+        battleElements.moveButtons.innerHTML = createBattleBagTemplate(getBag());
+    } else {
+        const activePokemon = gameState.playerTeam[gameState.activePlayerPokemon];
+        battleElements.moveButtons.innerHTML = createMoveButtonsTemplate(getMoveset(activePokemon), isManual, activePokemon)
+            + (isManual ? '' : createAutoMoveButtonTemplate());
+    }
+    
+    // Freshly rendered buttons need the current enabled state
+    setButtonsEnabled(gameState.controlsEnabled);
+}
+
 // ==========================================
 // UI Updates
 // ==========================================
@@ -528,6 +1490,9 @@ function renderTeam() {
 function updateBattleUI() {
     battleElements.roundCounter.textContent = gameState.round;
     battleElements.winCounter.textContent = gameState.wins;
+    battleElements.seedDisplay.textContent = getRandomSeed();
+    battleElements.difficultyDisplay.textContent = AI_DIFFICULTY_NAMES[gameState.difficulty];
+    battleElements.threatPreview.innerHTML = createThreatPreviewTemplate(gameState.round);
 }
 
 /**
@@ -538,18 +1503,34 @@ function showBattleMessage(message) {
     battleElements.battleMessage.textContent = message;
 }
 
+/**
+ * Shows that Pokemon failed to load, with a button to try again.
+ * @param {string} message - What failed to load
+ * @param {Function} retryAction - Called when the player tries again
+ */
+function showLoadError(message, retryAction) {
+    gameState.retryAction = retryAction;
+    renderMoveButtons();
+    setButtonsEnabled(true);
+    showBattleMessage(`${message} Check your connection and try again.`);
+}
+
 /**
  * Enables or disables the action buttons.
  * @param {boolean} enabled - Whether buttons should be enabled
  */
 function setButtonsEnabled(enabled) {
-    battleElements.attackBtn.disabled = !enabled;
+    gameState.controlsEnabled = enabled;
     
-    if (enabled) {
-        battleElements.attackBtn.classList.remove('disabled');
-    } else {
-        battleElements.attackBtn.classList.add('disabled');
-    }
+    battleElements.moveButtons.querySelectorAll('.btn').forEach(btn => {
+        btn.disabled = !enabled;
+        
+        if (enabled) {
+            btn.classList.remove('disabled');
+        } else {
+            btn.classList.add('disabled');
+        }
+    });
 }
 
 // ==========================================
@@ -0,0 +1,387 @@
+/**
+ * Box Page JavaScript
+ *
+ * Shows the party and the storage boxes. Pokemon can be deposited, withdrawn,
+ * moved between boxes or released, and each box can be renamed, filtered and sorted.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Strength tiers offered by the tier filter (see getStrengthTier) */
+const BOX_TIER_OPTIONS = ['S', 'A', 'B', 'C', 'D'];
+
+/** How each sort option orders two Pokemon */
+const BOX_SORTS = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    level: (a, b) => (b.level || 0) - (a.level || 0),
+    strength: (a, b) => (b.strength || 0) - (a.strength || 0),
+    hp: (a, b) => (b.hp / b.maxHp) - (a.hp / a.maxHp)
+};
+
+// ==========================================
+// DOM Elements
+// ==========================================
+const boxElements = {
+    partyCount: null,
+    partySizeSelect: null,
+    partyGrid: null,
+    prevBtn: null,
+    nextBtn: null,
+    boxNameInput: null,
+    boxCount: null,
+    typeFilter: null,
+    tierFilter: null,
+    hpFilter: null,
+    sortSelect: null,
+    boxGrid: null,
+    toast: null
+};
+
+// ==========================================
+// Box State
+// ==========================================
+const boxState = {
+    boxIndex: 0
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+
+/**
+ * Initializes the Box page.
+ */
+function initBox() {
+    cacheBoxElements();
+    renderUserBadge();
+    setupBoxEventListeners();
+    renderFilterOptions();
+    renderBoxPage();
+    
+    console.log('Box page initialized!');
+}
+
+/**
+ * Caches DOM elements for the Box page.
+ */
+function cacheBoxElements() {
+    boxElements.partyCount = document.getElementById('party-count');
+    boxElements.partySizeSelect = document.getElementById('party-size-select');
+    boxElements.partyGrid = document.getElementById('party-grid');
+    boxElements.prevBtn = document.getElementById('box-prev-btn');
+    boxElements.nextBtn = document.getElementById('box-next-btn');
+    boxElements.boxNameInput = document.getElementById('box-name-input');
+    boxElements.boxCount = document.getElementById('box-count');
+    boxElements.typeFilter = document.getElementById('box-type-filter');
+    boxElements.tierFilter = document.getElementById('box-tier-filter');
+    boxElements.hpFilter = document.getElementById('box-hp-filter');
+    boxElements.sortSelect = document.getElementById('box-sort');
+    boxElements.boxGrid = document.getElementById('box-grid');
+    boxElements.toast = document.getElementById('toast');
+}
+
+/**
+ * Sets up event listeners.
+ */
+function setupBoxEventListeners() {
+    boxElements.partySizeSelect.addEventListener('change', handlePartySizeChange);
+    
+    // Box paging and naming
+    boxElements.prevBtn.addEventListener('click', () => changeBox(-1));
+    boxElements.nextBtn.addEventListener('click', () => changeBox(1));
+    boxElements.boxNameInput.addEventListener('change', handleRenameBox);
+    
+    // Filters
+    boxElements.typeFilter.addEventListener('change', renderBoxGrid);
+    boxElements.tierFilter.addEventListener('change', renderBoxGrid);
+    boxElements.hpFilter.addEventListener('change', renderBoxGrid);
+    boxElements.sortSelect.addEventListener('change', renderBoxGrid);
+    
+    // Party buttons (using event delegation)
+    boxElements.partyGrid.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-deposit');
+        if (btn) {
+            handleDeposit(parseInt(btn.closest('.box-slot').dataset.index));
+        }
+    });
+    
+    // Box buttons (using event delegation)
+    boxElements.boxGrid.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+        
+        const slot = parseInt(btn.closest('.box-slot').dataset.slot);
+        if (btn.classList.contains('btn-withdraw')) {
+            handleWithdraw(slot);
+        } else if (btn.classList.contains('btn-release')) {
+            handleRelease(slot);
+        }
+    });
+    
+    boxElements.boxGrid.addEventListener('change', (e) => {
+        const select = e.target.closest('.box-move-select');
+        if (select && select.value !== '') {
+            handleMoveToBox(parseInt(select.closest('.box-slot').dataset.slot), parseInt(select.value));
+        }
+    });
+}
+
+// ==========================================
+// Filtering
+// ==========================================
+
+/**
+ * Gets the Pokemon in the open box that match the filters, in the chosen order.
+ * @param {Object[]} pokemonList - Pokemon in the open box
+ * @returns {Object[]} Matching entries, each with the Pokemon and its slot in the box
+ */
+function getVisibleSlots(pokemonList) {
+    const type = boxElements.typeFilter.value;
+    const tier = boxElements.tierFilter.value;
+    const hp = boxElements.hpFilter.value;
+    const sort = BOX_SORTS[boxElements.sortSelect.value];
+    
+    const visible = pokemonList
+        .map((pokemon, slot) => ({ pokemon, slot }))
+        .filter(({ pokemon }) => {
+            if (type && !(pokemon.types || []).includes(type)) {
+                return false;
+            }
+            if (tier && getStrengthTier(pokemon.strength || 50).name !== tier) {
+                return false;
+            }
+            if (hp === 'healthy' && pokemon.hp < pokemon.maxHp) {
+                return false;
+            }
+            if (hp === 'hurt' && (pokemon.hp <= 0 || pokemon.hp >= pokemon.maxHp)) {
+                return false;
+            }
+            if (hp === 'fainted' && pokemon.hp > 0) {
+                return false;
+            }
+            return true;
+        });
+    
+    return sort ? visible.sort((a, b) => sort(a.pokemon, b.pokemon)) : visible;
+}
+
+// ==========================================
+// Event Handlers
+// ==========================================
+
+/**
+ * Handles picking a new party size. Pokemon that no longer fit go to the boxes.
+ * The change is turned down if the boxes can't take them.
+ */
+function handlePartySizeChange() {
+    const requested = parseInt(boxElements.partySizeSelect.value);
+    const before = (loadTeam() || []).length;
+    const size = setPartySize(requested);
+    const deposited = before - (loadTeam() || []).length;
+    
+    renderBoxPage();
+    if (size !== requested) {
+        showToast(`Your boxes don't have room for ${before - requested} Pokemon. Party size is still ${size}.`, 'error');
+        return;
+    }
+    showToast(
+        deposited > 0
+            ? `Party size set to ${size}. ${deposited} Pokemon sent to your boxes.`
+            : `Party size set to ${size}.`,
+        'success'
+    );
+}
+
+/**
+ * Opens the previous or next box, wrapping around at either end.
+ * @param {number} step - -1 for the previous box, 1 for the next
+ */
+function changeBox(step) {
+    boxState.boxIndex = (boxState.boxIndex + step + BOX_COUNT) % BOX_COUNT;
+    renderBoxPage();
+}
+
+/**
+ * Handles renaming the open box.
+ */
+function handleRenameBox() {
+    renameBox(boxState.boxIndex, boxElements.boxNameInput.value);
+    renderBoxPage();
+}
+
+/**
+ * Handles depositing a party Pokemon into the open box.
+ * @param {number} index - Index of Pokemon in the party
+ */
+function handleDeposit(index) {
+    const pokemon = (loadTeam() || [])[index];
+    const box = loadBoxes()[boxState.boxIndex];
+    if (!pokemon) return;
+    
+    if (!depositPokemon(index, boxState.boxIndex)) {
+        showToast(box.pokemon.length >= BOX_CAPACITY ? `${box.name} is full!` : 'Your party needs at least one Pokemon!', 'error');
+        return;
+    }
+    
+    renderBoxPage();
+    showToast(`${pokemon.name} was deposited in ${box.name}.`, 'success');
+}
+
+/**
+ * Handles withdrawing a stored Pokemon into the party.
+ * @param {number} slot - Slot in the open box
+ */
+function handleWithdraw(slot) {
+    const pokemon = loadBoxes()[boxState.boxIndex].pokemon[slot];
+    if (!pokemon) return;
+    
+    if (!withdrawPokemon(boxState.boxIndex, slot)) {
+        showToast('Your party is full! Deposit a Pokemon first.', 'error');
+        return;
+    }
+    
+    renderBoxPage();
+    showToast(`${pokemon.name} joined your party!`, 'success');
+}
+
+/**
+ * Handles moving a stored Pokemon to another box.
+ * @param {number} slot - Slot in the open box
+ * @param {number} toBox - Index of the box to move it to
+ */
+function handleMoveToBox(slot, toBox) {
+    const boxes = loadBoxes();
+    const pokemon = boxes[boxState.boxIndex].pokemon[slot];
+    if (!pokemon) return;
+    
+    if (!movePokemonToBox(boxState.boxIndex, slot, toBox)) {
+        renderBoxPage();
+        showToast(`${boxes[toBox].name} is full!`, 'error');
+        return;
+    }
+    
+    renderBoxPage();
+    showToast(`${pokemon.name} was moved to ${boxes[toBox].name}.`, 'success');
+}
+
+/**
+ * Handles releasing a stored Pokemon, after asking to be sure.
+ * @param {number} slot - Slot in the open box
+ */
+function handleRelease(slot) {
+    const pokemon = loadBoxes()[boxState.boxIndex].pokemon[slot];
+    if (!pokemon || !confirm(`Release ${pokemon.name}? You won't get it back.`)) return;
+    
+    releasePokemon(boxState.boxIndex, slot);
+    renderBoxPage();
+    showToast(`${pokemon.name} was released. Bye, ${pokemon.name}!`, 'info');
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Fills the party size and tier selects.
+ */
+function renderFilterOptions() {
+    boxElements.partySizeSelect.innerHTML = Array.from({ length: MAX_PARTY_SIZE - MIN_PARTY_SIZE + 1 }, (_, i) => MIN_PARTY_SIZE + i)
+        .map(size => `<option value="${size}">${size}</option>`)
+        .join('');
+    boxElements.tierFilter.innerHTML += BOX_TIER_OPTIONS
+        .map(tier => `<option value="${tier}">Tier ${tier}</option>`)
+        .join('');
+}
+
+/**
+ * Fills the type filter with the types of Pokemon in the boxes, keeping the current choice.
+ */
+function renderTypeFilterOptions() {
+    const selected = boxElements.typeFilter.value;
+    const types = [...new Set(loadBoxes().flatMap(box => box.pokemon.flatMap(pokemon => pokemon.types || [])))].sort();
+    
+    // A type stays listed while it is picked, even once no stored Pokemon has it
+    if (selected && !types.includes(selected)) {
+        types.push(selected);
+    }
+    
+    boxElements.typeFilter.innerHTML = '<option value="">All types</option>' + types
+        .map(type => `<option value="${type}">${type.charAt(0).toUpperCase()}${type.slice(1)}</option>`)
+        .join('');
+    boxElements.typeFilter.value = selected;
+}
+
+/**
+ * Renders the party and the open box.
+ */
+function renderBoxPage() {
+    renderTypeFilterOptions();
+    renderParty();
+    renderBoxGrid();
+}
+
+/**
+ * Renders the party, with a Deposit button for each Pokemon.
+ */
+function renderParty() {
+    const team = loadTeam() || [];
+    const partySize = getPartySize();
+    const box = loadBoxes()[boxState.boxIndex];
+    const canDeposit = team.length > 1 && box.pokemon.length < BOX_CAPACITY;
+    
+    boxElements.partySizeSelect.value = partySize;
+    boxElements.partyCount.textContent = `${team.length} / ${partySize}`;
+    
+    if (team.length === 0) {
+        boxElements.partyGrid.innerHTML = createEmptyTeamTemplate();
+        return;
+    }
+    
+    boxElements.partyGrid.innerHTML = team
+        .map((pokemon, index) => createPartySlotTemplate(pokemon, index, canDeposit))
+        .join('');
+}
+
+/**
+ * Renders the open box's name, count and the Pokemon matching the filters.
+ */
+function renderBoxGrid() {
+    const boxes = loadBoxes();
+    const box = boxes[boxState.boxIndex];
+    const canWithdraw = (loadTeam() || []).length < getPartySize();
+    const visible = getVisibleSlots(box.pokemon);
+    
+    boxElements.boxNameInput.value = box.name;
+    boxElements.boxCount.textContent = `${box.pokemon.length} / ${BOX_CAPACITY}`;
+    
+    if (visible.length === 0) {
+        boxElements.boxGrid.innerHTML = createEmptyBoxTemplate(box.pokemon.length > 0);
+        return;
+    }
+    
+    boxElements.boxGrid.innerHTML = visible
+        .map(({ pokemon, slot }) => createBoxSlotTemplate(pokemon, slot, boxes, boxState.boxIndex, canWithdraw))
+        .join('');
+}
+
+/**
+ * Shows a toast notification.
+ * @param {string} message - Message to show
+ * @param {string} type - 'success', 'error', or 'info'
+ */
+function showToast(message, type = 'info') {
+    const toast = boxElements.toast;
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
+
+// ==========================================
+// Start when DOM is ready
+// ==========================================
+document.addEventListener('DOMContentLoaded', initBox);
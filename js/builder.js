@@ -0,0 +1,285 @@
+/**
+ * Team Builder Page JavaScript
+ *
+ * Lets the player pick the Pokemon they want instead of a random one: search
+ * species by name, number or type, preview stats and matchups, and buy one.
+ * Prices depend on the Pokemon's strength tier (see SPECIES_PRICES).
+ */
+
+// ==========================================
+// DOM Elements
+// ==========================================
+const builderElements = {
+    coinsAmount: null,
+    searchForm: null,
+    searchInput: null,
+    typeFilter: null,
+    results: null,
+    preview: null,
+    previewBody: null,
+    prices: null,
+    toast: null
+};
+
+// ==========================================
+// Builder State
+// ==========================================
+const builderState = {
+    results: [],
+    preview: null,
+    // Counts previews so a slow response can't replace a newer one
+    previewRequest: 0
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+
+/**
+ * Initializes the Team Builder page.
+ */
+function initBuilder() {
+    cacheBuilderElements();
+    updateCoinsDisplay();
+    setupBuilderEventListeners();
+    renderTypeOptions();
+    renderPriceList();
+    renderResults('Search for a Pokemon by name or number, or pick a type to see them all.');
+    
+    console.log('Team Builder page initialized!');
+}
+
+/**
+ * Caches DOM elements for the Team Builder page.
+ */
+function cacheBuilderElements() {
+    builderElements.coinsAmount = document.getElementById('coins-amount');
+    builderElements.searchForm = document.getElementById('builder-search-form');
+    builderElements.searchInput = document.getElementById('builder-search');
+    builderElements.typeFilter = document.getElementById('builder-type-filter');
+    builderElements.results = document.getElementById('builder-results');
+    builderElements.preview = document.getElementById('builder-preview');
+    builderElements.previewBody = document.getElementById('builder-preview-body');
+    builderElements.prices = document.getElementById('builder-prices');
+    builderElements.toast = document.getElementById('toast');
+}
+
+/**
+ * Sets up event listeners.
+ */
+function setupBuilderEventListeners() {
+    builderElements.searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleSearch();
+    });
+    
+    // Search results (using event delegation)
+    builderElements.results.addEventListener('click', (e) => {
+        const result = e.target.closest('.builder-result');
+        if (result) {
+            previewPokemon(parseInt(result.dataset.id, 10));
+        }
+    });
+    
+    // Buy button (using event delegation)
+    builderElements.previewBody.addEventListener('click', (e) => {
+        if (e.target.closest('.btn-buy-pokemon')) {
+            handleBuyPokemon();
+        }
+    });
+}
+
+// ==========================================
+// Event Handlers
+// ==========================================
+
+/**
+ * Handles a search. With a type picked, lists that type's species matching the search box;
+ * otherwise looks up the one Pokemon named or numbered in the search box.
+ */
+async function handleSearch() {
+    const query = builderElements.searchInput.value.trim().toLowerCase().replace(/^#/, '');
+    const type = builderElements.typeFilter.value;
+    const id = /^\d+$/.test(query) ? parseInt(query, 10) : null;
+    
+    if (!type) {
+        if (!query) {
+            renderResults('Type a name or number, or pick a type.');
+            return;
+        }
+        
+        builderState.results = [];
+        renderResults('');
+        await previewPokemon(id || query.replace(/\s+/g, '-'));
+        return;
+    }
+    
+    renderResults('Searching...');
+    
+    try {
+        const species = await fetchSpeciesOfType(type);
+        builderState.results = species.filter(entry => (
+            !query || entry.name.toLowerCase().includes(query) || entry.id === id
+        ));
+        renderResults(query ? `No ${type}-type Pokemon match "${query}".` : `No ${type}-type Pokemon found.`);
+    } catch (error) {
+        console.error('Failed to search by type:', error);
+        builderState.results = [];
+        renderResults("Couldn't reach the Pokemon server. Check your connection and try again.");
+    }
+}
+
+/**
+ * Looks up a Pokemon and shows it in the preview.
+ * @param {number|string} idOrName - Pokemon ID or name
+ */
+async function previewPokemon(idOrName) {
+    const request = ++builderState.previewRequest;
+    
+    builderElements.preview.hidden = false;
+    builderElements.previewBody.innerHTML = '<p class="builder-loading">Loading...</p>';
+    
+    try {
+        const pokemon = await fetchPokemon(idOrName);
+        if (request !== builderState.previewRequest) return;
+        
+        builderState.preview = applyBuilderRoll(pokemon);
+        renderPreview();
+        renderResults('');
+    } catch (error) {
+        if (request !== builderState.previewRequest) return;
+        
+        console.error('Failed to preview Pokemon:', error);
+        builderState.preview = null;
+        builderElements.previewBody.innerHTML = createEmptyBuilderResultsTemplate(
+            `Couldn't find "${idOrName}". Check the spelling, or your connection, and try again.`
+        );
+    }
+}
+
+/**
+ * Handles buying the previewed Pokemon. It joins the party, or goes to a box if the party is full.
+ */
+function handleBuyPokemon() {
+    const pokemon = builderState.preview;
+    if (!pokemon) return;
+    
+    const price = getSpeciesPrice(pokemon);
+    if (!canAfford(price)) {
+        showToast(`Not enough coins! Need ${price} 🪙`, 'error');
+        return;
+    }
+    
+    const team = loadTeam() || [];
+    const hasPartyRoom = team.length < getPartySize();
+    if (!hasPartyRoom && !hasBoxSpace()) {
+        showToast('Your party and boxes are full! Release some Pokemon on the Box page first.', 'error');
+        return;
+    }
+    
+    spendCoins(price, COIN_REASONS.BUY_POKEMON, pokemon.name);
+    clearBuilderRoll(pokemon.id);
+    markPokemonOwned(pokemon);
+    
+    if (hasPartyRoom) {
+        team.push(pokemon);
+        saveTeam(team);
+        showToast(`${pokemon.name} joined your party!`, 'success');
+    } else {
+        const boxIndex = storePokemon(pokemon);
+        showToast(`Your party is full, so ${pokemon.name} was sent to ${loadBoxes()[boxIndex].name}.`, 'success');
+    }
+    
+    // Each preview can only be bought once
+    builderState.preview = null;
+    builderElements.preview.hidden = true;
+    updateCoinsDisplay();
+    renderResults('');
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Fills the type filter with every type.
+ */
+function renderTypeOptions() {
+    builderElements.typeFilter.innerHTML += Object.keys(TYPE_EFFECTIVENESS)
+        .map(type => `<option value="${type}">${capitalizeFirst(type)}</option>`)
+        .join('');
+}
+
+/**
+ * Renders what a Pokemon of each strength tier costs.
+ */
+function renderPriceList() {
+    builderElements.prices.innerHTML = Object.entries(SPECIES_PRICES)
+        .map(([tier, price]) => `
+            <div class="builder-price">
+                <span class="strength-badge strength-${tier.toLowerCase()}">${tier}</span>
+                <span>🪙 ${price}</span>
+            </div>
+        `)
+        .join('');
+}
+
+/**
+ * Renders the search results.
+ * @param {string} emptyMessage - Message to show if there are no results (blank shows nothing)
+ */
+function renderResults(emptyMessage) {
+    if (builderState.results.length === 0) {
+        builderElements.results.innerHTML = emptyMessage ? createEmptyBuilderResultsTemplate(emptyMessage) : '';
+        return;
+    }
+    
+    const selectedId = builderState.preview ? builderState.preview.id : null;
+    builderElements.results.innerHTML = builderState.results
+        .map(species => createSpeciesResultTemplate(species, species.id === selectedId))
+        .join('');
+}
+
+/**
+ * Renders the previewed Pokemon with its price and matchups.
+ */
+function renderPreview() {
+    const pokemon = builderState.preview;
+    const price = getSpeciesPrice(pokemon);
+    
+    builderElements.previewBody.innerHTML = `
+        ${createBuilderPreviewTemplate(pokemon, price, canAfford(price))}
+        ${createMatchupTemplate(pokemon, loadTeam() || [])}
+    `;
+}
+
+// ==========================================
+// UI Updates
+// ==========================================
+
+/**
+ * Updates the coins display.
+ */
+function updateCoinsDisplay() {
+    builderElements.coinsAmount.textContent = formatNumber(getCoins());
+}
+
+/**
+ * Shows a toast notification.
+ * @param {string} message - Message to show
+ * @param {string} type - 'success', 'error', or 'info'
+ */
+function showToast(message, type = 'info') {
+    const toast = builderElements.toast;
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
+
+// ==========================================
+// Start when DOM is ready
+// ==========================================
+document.addEventListener('DOMContentLoaded', initBuilder);
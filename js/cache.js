@@ -0,0 +1,368 @@
+/**
+ * Offline Cache
+ *
+ * Keeps PokeAPI responses and sprite images in IndexedDB, so Pokemon that
+ * have been seen before load instantly and still work with no network.
+ * Entries are refreshed once they are older than CACHE_TTL_MS, but an expired
+ * copy is still used while offline. Each store is trimmed to a size limit,
+ * dropping the oldest entries first. Without IndexedDB (e.g. in Node) every
+ * request simply goes to the network. Simultaneous requests for the same URL
+ * share a single network request.
+ */
+
+// ==========================================
+// Dependencies
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    // Browser pages load these as globals via <script> tags
+    Object.assign(globalThis, require('./network.js'));
+}
+
+// ==========================================
+// Constants
+// ==========================================
+
+const CACHE_DB_NAME = 'pokemonBattleCache';
+const CACHE_DB_VERSION = 1;
+
+/** Object stores in the cache database */
+const CACHE_STORES = {
+    RESPONSES: 'responses',
+    SPRITES: 'sprites'
+};
+
+/** How long a cached entry is used before it is fetched again (7 days) */
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Approximate size limit of each store, in bytes */
+const CACHE_MAX_BYTES = {
+    responses: 20 * 1024 * 1024,
+    sprites: 5 * 1024 * 1024
+};
+
+/** How long to wait after a write before trimming a store */
+const CACHE_PRUNE_DELAY_MS = 2000;
+
+// ==========================================
+// Cache State
+// ==========================================
+
+/** Open database (resolves to null if IndexedDB isn't available) */
+let cacheDbPromise = null;
+
+/** Network requests still in flight, keyed by URL */
+const pendingRequests = new Map();
+
+/** Pending trim of each store, keyed by store name */
+const pruneTimers = {};
+
+/** Object URLs for sprites loaded from the cache this session, keyed by sprite URL */
+const spriteObjectUrls = new Map();
+
+/** Sprite URLs already saved (or being saved) this session */
+const cachedSpriteUrls = new Set();
+
+// ==========================================
+// Database
+// ==========================================
+
+/**
+ * Opens the cache database, creating its stores on first use.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if caching isn't available
+ */
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(CACHE_STORES).forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: 'url' }).createIndex('storedAt', 'storedAt');
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening cache:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    
+    return cacheDbPromise;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} The request's result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Reads an entry from the cache.
+ * @param {string} storeName - Store to read from (one of CACHE_STORES)
+ * @param {string} url - URL the entry was fetched from
+ * @returns {Promise<Object|null>} Cached entry, or null if there isn't one
+ */
+async function readCacheEntry(storeName, url) {
+    try {
+        const db = await openCacheDb();
+        if (!db) return null;
+        
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return (await promisifyRequest(store.get(url))) || null;
+    } catch (error) {
+        console.error('Error reading cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Writes an entry to the cache and schedules trimming the store.
+ * @param {string} storeName - Store to write to (one of CACHE_STORES)
+ * @param {Object} entry - Entry with url, storedAt and size (in bytes)
+ */
+async function writeCacheEntry(storeName, entry) {
+    try {
+        const db = await openCacheDb();
+        if (!db) return;
+        
+        const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+        await promisifyRequest(store.put(entry));
+        schedulePrune(storeName);
+    } catch (error) {
+        console.error('Error writing cache:', error);
+    }
+}
+
+/**
+ * Trims a store shortly after writes stop, so a burst of fetches only trims once.
+ * @param {string} storeName - Store to trim (one of CACHE_STORES)
+ */
+function schedulePrune(storeName) {
+    clearTimeout(pruneTimers[storeName]);
+    pruneTimers[storeName] = setTimeout(() => pruneCache(storeName), CACHE_PRUNE_DELAY_MS);
+}
+
+/**
+ * Deletes the oldest entries in a store until it fits its size limit.
+ * @param {string} storeName - Store to trim (one of CACHE_STORES)
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function pruneCache(storeName) {
+    const db = await openCacheDb();
+    if (!db) return 0;
+    
+    return new Promise(resolve => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const index = transaction.objectStore(storeName).index('storedAt');
+        let totalBytes = 0;
+        let deleted = 0;
+        
+        // Walk from newest to oldest, keeping entries until the limit is reached
+        index.openCursor(null, 'prev').onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            
+            totalBytes += cursor.value.size || 0;
+            if (totalBytes > CACHE_MAX_BYTES[storeName]) {
+                cursor.delete();
+                deleted++;
+            }
+            cursor.continue();
+        };
+        
+        transaction.oncomplete = () => resolve(deleted);
+        transaction.onerror = () => {
+            console.error('Error trimming cache:', transaction.error);
+            resolve(deleted);
+        };
+    });
+}
+
+/**
+ * Checks whether a cache entry is recent enough to use without refetching.
+ * @param {Object|null} entry - Cached entry
+ * @returns {boolean} True if the entry exists and hasn't expired
+ */
+function isCacheEntryFresh(entry) {
+    return !!entry && Date.now() - entry.storedAt < CACHE_TTL_MS;
+}
+
+/**
+ * Deletes everything in the cache.
+ */
+async function clearCache() {
+    const db = await openCacheDb();
+    if (!db) return;
+    
+    const transaction = db.transaction(Object.values(CACHE_STORES), 'readwrite');
+    Object.values(CACHE_STORES).forEach(storeName => transaction.objectStore(storeName).clear());
+    cachedSpriteUrls.clear();
+}
+
+// ==========================================
+// API Responses
+// ==========================================
+
+/**
+ * Fetches JSON from a URL, using the cache when possible.
+ * A fresh cached copy is returned without touching the network; an expired
+ * copy is only used if the network request fails.
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object|null>} Parsed JSON, or null if the server has no such resource
+ * @throws {Error} If the network fails and nothing is cached
+ */
+async function fetchCachedJson(url) {
+    const cached = await readCacheEntry(CACHE_STORES.RESPONSES, url);
+    if (isCacheEntryFresh(cached)) return cached.data;
+    
+    try {
+        return await fetchJsonOnce(url);
+    } catch (error) {
+        // Offline: an expired copy is better than nothing
+        if (cached) return cached.data;
+        throw error;
+    }
+}
+
+/**
+ * Fetches JSON from the network and caches it. Callers asking for a URL
+ * that is already being fetched share the same request.
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object|null>} Parsed JSON, or null if the server has no such resource
+ * @throws {Error} If the request fails (after retries) or the server errors
+ */
+function fetchJsonOnce(url) {
+    if (!pendingRequests.has(url)) {
+        const request = fetchWithRetry(url)
+            .then(async response => {
+                if (response.status === 404) return null;
+                if (!response.ok) {
+                    throw new Error(`Request failed (${response.status}): ${url}`);
+                }
+                
+                const data = await response.json();
+                writeCacheEntry(CACHE_STORES.RESPONSES, {
+                    url,
+                    data,
+                    storedAt: Date.now(),
+                    size: JSON.stringify(data).length
+                });
+                return data;
+            })
+            .finally(() => pendingRequests.delete(url));
+        
+        pendingRequests.set(url, request);
+    }
+    
+    return pendingRequests.get(url);
+}
+
+// ==========================================
+// Sprites
+// ==========================================
+
+/**
+ * Saves a sprite image to the cache, unless a fresh copy is already there.
+ * @param {string} url - Sprite URL
+ */
+async function cacheSprite(url) {
+    // Sprites from the local dataset are already inline
+    if (cachedSpriteUrls.has(url) || url.startsWith('data:')) return;
+    cachedSpriteUrls.add(url);
+    
+    try {
+        if (isCacheEntryFresh(await readCacheEntry(CACHE_STORES.SPRITES, url))) return;
+        
+        const response = await fetchWithTimeout(url);
+        if (!response.ok) return;
+        
+        const blob = await response.blob();
+        await writeCacheEntry(CACHE_STORES.SPRITES, { url, blob, storedAt: Date.now(), size: blob.size });
+    } catch (error) {
+        // Try again next time the sprite is shown
+        cachedSpriteUrls.delete(url);
+    }
+}
+
+/**
+ * Gets a cached sprite as an object URL an <img> can display.
+ * @param {string} url - Sprite URL
+ * @returns {Promise<string|null>} Object URL, or null if the sprite isn't cached
+ */
+async function loadCachedSprite(url) {
+    if (!spriteObjectUrls.has(url)) {
+        const entry = await readCacheEntry(CACHE_STORES.SPRITES, url);
+        if (!entry) return null;
+        spriteObjectUrls.set(url, URL.createObjectURL(entry.blob));
+    }
+    
+    return spriteObjectUrls.get(url);
+}
+
+/**
+ * Caches sprites as they load and swaps in the cached copy when one fails to load.
+ * Applies to every <img> with a data-sprite-url attribute (see createSpriteHTML).
+ */
+function setupSpriteCache() {
+    // Load and error events don't bubble, so listen during the capture phase
+    document.addEventListener('load', (e) => {
+        const img = e.target;
+        if (img.tagName === 'IMG' && img.dataset.spriteUrl && img.src === img.dataset.spriteUrl) {
+            cacheSprite(img.dataset.spriteUrl);
+        }
+    }, true);
+    
+    document.addEventListener('error', async (e) => {
+        const img = e.target;
+        if (img.tagName !== 'IMG' || !img.dataset.spriteUrl || img.dataset.spriteFallback) return;
+        
+        img.dataset.spriteFallback = 'true';
+        const objectUrl = await loadCachedSprite(img.dataset.spriteUrl);
+        if (objectUrl) {
+            img.src = objectUrl;
+        } else if (img.dataset.fallbackUrl) {
+            // The chosen sprite style has no image for this Pokemon, so try the classic sprite
+            img.dataset.spriteUrl = img.dataset.fallbackUrl;
+            delete img.dataset.fallbackUrl;
+            delete img.dataset.spriteFallback;
+            img.classList.remove(`sprite-${SPRITE_STYLES.ARTWORK}`, `sprite-${SPRITE_STYLES.ANIMATED}`);
+            img.classList.add(`sprite-${SPRITE_STYLES.CLASSIC}`);
+            img.src = img.dataset.spriteUrl;
+        }
+    }, true);
+}
+
+if (typeof document !== 'undefined') {
+    setupSpriteCache();
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CACHE_STORES,
+        CACHE_TTL_MS,
+        CACHE_MAX_BYTES,
+        fetchCachedJson,
+        pruneCache,
+        clearCache,
+        cacheSprite,
+        loadCachedSprite
+    };
+}
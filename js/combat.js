@@ -5,6 +5,20 @@
  * This is the core battle logic separate from UI concerns.
  */
 
+// ==========================================
+// Dependencies
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    // Browser pages load these as globals via <script> tags
+    Object.assign(
+        globalThis,
+        require('./shared.js'),
+        require('./rng.js'),
+        require('./abilities.js'),
+        require('./held-items.js')
+    );
+}
+
 // ==========================================
 // Type Effectiveness Chart
 // ==========================================
@@ -34,23 +48,378 @@ const TYPE_EFFECTIVENESS = {
     fairy: { fire: 0.5, fighting: 2, poison: 0.5, dragon: 2, dark: 2, steel: 0.5 }
 };
 
+// ==========================================
+// Moves
+// ==========================================
+
+/**
+ * Fallback move for Pokemon without a moveset (e.g. teams saved before moves existed).
+ */
+const DEFAULT_MOVE = {
+    name: 'Tackle',
+    power: 40,
+    accuracy: 100,
+    type: 'normal',
+    damageClass: 'physical'
+};
+
+/** Move power that deals the same damage as the old generic attack */
+const MOVE_POWER_BASELINE = 60;
+
+/** Defensive stat that neither reduces nor increases incoming damage */
+const DEFENSE_BASELINE = 70;
+
+/**
+ * Gets the usable moves for a Pokemon.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object[]} The Pokemon's moveset, or the default move if it has none
+ */
+function getMoveset(pokemon) {
+    return pokemon.moves && pokemon.moves.length > 0 ? pokemon.moves : [DEFAULT_MOVE];
+}
+
+/**
+ * Picks a random move from a Pokemon's moveset.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object} The chosen move
+ */
+function chooseRandomMove(pokemon) {
+    const moves = getMoveset(pokemon);
+    return randomChoice(moves);
+}
+
+/**
+ * Rolls whether a move hits based on its accuracy.
+ * @param {Object} move - Move data object
+ * @returns {boolean} True if the move hits
+ */
+function rollMoveHit(move) {
+    // null accuracy means the move can't miss
+    if (move.accuracy === null || move.accuracy === undefined) return true;
+    return random() * 100 < move.accuracy;
+}
+
+// ==========================================
+// Status Conditions
+// ==========================================
+
+/** Types that can't receive a given status condition */
+const STATUS_IMMUNITIES = {
+    burn: ['fire'],
+    poison: ['poison', 'steel'],
+    paralysis: ['electric'],
+    sleep: [],
+    freeze: ['ice']
+};
+
+/** Fraction of max HP lost at the end of each turn */
+const STATUS_DAMAGE_FRACTION = {
+    burn: 1 / 16,
+    poison: 1 / 8
+};
+
+/** Chance a paralyzed Pokemon can't move on its turn */
+const PARALYSIS_SKIP_CHANCE = 0.25;
+
+/** Chance a frozen Pokemon thaws out at the start of its turn */
+const FREEZE_THAW_CHANCE = 0.2;
+
+/** Range of turns a Pokemon stays asleep */
+const SLEEP_TURNS = { min: 1, max: 3 };
+
+/**
+ * Checks whether a Pokemon can be given a status condition.
+ * A Pokemon can only have one status at a time, and some types are immune.
+ * @param {Object} pokemon - Target Pokemon
+ * @param {string} condition - Status condition key (see STATUS_CONDITIONS)
+ * @returns {boolean} True if the condition can be inflicted
+ */
+function canReceiveStatus(pokemon, condition) {
+    if (!STATUS_IMMUNITIES[condition]) return false;
+    if (pokemon.status || pokemon.hp <= 0) return false;
+    
+    const immuneTypes = STATUS_IMMUNITIES[condition];
+    return !(pokemon.types || []).some(type => immuneTypes.includes(type));
+}
+
+/**
+ * Gives a Pokemon a status condition if it can receive it.
+ * @param {Object} pokemon - Target Pokemon
+ * @param {string} condition - Status condition key (see STATUS_CONDITIONS)
+ * @returns {boolean} True if the condition was inflicted
+ */
+function inflictStatus(pokemon, condition) {
+    if (!canReceiveStatus(pokemon, condition)) return false;
+    
+    pokemon.status = condition;
+    pokemon.statusTurns = condition === 'sleep'
+        ? randomInt(SLEEP_TURNS.min, SLEEP_TURNS.max)
+        : 0;
+    return true;
+}
+
+/**
+ * Removes a Pokemon's status condition.
+ * @param {Object} pokemon - Target Pokemon
+ */
+function clearStatus(pokemon) {
+    pokemon.status = null;
+    pokemon.statusTurns = 0;
+}
+
+/**
+ * Checks whether a Pokemon's status lets it move this turn.
+ * Counts down sleep and rolls for thawing and full paralysis.
+ * @param {Object} pokemon - The Pokemon about to move
+ * @returns {Object} Object with canMove and a message (empty if nothing happened)
+ */
+function checkStatusBeforeMove(pokemon) {
+    switch (pokemon.status) {
+        case 'sleep':
+            if (pokemon.statusTurns > 0) {
+                pokemon.statusTurns--;
+                return { canMove: false, message: `${pokemon.name} is fast asleep.` };
+            }
+            clearStatus(pokemon);
+            return { canMove: true, message: `${pokemon.name} woke up!` };
+        case 'freeze':
+            if (random() < FREEZE_THAW_CHANCE) {
+                clearStatus(pokemon);
+                return { canMove: true, message: `${pokemon.name} thawed out!` };
+            }
+            return { canMove: false, message: `${pokemon.name} is frozen solid!` };
+        case 'paralysis':
+            if (random() < PARALYSIS_SKIP_CHANCE) {
+                return { canMove: false, message: `${pokemon.name} is paralyzed! It can't move!` };
+            }
+            return { canMove: true, message: '' };
+        default:
+            return { canMove: true, message: '' };
+    }
+}
+
+/**
+ * Applies end-of-turn status damage (burn and poison).
+ * @param {Object} pokemon - The affected Pokemon
+ * @returns {Object|null} Object with damage, message and fainted, or null if nothing happened
+ */
+function applyEndOfTurnStatus(pokemon) {
+    const fraction = STATUS_DAMAGE_FRACTION[pokemon.status];
+    if (!fraction || pokemon.hp <= 0) return null;
+    
+    const damage = Math.max(1, Math.floor(pokemon.maxHp * fraction));
+    pokemon.hp = Math.max(0, pokemon.hp - damage);
+    
+    const cause = pokemon.status === 'burn' ? 'its burn' : 'poison';
+    return {
+        damage,
+        message: `${pokemon.name} is hurt by ${cause}!`,
+        fainted: pokemon.hp <= 0
+    };
+}
+
+/**
+ * Gets a Pokemon's Speed after stat stages and status penalties (paralysis halves it).
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {number} Effective Speed
+ */
+function getEffectiveSpeed(pokemon) {
+    const speed = (pokemon.speed || 50) * getStatStageMultiplier(pokemon, 'speed');
+    return pokemon.status === 'paralysis' ? speed / 2 : speed;
+}
+
+/**
+ * Rolls whether a move inflicts its status condition on the defender.
+ * @param {Object} move - The move that hit
+ * @param {Object} defender - The defending Pokemon
+ * @returns {string|null} The inflicted condition, or null
+ */
+function rollMoveAilment(move, defender) {
+    if (!move.ailment || !STATUS_IMMUNITIES[move.ailment]) return null;
+    if (random() * 100 >= (move.ailmentChance || 0)) return null;
+    
+    return inflictStatus(defender, move.ailment) ? move.ailment : null;
+}
+
+// ==========================================
+// Stat Stages
+// ==========================================
+
+/** How far a stat can be raised or lowered, in stages */
+const STAT_STAGE_LIMIT = 6;
+
+/** Display names for stats that can change in battle */
+const STAT_NAMES = {
+    attack: 'Attack',
+    defense: 'Defense',
+    specialAttack: 'Sp. Atk',
+    specialDefense: 'Sp. Def',
+    speed: 'Speed'
+};
+
+/**
+ * Gets the multiplier a stat's battle stage applies (each stage is worth half the stat).
+ * @param {Object} pokemon - Pokemon data object
+ * @param {string} stat - Stat key (see STAT_NAMES)
+ * @returns {number} Stat multiplier (1 at stage 0)
+ */
+function getStatStageMultiplier(pokemon, stat) {
+    const stage = (pokemon.statStages && pokemon.statStages[stat]) || 0;
+    return stage >= 0 ? (2 + stage) / 2 : 2 / (2 - stage);
+}
+
+/**
+ * Raises or lowers one of a Pokemon's stats for the rest of its time in battle.
+ * @param {Object} pokemon - Target Pokemon
+ * @param {string} stat - Stat key (see STAT_NAMES)
+ * @param {number} stages - Stages to change by (negative to lower)
+ * @returns {number} How many stages the stat actually changed (0 if already at the limit)
+ */
+function changeStatStage(pokemon, stat, stages) {
+    const current = (pokemon.statStages && pokemon.statStages[stat]) || 0;
+    const next = Math.max(-STAT_STAGE_LIMIT, Math.min(STAT_STAGE_LIMIT, current + stages));
+    
+    pokemon.statStages = { ...pokemon.statStages, [stat]: next };
+    return next - current;
+}
+
+/**
+ * Resets a Pokemon's stat stages, as happens when it leaves battle.
+ * @param {Object} pokemon - Pokemon data object
+ */
+function clearStatStages(pokemon) {
+    delete pokemon.statStages;
+}
+
+// ==========================================
+// Abilities
+// ==========================================
+
+/**
+ * Applies a Pokemon's ability as it enters battle (e.g. Intimidate).
+ * @param {Object} pokemon - The Pokemon entering battle
+ * @param {Object} foe - The Pokemon it is facing
+ * @returns {string|null} Battle message, or null if the ability did nothing
+ */
+function applyEntryAbility(pokemon, foe) {
+    const effect = getEntryAbilityEffect(pokemon, foe);
+    if (!effect || pokemon.hp <= 0 || !foe || foe.hp <= 0) return null;
+    
+    const target = effect.target === 'foe' ? foe : pokemon;
+    const change = changeStatStage(target, effect.stat, effect.stages);
+    const source = `${pokemon.name}'s ${getAbility(pokemon).name}!`;
+    const statName = STAT_NAMES[effect.stat];
+    
+    if (change === 0) {
+        return `${source} ${target.name}'s ${statName} won't go any ${effect.stages < 0 ? 'lower' : 'higher'}!`;
+    }
+    return `${source} ${target.name}'s ${statName} ${change < 0 ? 'fell' : 'rose'}!`;
+}
+
+// ==========================================
+// Held Items
+// ==========================================
+
+/**
+ * Applies a Pokemon's held item at the end of a turn (e.g. Leftovers).
+ * @param {Object} pokemon - The holder
+ * @returns {Object|null} Object with healing and message, or null if nothing happened
+ */
+function applyEndOfTurnItem(pokemon) {
+    if (pokemon.hp <= 0 || pokemon.hp >= pokemon.maxHp) return null;
+    
+    const healing = Math.min(getItemEndOfTurnHealing(pokemon), pokemon.maxHp - pokemon.hp);
+    if (healing <= 0) return null;
+    
+    pokemon.hp += healing;
+    return {
+        healing,
+        message: `${pokemon.name} restored a little HP using its ${getHeldItem(pokemon).name}!`
+    };
+}
+
+// ==========================================
+// Bag Items
+// ==========================================
+
+/**
+ * Uses a bag item on a Pokemon in battle: a stat boost like X Attack,
+ * or any of the healing and curing items (see applyBagItem).
+ * @param {Object} pokemon - Pokemon to use the item on (changed in place)
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @returns {string|null} Battle message, or null if the item would have no effect
+ */
+function applyBattleItem(pokemon, itemId) {
+    const item = BAG_ITEMS[itemId];
+    if (!item || !item.stat) {
+        return applyBagItem(pokemon, itemId);
+    }
+    
+    if (pokemon.hp <= 0 || changeStatStage(pokemon, item.stat, item.stages) === 0) return null;
+    return `${pokemon.name}'s ${STAT_NAMES[item.stat]} rose!`;
+}
+
+/**
+ * Checks whether a bag item would have any effect on a Pokemon in battle, without using it.
+ * @param {Object} pokemon - Pokemon data object
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @returns {boolean} True if the item would do something
+ */
+function canUseBattleItem(pokemon, itemId) {
+    return applyBattleItem({ ...pokemon }, itemId) !== null;
+}
+
+// ==========================================
+// Catching
+// ==========================================
+
+/** How much easier a status condition makes a Pokemon to catch */
+const CATCH_STATUS_BONUS = {
+    sleep: 2,
+    freeze: 2,
+    paralysis: 1.5,
+    poison: 1.5,
+    burn: 1.5
+};
+
+/**
+ * Gets the chance of catching a wild Pokemon with a ball.
+ * Weaker Pokemon, species with a high capture rate, better balls and status conditions all help.
+ * @param {Object} pokemon - The wild Pokemon
+ * @param {number} captureRate - Its species' capture rate (1 to MAX_CAPTURE_RATE)
+ * @param {number} ballMultiplier - The ball's catch rate (see BAG_ITEMS)
+ * @returns {number} Catch chance from 0 to 1
+ */
+function getCatchChance(pokemon, captureRate, ballMultiplier = 1) {
+    const hpFactor = (3 * pokemon.maxHp - 2 * pokemon.hp) / (3 * pokemon.maxHp);
+    const statusBonus = CATCH_STATUS_BONUS[pokemon.status] || 1;
+    
+    return Math.min(1, (captureRate * ballMultiplier * hpFactor * statusBonus) / MAX_CAPTURE_RATE);
+}
+
+/**
+ * Rolls whether a thrown ball catches a wild Pokemon.
+ * @param {Object} pokemon - The wild Pokemon
+ * @param {number} captureRate - Its species' capture rate
+ * @param {number} ballMultiplier - The ball's catch rate
+ * @returns {boolean} True if the Pokemon was caught
+ */
+function attemptCatch(pokemon, captureRate, ballMultiplier = 1) {
+    return random() < getCatchChance(pokemon, captureRate, ballMultiplier);
+}
+
 // ==========================================
 // Type Effectiveness Functions
 // ==========================================
 
 /**
- * Gets the type effectiveness multiplier for an attack.
- * @param {string[]} attackerTypes - Types of the attacking Pokemon
+ * Gets the effectiveness multiplier of one attacking type against a defender.
+ * @param {string} attackType - Type of the attack
  * @param {string[]} defenderTypes - Types of the defending Pokemon
  * @returns {number} Combined effectiveness multiplier
  */
-function getTypeEffectiveness(attackerTypes, defenderTypes) {
+function getAttackTypeEffectiveness(attackType, defenderTypes) {
     let multiplier = 1;
-    
-    // Use first type as primary attacking type
-    const attackType = attackerTypes[0];
-    if (!attackType) return 1;
-    
     const effectiveness = TYPE_EFFECTIVENESS[attackType] || {};
     
     // Check against all defender types
@@ -63,6 +432,19 @@ function getTypeEffectiveness(attackerTypes, defenderTypes) {
     return multiplier;
 }
 
+/**
+ * Gets the type effectiveness multiplier for an attack.
+ * A dual-type attacker hits with whichever of its types is most effective.
+ * @param {string[]} attackerTypes - Types of the attack (or of the attacking Pokemon)
+ * @param {string[]} defenderTypes - Types of the defending Pokemon
+ * @returns {number} Combined effectiveness multiplier
+ */
+function getTypeEffectiveness(attackerTypes, defenderTypes) {
+    if (!attackerTypes || attackerTypes.length === 0) return 1;
+    
+    return Math.max(...attackerTypes.map(attackType => getAttackTypeEffectiveness(attackType, defenderTypes)));
+}
+
 /**
  * Gets the battle message for type effectiveness.
  * @param {number} typeMultiplier - The effectiveness multiplier
@@ -79,36 +461,105 @@ function getEffectivenessDescription(typeMultiplier) {
 // Damage Calculation
 // ==========================================
 
+/** Chance of a critical hit, and how much extra damage one deals */
+const CRITICAL_HIT_CHANCE = 0.1;
+const CRITICAL_HIT_MULTIPLIER = 1.5;
+
+/** Same-type attack bonus: extra damage when a move shares one of the attacker's types */
+const STAB_MULTIPLIER = 1.5;
+
 /**
- * Calculates damage for an attack.
- * Considers attack stat, strength, type effectiveness, and randomization.
+ * Gets the same-type attack bonus for a move.
+ * @param {Object} attacker - The attacking Pokemon
+ * @param {Object} move - The move being used
+ * @returns {number} STAB_MULTIPLIER if the move matches one of the attacker's types, otherwise 1
+ */
+function getStabMultiplier(attacker, move) {
+    return (attacker.types || []).includes(move.type || 'normal') ? STAB_MULTIPLIER : 1;
+}
+
+/**
+ * Gets the attacking and defending stats a move uses.
+ * Physical moves use Attack vs Defense, special moves use Sp. Atk vs Sp. Def.
  * @param {Object} attacker - The attacking Pokemon
  * @param {Object} defender - The defending Pokemon
- * @returns {Object} Damage result with amount and effectiveness message
+ * @param {Object} move - The move being used
+ * @returns {Object} Object with attackStat and defenseStat
+ */
+function getAttackStats(attacker, defender, move) {
+    if (move.damageClass === 'special') {
+        return {
+            attackStat: (attacker.specialAttack || attacker.attack || 50) * getStatStageMultiplier(attacker, 'specialAttack'),
+            defenseStat: (defender.specialDefense || DEFENSE_BASELINE) * getStatStageMultiplier(defender, 'specialDefense')
+        };
+    }
+    
+    // A burn halves physical attack power
+    const burnMultiplier = attacker.status === 'burn' ? 0.5 : 1;
+    
+    return {
+        attackStat: (attacker.attack || 50) * burnMultiplier * getStatStageMultiplier(attacker, 'attack'),
+        defenseStat: (defender.defense || DEFENSE_BASELINE) * getStatStageMultiplier(defender, 'defense')
+    };
+}
+
+/**
+ * Calculates an attack's damage before any random rolls.
+ * Considers attacking/defending stats, move power, STAB, strength, type effectiveness and abilities.
+ * @param {Object} attacker - The attacking Pokemon
+ * @param {Object} defender - The defending Pokemon
+ * @param {Object} move - The move being used
+ * @returns {Object} Object with baseDamage (unrounded), typeMultiplier, stabMultiplier and strengthMultiplier
  */
-function calculateDamage(attacker, defender) {
-    // Base damage from attack stat (scaled down for gameplay)
-    const baseAttack = attacker.attack || 50;
+function getBaseDamage(attacker, defender, move = DEFAULT_MOVE) {
+    // Base damage from the relevant attack stat (scaled down for gameplay)
+    const { attackStat, defenseStat } = getAttackStats(attacker, defender, move);
+    
+    // Stronger defenses soak up more of the hit
+    const defenseMultiplier = DEFENSE_BASELINE / defenseStat;
+    
+    // Move power relative to the baseline move, boosted by abilities like Blaze and items like Charcoal
+    const powerMultiplier = ((move.power || 0) / MOVE_POWER_BASELINE)
+        * getAbilityPowerMultiplier(attacker, move)
+        * getItemPowerMultiplier(attacker, move);
+    
+    // Moves that share a type with the attacker hit harder
+    const stabMultiplier = getStabMultiplier(attacker, move);
     
     // Strength multiplier (1-100 scaled to 0.8-1.5)
     const strengthMultiplier = 0.8 + ((attacker.strength || 50) / 100) * 0.7;
     
-    // Type effectiveness
-    const attackerTypes = attacker.types || ['normal'];
+    // Type effectiveness of the move against the defender, including immunities like Levitate
     const defenderTypes = defender.types || ['normal'];
-    const typeMultiplier = getTypeEffectiveness(attackerTypes, defenderTypes);
+    const typeMultiplier = getTypeEffectiveness([move.type || 'normal'], defenderTypes)
+        * getAbilityTypeMultiplier(defender, move.type || 'normal');
+    
+    const baseDamage = (attackStat * 0.4) * powerMultiplier * stabMultiplier * defenseMultiplier
+        * strengthMultiplier * typeMultiplier;
+    
+    return { baseDamage, typeMultiplier, stabMultiplier, strengthMultiplier };
+}
+
+/**
+ * Calculates damage for an attack.
+ * Considers attacking/defending stats, move power, STAB, strength, type effectiveness, and randomization.
+ * @param {Object} attacker - The attacking Pokemon
+ * @param {Object} defender - The defending Pokemon
+ * @param {Object} move - The move being used
+ * @returns {Object} Damage result with amount and effectiveness message
+ */
+function calculateDamage(attacker, defender, move = DEFAULT_MOVE) {
+    const { baseDamage, typeMultiplier, stabMultiplier, strengthMultiplier } = getBaseDamage(attacker, defender, move);
     
     // Random factor (0.85 to 1.15)
-    const randomFactor = 0.85 + Math.random() * 0.3;
+    const randomFactor = 0.85 + random() * 0.3;
     
-    // Critical hit chance (10%)
-    const isCritical = Math.random() < 0.1;
-    const critMultiplier = isCritical ? 1.5 : 1;
+    // Critical hit chance
+    const isCritical = random() < CRITICAL_HIT_CHANCE;
+    const critMultiplier = isCritical ? CRITICAL_HIT_MULTIPLIER : 1;
     
     // Calculate final damage
-    let damage = Math.round(
-        (baseAttack * 0.4) * strengthMultiplier * typeMultiplier * randomFactor * critMultiplier
-    );
+    let damage = Math.round(baseDamage * randomFactor * critMultiplier);
     
     // Minimum damage of 1 (unless immune)
     if (typeMultiplier === 0) {
@@ -129,11 +580,32 @@ function calculateDamage(attacker, defender) {
         effectivenessMsg, 
         typeMultiplier, 
         isCritical,
+        stabMultiplier,
         strengthMultiplier,
         randomFactor
     };
 }
 
+/**
+ * Estimates the average damage an attack would deal, without rolling any dice.
+ * Averages over the random factor, critical hits and the move's accuracy.
+ * @param {Object} attacker - The attacking Pokemon
+ * @param {Object} defender - The defending Pokemon
+ * @param {Object} move - The move being used
+ * @returns {number} Expected damage (0 for status moves and immunities)
+ */
+function estimateDamage(attacker, defender, move = DEFAULT_MOVE) {
+    if (move.damageClass === 'status' || !move.power) return 0;
+    
+    const { baseDamage, typeMultiplier } = getBaseDamage(attacker, defender, move);
+    if (typeMultiplier === 0) return 0;
+    
+    const critFactor = 1 + CRITICAL_HIT_CHANCE * (CRITICAL_HIT_MULTIPLIER - 1);
+    const hitChance = move.accuracy === null || move.accuracy === undefined ? 1 : move.accuracy / 100;
+    
+    return Math.max(1, baseDamage * critFactor) * hitChance;
+}
+
 // ==========================================
 // Attack Execution
 // ==========================================
@@ -142,37 +614,153 @@ function calculateDamage(attacker, defender) {
  * Executes a single attack turn.
  * @param {Object} attacker - The attacking Pokemon
  * @param {Object} defender - The defending Pokemon
+ * @param {Object} move - The move being used
  * @param {boolean} isPlayerAttack - Whether this is the player's attack
  * @returns {Object} Result with damage dealt and messages
  */
-function executeAttack(attacker, defender, isPlayerAttack) {
-    const result = calculateDamage(attacker, defender);
+function executeAttack(attacker, defender, move, isPlayerAttack) {
+    const statusCheck = checkStatusBeforeMove(attacker);
+    
+    const baseResult = {
+        attacker: attacker.name,
+        defender: defender.name,
+        move: move.name,
+        moveType: move.type,
+        isStatusMove: move.damageClass === 'status',
+        isPlayerAttack,
+        statusMessage: statusCheck.message,
+        skipped: false,
+        missed: false,
+        damage: 0,
+        effectivenessMsg: '',
+        defenderFainted: false,
+        isCritical: false,
+        typeMultiplier: 1,
+        statusInflicted: null,
+        abilityMessage: '',
+        itemMessage: ''
+    };
+    
+    if (!statusCheck.canMove) {
+        return { ...baseResult, skipped: true };
+    }
+    
+    if (!rollMoveHit(move)) {
+        return { ...baseResult, missed: true };
+    }
+    
+    // An ability that makes the defender immune to the move's type
+    const abilityImmunity = getAbilityTypeMultiplier(defender, move.type || 'normal') === 0
+        ? `${defender.name}'s ${getAbility(defender).name} made it immune!`
+        : '';
+    
+    // Status moves deal no damage, but type immunities still apply
+    if (move.damageClass === 'status') {
+        const typeMultiplier = getTypeEffectiveness([move.type || 'normal'], defender.types || ['normal'])
+            * getAbilityTypeMultiplier(defender, move.type || 'normal');
+        if (typeMultiplier === 0) {
+            return { ...baseResult, typeMultiplier, effectivenessMsg: getEffectivenessDescription(0), abilityMessage: abilityImmunity };
+        }
+        return { ...baseResult, statusInflicted: rollMoveAilment(move, defender) };
+    }
+    
+    const result = calculateDamage(attacker, defender, move);
+    
+    // Abilities like Sturdy can leave the defender hanging on
+    const damage = getAbilityDamageLimit(defender, result.damage);
+    const abilityMessage = damage < result.damage
+        ? `${defender.name} endured the hit with ${getAbility(defender).name}!`
+        : abilityImmunity;
+    
+    // Items like Focus Sash do the same, but are used up
+    const itemDamage = getItemDamageLimit(defender, damage);
+    let itemMessage = '';
+    if (itemDamage < damage) {
+        itemMessage = `${defender.name} hung on using its ${getHeldItem(defender).name}!`;
+        consumeHeldItem(defender);
+    }
+    result.damage = itemDamage;
     
     // Apply damage
     defender.hp = Math.max(0, defender.hp - result.damage);
     
+    // Fire moves thaw out a frozen target
+    if (defender.status === 'freeze' && move.type === 'fire' && result.damage > 0) {
+        clearStatus(defender);
+    }
+    
+    // Fainted Pokemon lose their status condition
+    if (defender.hp <= 0) {
+        clearStatus(defender);
+    }
+    
     return {
-        attacker: attacker.name,
-        defender: defender.name,
+        ...baseResult,
         damage: result.damage,
         effectivenessMsg: result.effectivenessMsg,
         defenderFainted: defender.hp <= 0,
-        isPlayerAttack,
         isCritical: result.isCritical,
-        typeMultiplier: result.typeMultiplier
+        typeMultiplier: result.typeMultiplier,
+        statusInflicted: result.damage > 0 ? rollMoveAilment(move, defender) : null,
+        abilityMessage,
+        itemMessage
     };
 }
 
 /**
- * Determines turn order based on Pokemon strength with randomization.
+ * Determines turn order based on Speed (after paralysis). Speed ties are decided by a coin flip.
  * @param {Object} pokemon1 - First Pokemon
  * @param {Object} pokemon2 - Second Pokemon
  * @returns {boolean} True if pokemon1 goes first
  */
 function determineTurnOrder(pokemon1, pokemon2) {
-    const speed1 = (pokemon1.strength || 50) + Math.random() * 20;
-    const speed2 = (pokemon2.strength || 50) + Math.random() * 20;
-    return speed1 >= speed2;
+    const speed1 = getEffectiveSpeed(pokemon1);
+    const speed2 = getEffectiveSpeed(pokemon2);
+    
+    if (speed1 === speed2) {
+        return random() < 0.5;
+    }
+    
+    return speed1 > speed2;
+}
+
+// ==========================================
+// Running Away
+// ==========================================
+
+/** Escape odds are out of 256, as in the main games */
+const ESCAPE_ODDS_SCALE = 256;
+
+/** Extra escape odds for each failed attempt against the same Pokemon */
+const ESCAPE_ATTEMPT_BONUS = 30;
+
+/**
+ * Gets the chance of running away from a wild Pokemon.
+ * A faster Pokemon always escapes; a slower one gets better odds with every try.
+ * @param {Object} runner - Pokemon trying to run
+ * @param {Object} opponent - Pokemon it is running from
+ * @param {number} failedAttempts - Earlier failed attempts this battle
+ * @returns {number} Escape chance from 0 to 1
+ */
+function getEscapeChance(runner, opponent, failedAttempts = 0) {
+    const runnerSpeed = getEffectiveSpeed(runner);
+    const opponentSpeed = getEffectiveSpeed(opponent);
+    
+    if (runnerSpeed >= opponentSpeed) return 1;
+    
+    const odds = (runnerSpeed * 128) / opponentSpeed + ESCAPE_ATTEMPT_BONUS * failedAttempts;
+    return Math.min(1, odds / ESCAPE_ODDS_SCALE);
+}
+
+/**
+ * Rolls whether a Pokemon manages to run away.
+ * @param {Object} runner - Pokemon trying to run
+ * @param {Object} opponent - Pokemon it is running from
+ * @param {number} failedAttempts - Earlier failed attempts this battle
+ * @returns {boolean} True if it got away
+ */
+function attemptEscape(runner, opponent, failedAttempts = 0) {
+    return random() < getEscapeChance(runner, opponent, failedAttempts);
 }
 
 // ==========================================
@@ -181,11 +769,41 @@ function determineTurnOrder(pokemon1, pokemon2) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         TYPE_EFFECTIVENESS,
+        DEFAULT_MOVE,
+        getMoveset,
+        chooseRandomMove,
+        rollMoveHit,
+        STATUS_IMMUNITIES,
+        canReceiveStatus,
+        inflictStatus,
+        clearStatus,
+        checkStatusBeforeMove,
+        applyEndOfTurnStatus,
+        getEffectiveSpeed,
+        STAT_NAMES,
+        getStatStageMultiplier,
+        changeStatStage,
+        clearStatStages,
+        applyEntryAbility,
+        applyEndOfTurnItem,
+        applyBattleItem,
+        canUseBattleItem,
+        CATCH_STATUS_BONUS,
+        getCatchChance,
+        attemptCatch,
+        getAttackTypeEffectiveness,
         getTypeEffectiveness,
         getEffectivenessDescription,
+        STAB_MULTIPLIER,
+        getStabMultiplier,
+        getAttackStats,
+        getBaseDamage,
         calculateDamage,
+        estimateDamage,
         executeAttack,
-        determineTurnOrder
+        determineTurnOrder,
+        getEscapeChance,
+        attemptEscape
     };
 }
 
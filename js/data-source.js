@@ -0,0 +1,187 @@
+/**
+ * Pokemon Data Sources
+ *
+ * api.js asks the active data source for raw Pokemon, move, species and
+ * evolution chain data, all in PokeAPI's response format. Two backends exist:
+ * the live PokeAPI (through the offline cache), and the local dataset bundled
+ * in data/pokemon-dataset.js, which needs no network at all. The active one
+ * is picked with the dataSource setting (see DATA_SOURCES).
+ *
+ * Every backend has the same shape:
+ *   getPokemonIds()            -> number[] of Pokemon that can be encountered
+ *   getPokemon(idOrName)       -> Promise<Object|null>
+ *   getMove(nameOrId)          -> Promise<Object|null>
+ *   getSpecies(idOrName)       -> Promise<Object|null>
+ *   getEvolutionChain(url)     -> Promise<Object|null>
+ *   getType(name)              -> Promise<Object|null>
+ * Lookups resolve to null when the source has no such entry.
+ */
+
+// ==========================================
+// Dependencies
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    // Browser pages load these as globals via <script> tags
+    Object.assign(globalThis, require('./shared.js'), require('./cache.js'), require('../data/pokemon-dataset.js'));
+}
+
+// ==========================================
+// Constants
+// ==========================================
+
+const POKEAPI_BASE_URL = 'https://pokeapi.co/api/v2';
+
+/** Highest National Dex number (the last Pokemon of the newest generation) */
+const MAX_POKEMON_ID = GENERATIONS[GENERATIONS.length - 1].lastId;
+
+/** Minimum Pokemon ID */
+const MIN_POKEMON_ID = 1;
+
+/** Source used when the setting is missing or unknown */
+const DEFAULT_DATA_SOURCE = DATA_SOURCES.POKEAPI;
+
+// ==========================================
+// PokeAPI Backend
+// ==========================================
+
+/** Every Pokemon ID the PokeAPI backend encounters, built on first use */
+let pokeApiIds = null;
+
+const pokeApiSource = {
+    getPokemonIds() {
+        if (!pokeApiIds) {
+            pokeApiIds = Array.from({ length: MAX_POKEMON_ID - MIN_POKEMON_ID + 1 }, (_, i) => MIN_POKEMON_ID + i);
+        }
+        return pokeApiIds;
+    },
+    getPokemon: idOrName => fetchCachedJson(`${POKEAPI_BASE_URL}/pokemon/${idOrName}`),
+    getMove: nameOrId => fetchCachedJson(`${POKEAPI_BASE_URL}/move/${nameOrId}`),
+    getSpecies: idOrName => fetchCachedJson(`${POKEAPI_BASE_URL}/pokemon-species/${idOrName}`),
+    getEvolutionChain: url => fetchCachedJson(url),
+    getType: name => fetchCachedJson(`${POKEAPI_BASE_URL}/type/${name}`)
+};
+
+// ==========================================
+// Local Dataset Backend
+// ==========================================
+
+/** Lookup tables over the bundled dataset, built on first use */
+let localIndex = null;
+
+/**
+ * Indexes a list of dataset entries by ID and by name.
+ * @param {Object[]} entries - Dataset entries
+ * @returns {Map} Entries keyed by String(id) and name
+ */
+function indexEntries(entries) {
+    const index = new Map();
+    entries.forEach(entry => {
+        index.set(String(entry.id), entry);
+        if (entry.name) index.set(entry.name, entry);
+    });
+    return index;
+}
+
+/**
+ * Gets the lookup tables for the bundled dataset.
+ * @returns {Object} Maps of Pokemon, moves, species and evolution chains
+ */
+function getLocalIndex() {
+    if (!localIndex) {
+        localIndex = {
+            pokemon: indexEntries(LOCAL_POKEMON_DATASET.pokemon),
+            moves: indexEntries(LOCAL_POKEMON_DATASET.moves),
+            species: indexEntries(LOCAL_POKEMON_DATASET.species),
+            evolutionChains: new Map(LOCAL_POKEMON_DATASET.evolutionChains.map(chain => [chain.url, chain]))
+        };
+    }
+    return localIndex;
+}
+
+/**
+ * Looks up a dataset entry, returning a copy so callers can't change the dataset.
+ * @param {string} table - Lookup table name (see getLocalIndex)
+ * @param {number|string} key - ID, name or URL
+ * @returns {Promise<Object|null>} Copy of the entry, or null if it isn't in the dataset
+ */
+async function findLocalEntry(table, key) {
+    const entry = getLocalIndex()[table].get(String(key));
+    return entry ? JSON.parse(JSON.stringify(entry)) : null;
+}
+
+/**
+ * Builds a type's list of Pokemon from the bundled dataset, like PokeAPI's /type response.
+ * @param {string} name - Type name (e.g. 'fire')
+ * @returns {Promise<Object>} Type with the dataset Pokemon that have it
+ */
+async function findLocalType(name) {
+    const pokemon = LOCAL_POKEMON_DATASET.pokemon
+        .filter(entry => entry.types.some(slot => slot.type.name === name))
+        .map(entry => ({ pokemon: { name: entry.name, url: `${POKEAPI_BASE_URL}/pokemon/${entry.id}/` } }));
+    
+    return { name, pokemon };
+}
+
+const localSource = {
+    getPokemonIds: () => LOCAL_POKEMON_DATASET.pokemon.map(pokemon => pokemon.id),
+    getPokemon: idOrName => findLocalEntry('pokemon', idOrName),
+    getMove: nameOrId => findLocalEntry('moves', nameOrId),
+    getSpecies: idOrName => findLocalEntry('species', idOrName),
+    getEvolutionChain: url => findLocalEntry('evolutionChains', url),
+    getType: findLocalType
+};
+
+// ==========================================
+// Source Selection
+// ==========================================
+
+/** Backend for each data source */
+const DATA_SOURCE_BACKENDS = {
+    pokeapi: pokeApiSource,
+    local: localSource
+};
+
+/** Source picked in code, taking priority over the setting (e.g. for scripts in Node) */
+let dataSourceOverride = null;
+
+/**
+ * Gets the name of the active data source.
+ * @returns {string} One of DATA_SOURCES
+ */
+function getDataSourceName() {
+    // Node has no saved settings
+    const setting = typeof localStorage !== 'undefined' ? getSettings().dataSource : null;
+    const name = dataSourceOverride || setting;
+    return DATA_SOURCE_BACKENDS[name] ? name : DEFAULT_DATA_SOURCE;
+}
+
+/**
+ * Gets the active data source backend.
+ * @returns {Object} Data source backend
+ */
+function getDataSource() {
+    return DATA_SOURCE_BACKENDS[getDataSourceName()];
+}
+
+/**
+ * Uses a data source for the rest of the session, whatever the setting says.
+ * @param {string|null} name - One of DATA_SOURCES, or null to follow the setting again
+ */
+function setDataSource(name) {
+    dataSourceOverride = name;
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POKEAPI_BASE_URL,
+        MIN_POKEMON_ID,
+        MAX_POKEMON_ID,
+        DEFAULT_DATA_SOURCE,
+        getDataSourceName,
+        getDataSource,
+        setDataSource
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * Encounter Tables
+ *
+ * Decides how tough enemies are as a run goes on. Rounds are split into
+ * bands, and each band only draws enemies whose strength tier (see
+ * getStrengthTier) fits it. On top of their level, enemies also get a stat
+ * boost that rises a little every round.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/**
+ * Round bands, from the first round each one starts at.
+ * Tiers are the strength tiers enemies in the band are drawn from.
+ */
+const ENCOUNTER_TABLES = [
+    { firstRound: 1, name: 'Route 1', tiers: ['D'] },
+    { firstRound: 6, name: 'Viridian Forest', tiers: ['D', 'C'] },
+    { firstRound: 13, name: 'Mt. Moon', tiers: ['C', 'B'] },
+    { firstRound: 21, name: 'Victory Road', tiers: ['B'] },
+    { firstRound: 31, name: 'Pokemon League', tiers: ['B', 'A', 'S'] }
+];
+
+/** Extra enemy stats for each round after the first, as a fraction */
+const ROUND_STAT_BONUS = 0.01;
+
+/** Cap on the per-round stat bonus */
+const MAX_ROUND_STAT_BONUS = 0.5;
+
+/** Stats the round bonus applies to */
+const SCALED_STATS = ['maxHp', 'attack', 'defense', 'specialAttack', 'specialDefense', 'speed'];
+
+// ==========================================
+// Table Lookup
+// ==========================================
+
+/**
+ * Gets the encounter table for a round.
+ * @param {number} round - Battle round
+ * @returns {Object} Table with firstRound, name and tiers
+ */
+function getEncounterTable(round) {
+    return ENCOUNTER_TABLES.filter(table => table.firstRound <= round).pop() || ENCOUNTER_TABLES[0];
+}
+
+/**
+ * Gets the encounter table that comes after a round's table.
+ * @param {number} round - Battle round
+ * @returns {Object|null} The next table, or null if the round is already in the last one
+ */
+function getNextEncounterTable(round) {
+    return ENCOUNTER_TABLES.find(table => table.firstRound > round) || null;
+}
+
+// ==========================================
+// Stat Scaling
+// ==========================================
+
+/**
+ * Gets how much enemy stats are boosted in a round.
+ * @param {number} round - Battle round
+ * @returns {number} Stat multiplier (1 in round 1)
+ */
+function getRoundStatMultiplier(round) {
+    return 1 + Math.min(MAX_ROUND_STAT_BONUS, Math.max(0, round - 1) * ROUND_STAT_BONUS);
+}
+
+/**
+ * Boosts an enemy Pokemon's stats for the round it is met in.
+ * @param {Object} pokemon - Freshly fetched enemy Pokemon
+ * @param {number} round - Battle round
+ * @returns {Object} Copy of the Pokemon with boosted stats, at full HP
+ */
+function applyRoundScaling(pokemon, round) {
+    const multiplier = getRoundStatMultiplier(round);
+    const scaled = { ...pokemon, statMultiplier: multiplier };
+    
+    SCALED_STATS.forEach(stat => {
+        scaled[stat] = Math.round(pokemon[stat] * multiplier);
+    });
+    scaled.hp = scaled.maxHp;
+    
+    return scaled;
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENCOUNTER_TABLES,
+        getEncounterTable,
+        getNextEncounterTable,
+        getRoundStatMultiplier,
+        applyRoundScaling
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * Held Items
+ *
+ * Items a team Pokemon can hold into battle. Like abilities (see abilities.js),
+ * each item is a set of hooks the combat flow calls (see combat.js):
+ *   - getPowerMultiplier(pokemon, move): scales the power of the holder's moves
+ *   - limitDamage(pokemon, damage): caps the damage the holder takes from one hit
+ *   - getEndOfTurnHealing(pokemon): HP the holder recovers at the end of each turn
+ * Held items are bought in the shop and kept in the bag until a Pokemon holds one.
+ * Items marked consumable are used up once their effect triggers.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Power boost from Choice Band */
+const CHOICE_BAND_MULTIPLIER = 1.5;
+
+/** Power boost from a type-boosting item */
+const TYPE_BOOST_MULTIPLIER = 1.2;
+
+/** Fraction of max HP Leftovers restores each turn */
+const LEFTOVERS_HEAL_FRACTION = 1 / 16;
+
+/** Shop price of a type-boosting item */
+const TYPE_BOOST_ITEM_PRICE = 100;
+
+/**
+ * Creates an item that powers up moves of one type.
+ * @param {string} name - Item name
+ * @param {string} icon - Emoji shown for the item
+ * @param {string} type - Move type it boosts
+ * @param {string} typeName - Display name of the type
+ * @returns {Object} Item definition
+ */
+function createTypeBoostItem(name, icon, type, typeName) {
+    return {
+        name,
+        icon,
+        price: TYPE_BOOST_ITEM_PRICE,
+        description: `Powers up ${typeName}-type moves`,
+        getPowerMultiplier: (pokemon, move) => (move.type === type ? TYPE_BOOST_MULTIPLIER : 1)
+    };
+}
+
+/** Items that can be held, keyed by PokeAPI item name, with their shop price */
+const HELD_ITEMS = {
+    leftovers: {
+        name: 'Leftovers',
+        icon: '🍎',
+        price: 200,
+        description: 'Restores a little HP at the end of every turn',
+        getEndOfTurnHealing: (pokemon) => Math.max(1, Math.floor(pokemon.maxHp * LEFTOVERS_HEAL_FRACTION))
+    },
+    'choice-band': {
+        name: 'Choice Band',
+        icon: '🎀',
+        price: 250,
+        description: 'Powers up physical moves',
+        getPowerMultiplier: (pokemon, move) => (move.damageClass === 'physical' ? CHOICE_BAND_MULTIPLIER : 1)
+    },
+    'focus-sash': {
+        name: 'Focus Sash',
+        icon: '🧣',
+        price: 150,
+        description: 'Survives a hit that would knock it out from full HP, once',
+        consumable: true,
+        limitDamage: (pokemon, damage) => (
+            pokemon.hp === pokemon.maxHp && damage >= pokemon.hp ? pokemon.hp - 1 : damage
+        )
+    },
+    charcoal: createTypeBoostItem('Charcoal', '🔥', 'fire', 'Fire'),
+    'mystic-water': createTypeBoostItem('Mystic Water', '💧', 'water', 'Water'),
+    'miracle-seed': createTypeBoostItem('Miracle Seed', '🌱', 'grass', 'Grass'),
+    magnet: createTypeBoostItem('Magnet', '🧲', 'electric', 'Electric'),
+    'never-melt-ice': createTypeBoostItem('Never-Melt Ice', '🧊', 'ice', 'Ice'),
+    'black-belt': createTypeBoostItem('Black Belt', '🥋', 'fighting', 'Fighting'),
+    'poison-barb': createTypeBoostItem('Poison Barb', '☠️', 'poison', 'Poison'),
+    'soft-sand': createTypeBoostItem('Soft Sand', '⏳', 'ground', 'Ground'),
+    'sharp-beak': createTypeBoostItem('Sharp Beak', '🪶', 'flying', 'Flying'),
+    'twisted-spoon': createTypeBoostItem('Twisted Spoon', '🥄', 'psychic', 'Psychic'),
+    'silver-powder': createTypeBoostItem('Silver Powder', '🐛', 'bug', 'Bug'),
+    'hard-stone': createTypeBoostItem('Hard Stone', '🪨', 'rock', 'Rock'),
+    'spell-tag': createTypeBoostItem('Spell Tag', '👻', 'ghost', 'Ghost'),
+    'dragon-fang': createTypeBoostItem('Dragon Fang', '🐉', 'dragon', 'Dragon'),
+    'black-glasses': createTypeBoostItem('Black Glasses', '🕶️', 'dark', 'Dark'),
+    'metal-coat': createTypeBoostItem('Metal Coat', '⚙️', 'steel', 'Steel'),
+    'silk-scarf': createTypeBoostItem('Silk Scarf', '🧶', 'normal', 'Normal'),
+    'fairy-feather': createTypeBoostItem('Fairy Feather', '🪽', 'fairy', 'Fairy')
+};
+
+// ==========================================
+// Lookup
+// ==========================================
+
+/**
+ * Gets the item a Pokemon is holding.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object|null} Item definition, or null if it isn't holding anything
+ */
+function getHeldItem(pokemon) {
+    return (pokemon.heldItem && HELD_ITEMS[pokemon.heldItem]) || null;
+}
+
+// ==========================================
+// Hooks
+// ==========================================
+
+/**
+ * Gets how the attacker's held item scales a move's power.
+ * @param {Object} attacker - The attacking Pokemon
+ * @param {Object} move - The move being used
+ * @returns {number} Power multiplier
+ */
+function getItemPowerMultiplier(attacker, move) {
+    const item = getHeldItem(attacker);
+    return item && item.getPowerMultiplier ? item.getPowerMultiplier(attacker, move) : 1;
+}
+
+/**
+ * Caps the damage a defender takes from one hit, if its held item does that.
+ * @param {Object} defender - The defending Pokemon, before the damage is applied
+ * @param {number} damage - Damage the hit would deal
+ * @returns {number} Damage to deal
+ */
+function getItemDamageLimit(defender, damage) {
+    const item = getHeldItem(defender);
+    return item && item.limitDamage ? item.limitDamage(defender, damage) : damage;
+}
+
+/**
+ * Gets the HP a Pokemon's held item restores at the end of a turn.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {number} HP to restore (0 if none)
+ */
+function getItemEndOfTurnHealing(pokemon) {
+    const item = getHeldItem(pokemon);
+    return item && item.getEndOfTurnHealing ? item.getEndOfTurnHealing(pokemon) : 0;
+}
+
+/**
+ * Uses up a Pokemon's held item if it only works once.
+ * @param {Object} pokemon - Pokemon whose item just took effect
+ */
+function consumeHeldItem(pokemon) {
+    const item = getHeldItem(pokemon);
+    if (item && item.consumable) {
+        pokemon.heldItem = null;
+    }
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HELD_ITEMS,
+        getHeldItem,
+        getItemPowerMultiplier,
+        getItemDamageLimit,
+        getItemEndOfTurnHealing,
+        consumeHeldItem
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * Leveling System
+ *
+ * Handles Pokemon levels, experience points, and how stats scale with level.
+ * Uses the "medium fast" experience curve from the main games (level^3).
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Level bounds */
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 100;
+
+/** Level new team Pokemon start at */
+const STARTING_LEVEL = 5;
+
+/** Level at which a Pokemon's stats equal its base stats */
+const BASE_STAT_LEVEL = 5;
+
+/** Stat growth per level, as a fraction of the base stat */
+const STAT_GROWTH_PER_LEVEL = 0.02;
+
+/** HP is scaled up from the base stat for better gameplay */
+const HP_SCALE = 1.5;
+
+/** Divisor in the experience yield formula (baseExperience * level / 7) */
+const XP_YIELD_DIVISOR = 7;
+
+// ==========================================
+// Experience Curve
+// ==========================================
+
+/**
+ * Gets the total experience needed to reach a level.
+ * @param {number} level - Target level
+ * @returns {number} Total experience points
+ */
+function getExperienceForLevel(level) {
+    return Math.pow(level, 3);
+}
+
+/**
+ * Gets how far a Pokemon is toward its next level.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {number} Progress from 0 to 1 (1 at max level)
+ */
+function getLevelProgress(pokemon) {
+    const level = pokemon.level || STARTING_LEVEL;
+    if (level >= MAX_LEVEL) return 1;
+    
+    const currentLevelXp = getExperienceForLevel(level);
+    const nextLevelXp = getExperienceForLevel(level + 1);
+    const xp = pokemon.xp ?? currentLevelXp;
+    
+    return Math.min(1, Math.max(0, (xp - currentLevelXp) / (nextLevelXp - currentLevelXp)));
+}
+
+/**
+ * Gets the experience awarded for defeating a Pokemon.
+ * @param {Object} defeated - The defeated Pokemon
+ * @returns {number} Experience points
+ */
+function getExperienceYield(defeated) {
+    const baseExperience = defeated.baseExperience || 100;
+    const level = defeated.level || STARTING_LEVEL;
+    return Math.max(1, Math.round((baseExperience * level) / XP_YIELD_DIVISOR));
+}
+
+// ==========================================
+// Stat Scaling
+// ==========================================
+
+/**
+ * Gets the stat multiplier for a level.
+ * @param {number} level - Pokemon level
+ * @returns {number} Multiplier applied to base stats
+ */
+function getStatMultiplier(level) {
+    return 1 + (level - BASE_STAT_LEVEL) * STAT_GROWTH_PER_LEVEL;
+}
+
+/**
+ * Calculates a Pokemon's stats at a given level.
+ * @param {Object} baseStats - Base stats (hp, attack, defense, specialAttack, specialDefense, speed)
+ * @param {number} level - Pokemon level
+ * @returns {Object} Stats to store on the Pokemon (maxHp, attack, defense, ...)
+ */
+function calculateLevelStats(baseStats, level) {
+    const multiplier = getStatMultiplier(level);
+    const scale = value => Math.max(1, Math.round(value * multiplier));
+    
+    return {
+        maxHp: scale(baseStats.hp * HP_SCALE),
+        attack: scale(baseStats.attack),
+        defense: scale(baseStats.defense),
+        specialAttack: scale(baseStats.specialAttack),
+        specialDefense: scale(baseStats.specialDefense),
+        speed: scale(baseStats.speed)
+    };
+}
+
+/**
+ * Gets a Pokemon's base stats.
+ * Pokemon saved before levels existed have their base stats as their current stats.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object} Base stats
+ */
+function getBaseStats(pokemon) {
+    if (pokemon.baseStats) return pokemon.baseStats;
+    
+    return {
+        hp: Math.round(pokemon.maxHp / HP_SCALE),
+        attack: pokemon.attack || 50,
+        defense: pokemon.defense || 50,
+        specialAttack: pokemon.specialAttack || 50,
+        specialDefense: pokemon.specialDefense || 50,
+        speed: pokemon.speed || 50
+    };
+}
+
+/**
+ * Sets a Pokemon's level and recalculates its stats.
+ * HP goes up by however much max HP grew; fainted Pokemon stay fainted.
+ * @param {Object} pokemon - Pokemon data object (modified in place)
+ * @param {number} level - New level
+ */
+function applyLevel(pokemon, level) {
+    const previousMaxHp = pokemon.maxHp;
+    const stats = calculateLevelStats(getBaseStats(pokemon), level);
+    
+    Object.assign(pokemon, stats, { level });
+    
+    if (pokemon.hp > 0) {
+        pokemon.hp = Math.min(pokemon.maxHp, Math.max(1, pokemon.hp + (pokemon.maxHp - previousMaxHp)));
+    }
+}
+
+// ==========================================
+// Experience Gain
+// ==========================================
+
+/**
+ * Gives experience to a Pokemon, leveling it up as needed.
+ * @param {Object} pokemon - Pokemon gaining experience (modified in place)
+ * @param {number} amount - Experience points gained
+ * @returns {Object} Result with xpGained, levelsGained and the new level
+ */
+function gainExperience(pokemon, amount) {
+    const startLevel = pokemon.level || STARTING_LEVEL;
+    pokemon.xp = (pokemon.xp ?? getExperienceForLevel(startLevel)) + amount;
+    
+    let level = startLevel;
+    while (level < MAX_LEVEL && pokemon.xp >= getExperienceForLevel(level + 1)) {
+        level++;
+    }
+    
+    if (level !== startLevel || !pokemon.level) {
+        applyLevel(pokemon, level);
+    }
+    
+    return {
+        xpGained: amount,
+        levelsGained: level - startLevel,
+        level
+    };
+}
+
+/**
+ * Gets the level wild enemies appear at for a battle round.
+ * @param {number} round - Current battle round
+ * @returns {number} Enemy level
+ */
+function getEnemyLevelForRound(round) {
+    return Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, STARTING_LEVEL + (round - 1)));
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MIN_LEVEL,
+        MAX_LEVEL,
+        STARTING_LEVEL,
+        getExperienceForLevel,
+        getLevelProgress,
+        getExperienceYield,
+        getStatMultiplier,
+        calculateLevelStats,
+        getBaseStats,
+        applyLevel,
+        gainExperience,
+        getEnemyLevelForRound
+    };
+}
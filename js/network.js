@@ -0,0 +1,96 @@
+/**
+ * Network Requests
+ *
+ * Wraps fetch() with a timeout and retries for the game's network requests.
+ * A request that hangs is abandoned after REQUEST_TIMEOUT_MS. Requests that
+ * time out, can't connect, or get a server error are retried with exponential
+ * backoff; a "not found" or other client error is returned straight away,
+ * since asking again won't change the answer.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** How long a request may take before it is abandoned */
+const REQUEST_TIMEOUT_MS = 8000;
+
+/** How many times a failed request is retried */
+const REQUEST_RETRIES = 2;
+
+/** Delay before the first retry; doubled for each one after that */
+const RETRY_BASE_DELAY_MS = 500;
+
+// ==========================================
+// Requests
+// ==========================================
+
+/**
+ * Fetches a URL, giving up if the response takes too long.
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Milliseconds to wait for a response
+ * @returns {Promise<Response>} The response
+ * @throws {Error} If the request fails or times out
+ */
+async function fetchWithTimeout(url, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Request timed out after ${timeoutMs / 1000}s: ${url}`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fetches a URL with a timeout, retrying with backoff if the request fails.
+ * Server errors (5xx) and rate limiting (429) are retried too; the last
+ * response is returned if they keep happening.
+ * @param {string} url - URL to fetch
+ * @param {number} retries - How many times to retry
+ * @returns {Promise<Response>} The response (check response.ok)
+ * @throws {Error} If every attempt fails or times out
+ */
+async function fetchWithRetry(url, retries = REQUEST_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        const isLastAttempt = attempt >= retries;
+        
+        try {
+            const response = await fetchWithTimeout(url);
+            if (isLastAttempt || !isRetryableStatus(response.status)) {
+                return response;
+            }
+        } catch (error) {
+            if (isLastAttempt) throw error;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** attempt));
+    }
+}
+
+/**
+ * Checks whether a response status is worth retrying.
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for server errors and rate limiting
+ */
+function isRetryableStatus(status) {
+    return status >= 500 || status === 429;
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REQUEST_TIMEOUT_MS,
+        REQUEST_RETRIES,
+        fetchWithTimeout,
+        fetchWithRetry
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * Pokedex Tracking
+ *
+ * Records which species the trainer has seen and owned. A species is seen
+ * once it turns up as a random Pokemon, and owned once it joins the team.
+ * Each entry keeps enough about the species (name, types, sprite, stats)
+ * for the Pokedex page to show it without fetching it again.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** localStorage key */
+const POKEDEX_STORAGE_KEY = 'pokemonBattlePokedex';
+
+/** Pokemon fields kept in a Pokedex entry */
+const POKEDEX_ENTRY_FIELDS = ['id', 'name', 'types', 'strength', 'baseStats'];
+
+// ==========================================
+// Tracking
+// ==========================================
+
+/**
+ * Marks a Pokemon's species as seen.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object|null} The species' Pokedex entry
+ */
+function markPokemonSeen(pokemon) {
+    return recordPokedexEntry(pokemon, false);
+}
+
+/**
+ * Marks a Pokemon's species as owned (and seen).
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {Object|null} The species' Pokedex entry
+ */
+function markPokemonOwned(pokemon) {
+    return recordPokedexEntry(pokemon, true);
+}
+
+/**
+ * Marks every species on a team as owned.
+ * @param {Object[]} team - The player's team
+ */
+function markTeamOwned(team) {
+    team.forEach(pokemon => markPokemonOwned(pokemon));
+}
+
+/**
+ * Adds a Pokemon to the Pokedex, or updates its species' entry.
+ * @param {Object} pokemon - Pokemon data object
+ * @param {boolean} owned - Whether the Pokemon joined the player's team
+ * @returns {Object|null} The species' Pokedex entry, or null if there is nowhere to save it
+ */
+function recordPokedexEntry(pokemon, owned) {
+    // Node has no saved Pokedex
+    if (!pokemon || typeof localStorage === 'undefined') return null;
+    
+    const pokedex = loadPokedex();
+    const now = new Date().toISOString();
+    const entry = pokedex[pokemon.id] || { timesSeen: 0, firstSeenAt: now, owned: false, firstOwnedAt: null };
+    
+    POKEDEX_ENTRY_FIELDS.forEach(field => {
+        if (pokemon[field] !== undefined) {
+            entry[field] = pokemon[field];
+        }
+    });
+    // The normal classic sprite, so shiny Pokemon don't change how the species looks in the Pokedex
+    entry.sprite = pokemon.sprites?.classic?.front || pokemon.sprite || entry.sprite || null;
+    
+    // Getting a species straight onto the team also counts as seeing it
+    if (!owned || entry.timesSeen === 0) {
+        entry.timesSeen++;
+    }
+    if (owned && !entry.owned) {
+        entry.owned = true;
+        entry.firstOwnedAt = now;
+    }
+    
+    pokedex[pokemon.id] = entry;
+    savePokedex(pokedex);
+    return entry;
+}
+
+// ==========================================
+// Queries
+// ==========================================
+
+/**
+ * Gets every recorded species, in National Dex order.
+ * @returns {Object[]} Pokedex entries
+ */
+function getPokedexEntries() {
+    return Object.values(loadPokedex()).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Gets a recorded species.
+ * @param {number} id - Pokemon ID
+ * @returns {Object|null} Pokedex entry or null if the species hasn't been seen
+ */
+function getPokedexEntry(id) {
+    return loadPokedex()[id] || null;
+}
+
+/**
+ * Counts the species seen and owned.
+ * @returns {Object} Counts with seen and owned
+ */
+function getPokedexCounts() {
+    const entries = getPokedexEntries();
+    return {
+        seen: entries.length,
+        owned: entries.filter(entry => entry.owned).length
+    };
+}
+
+// ==========================================
+// Storage
+// ==========================================
+
+/**
+ * Saves the Pokedex to localStorage.
+ * @param {Object} pokedex - Entries keyed by Pokemon ID
+ */
+function savePokedex(pokedex) {
+    try {
+        localStorage.setItem(POKEDEX_STORAGE_KEY, JSON.stringify(pokedex));
+    } catch (error) {
+        console.error('Error saving Pokedex:', error);
+    }
+}
+
+/**
+ * Loads the Pokedex from localStorage.
+ * @returns {Object} Entries keyed by Pokemon ID
+ */
+function loadPokedex() {
+    try {
+        const stored = localStorage.getItem(POKEDEX_STORAGE_KEY);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        console.error('Error loading Pokedex:', error);
+    }
+    return {};
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POKEDEX_STORAGE_KEY,
+        markPokemonSeen,
+        markPokemonOwned,
+        markTeamOwned,
+        getPokedexEntries,
+        getPokedexEntry,
+        getPokedexCounts,
+        loadPokedex
+    };
+}
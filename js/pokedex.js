@@ -0,0 +1,190 @@
+/**
+ * Pokedex Page JavaScript
+ *
+ * Shows every species the trainer has seen in a searchable grid,
+ * filtered by type and generation, with details for the one picked.
+ */
+
+// ==========================================
+// DOM Elements
+// ==========================================
+const pokedexElements = {
+    counts: null,
+    searchInput: null,
+    typeFilter: null,
+    generationFilter: null,
+    grid: null,
+    detail: null,
+    detailBody: null,
+    closeBtn: null
+};
+
+// ==========================================
+// Pokedex State
+// ==========================================
+const pokedexState = {
+    entries: [],
+    selectedId: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+
+/**
+ * Initializes the Pokedex page.
+ */
+function initPokedex() {
+    cachePokedexElements();
+    renderUserBadge();
+    setupPokedexEventListeners();
+    
+    pokedexState.entries = getPokedexEntries();
+    renderFilterOptions();
+    renderCounts();
+    renderGrid();
+    
+    console.log('Pokedex page initialized!');
+}
+
+/**
+ * Caches DOM elements for the Pokedex page.
+ */
+function cachePokedexElements() {
+    pokedexElements.counts = document.getElementById('pokedex-counts');
+    pokedexElements.searchInput = document.getElementById('pokedex-search');
+    pokedexElements.typeFilter = document.getElementById('pokedex-type-filter');
+    pokedexElements.generationFilter = document.getElementById('pokedex-generation-filter');
+    pokedexElements.grid = document.getElementById('pokedex-grid');
+    pokedexElements.detail = document.getElementById('pokedex-detail');
+    pokedexElements.detailBody = document.getElementById('pokedex-detail-body');
+    pokedexElements.closeBtn = document.getElementById('pokedex-close-btn');
+}
+
+/**
+ * Sets up event listeners.
+ */
+function setupPokedexEventListeners() {
+    // Filters
+    pokedexElements.searchInput.addEventListener('input', renderGrid);
+    pokedexElements.typeFilter.addEventListener('change', renderGrid);
+    pokedexElements.generationFilter.addEventListener('change', renderGrid);
+    
+    // Grid entries (using event delegation)
+    pokedexElements.grid.addEventListener('click', (e) => {
+        const entry = e.target.closest('.pokedex-entry');
+        if (entry) {
+            openEntry(parseInt(entry.dataset.id));
+        }
+    });
+    
+    pokedexElements.closeBtn.addEventListener('click', closeEntry);
+}
+
+// ==========================================
+// Filtering
+// ==========================================
+
+/**
+ * Gets the entries that match the search box and filters.
+ * @returns {Object[]} Matching Pokedex entries, in National Dex order
+ */
+function getFilteredEntries() {
+    const search = pokedexElements.searchInput.value.trim().toLowerCase().replace(/^#/, '');
+    const type = pokedexElements.typeFilter.value;
+    const generationId = parseInt(pokedexElements.generationFilter.value);
+    
+    return pokedexState.entries.filter(entry => {
+        if (search && !entry.name.toLowerCase().includes(search) && String(entry.id) !== search.replace(/^0+/, '')) {
+            return false;
+        }
+        if (type && !(entry.types || []).includes(type)) {
+            return false;
+        }
+        if (generationId && getGeneration(entry.id)?.id !== generationId) {
+            return false;
+        }
+        return true;
+    });
+}
+
+// ==========================================
+// Entry Details
+// ==========================================
+
+/**
+ * Opens the details of a species.
+ * @param {number} id - Pokemon ID
+ */
+function openEntry(id) {
+    const entry = pokedexState.entries.find(candidate => candidate.id === id);
+    if (!entry) return;
+    
+    pokedexState.selectedId = id;
+    pokedexElements.detailBody.innerHTML = createPokedexDetailTemplate(entry);
+    pokedexElements.detail.hidden = false;
+    renderGrid();
+    
+    pokedexElements.detail.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Closes the details panel.
+ */
+function closeEntry() {
+    pokedexState.selectedId = null;
+    pokedexElements.detail.hidden = true;
+    renderGrid();
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Fills the type and generation filters. Types are limited to those seen so far.
+ */
+function renderFilterOptions() {
+    const types = [...new Set(pokedexState.entries.flatMap(entry => entry.types || []))].sort();
+    
+    pokedexElements.typeFilter.innerHTML += types
+        .map(type => `<option value="${type}">${type.charAt(0).toUpperCase()}${type.slice(1)}</option>`)
+        .join('');
+    pokedexElements.generationFilter.innerHTML += GENERATIONS
+        .map(generation => `<option value="${generation.id}">Gen ${generation.id} (${generation.region})</option>`)
+        .join('');
+}
+
+/**
+ * Renders how many species have been seen and owned.
+ */
+function renderCounts() {
+    const counts = getPokedexCounts();
+    const total = GENERATIONS[GENERATIONS.length - 1].lastId;
+    
+    pokedexElements.counts.innerHTML = `
+        <span class="pokedex-count">Seen <strong>${counts.seen}</strong> / ${total}</span>
+        <span class="pokedex-count">Owned <strong>${counts.owned}</strong></span>
+    `;
+}
+
+/**
+ * Renders the grid of species matching the filters.
+ */
+function renderGrid() {
+    const entries = getFilteredEntries();
+    
+    if (entries.length === 0) {
+        pokedexElements.grid.innerHTML = createEmptyPokedexTemplate(pokedexState.entries.length > 0);
+        return;
+    }
+    
+    pokedexElements.grid.innerHTML = entries
+        .map(entry => createPokedexEntryTemplate(entry, entry.id === pokedexState.selectedId))
+        .join('');
+}
+
+// ==========================================
+// Start when DOM is ready
+// ==========================================
+document.addEventListener('DOMContentLoaded', initPokedex);
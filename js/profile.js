@@ -1,7 +1,7 @@
 /**
  * Profile Page JavaScript
  * 
- * Handles user profile editing, avatar selection, and stats display.
+ * Handles user profile editing, avatar selection, stats display, and coin history.
  */
 
 // ==========================================
@@ -17,7 +17,14 @@ const profileElements = {
     saveMessage: null,
     totalBattles: null,
     totalWins: null,
-    bestStreak: null
+    bestStreak: null,
+    totalCaught: null,
+    coinHistoryFilter: null,
+    coinHistoryList: null,
+    coinLedgerStatus: null,
+    verifyCoinsBtn: null,
+    dataSourceSelect: null,
+    spriteStyleSelect: null
 };
 
 // Current selected avatar (before saving)
@@ -52,6 +59,13 @@ function cacheProfileElements() {
     profileElements.totalBattles = document.getElementById('total-battles');
     profileElements.totalWins = document.getElementById('total-wins');
     profileElements.bestStreak = document.getElementById('best-streak');
+    profileElements.totalCaught = document.getElementById('total-caught');
+    profileElements.coinHistoryFilter = document.getElementById('coin-history-filter');
+    profileElements.coinHistoryList = document.getElementById('coin-history-list');
+    profileElements.coinLedgerStatus = document.getElementById('coin-ledger-status');
+    profileElements.verifyCoinsBtn = document.getElementById('verify-coins-btn');
+    profileElements.dataSourceSelect = document.getElementById('data-source-select');
+    profileElements.spriteStyleSelect = document.getElementById('sprite-style-select');
 }
 
 /**
@@ -75,6 +89,15 @@ function loadProfileData() {
     
     // Update stats display
     updateStatsDisplay(profile);
+    
+    // Coin history, checked against the balance
+    renderCoinHistoryFilterOptions();
+    renderCoinHistory();
+    renderCoinLedgerCheck();
+    
+    // Set game settings
+    profileElements.dataSourceSelect.value = profile.settings.dataSource;
+    profileElements.spriteStyleSelect.value = profile.settings.spriteStyle;
 }
 
 /**
@@ -87,6 +110,16 @@ function setupProfileEventListeners() {
     // Reset button
     profileElements.resetBtn.addEventListener('click', handleResetStats);
     
+    // Coin history
+    profileElements.coinHistoryFilter.addEventListener('change', renderCoinHistory);
+    profileElements.verifyCoinsBtn.addEventListener('click', renderCoinLedgerCheck);
+    
+    // Data source setting
+    profileElements.dataSourceSelect.addEventListener('change', handleDataSourceChange);
+    
+    // Sprite style setting
+    profileElements.spriteStyleSelect.addEventListener('change', handleSpriteStyleChange);
+    
     // Enter key on username input
     profileElements.usernameInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
@@ -140,6 +173,28 @@ function handleResetStats() {
     }
 }
 
+/**
+ * Handles choosing where Pokemon data comes from.
+ */
+function handleDataSourceChange() {
+    const dataSource = profileElements.dataSourceSelect.value;
+    updateSettings({ dataSource });
+    
+    showSaveMessage('Settings saved!');
+    console.log('Data source changed:', dataSource);
+}
+
+/**
+ * Handles choosing which sprite set Pokemon are drawn with.
+ */
+function handleSpriteStyleChange() {
+    const spriteStyle = profileElements.spriteStyleSelect.value;
+    updateSettings({ spriteStyle });
+    
+    showSaveMessage('Settings saved!');
+    console.log('Sprite style changed:', spriteStyle);
+}
+
 // ==========================================
 // UI Updates
 // ==========================================
@@ -152,6 +207,58 @@ function updateStatsDisplay(profile) {
     profileElements.totalBattles.textContent = profile.stats.totalBattles;
     profileElements.totalWins.textContent = profile.stats.totalWins;
     profileElements.bestStreak.textContent = profile.stats.bestStreak;
+    profileElements.totalCaught.textContent = profile.stats.totalCaught;
+}
+
+/**
+ * Adds an option to the coin history filter for each transaction reason.
+ */
+function renderCoinHistoryFilterOptions() {
+    profileElements.coinHistoryFilter.innerHTML += Object.entries(COIN_REASON_NAMES)
+        .map(([reason, name]) => `<option value="${reason}">${name}</option>`)
+        .join('');
+}
+
+/**
+ * Renders the coin transactions matching the filter, newest first.
+ */
+function renderCoinHistory() {
+    const filter = profileElements.coinHistoryFilter.value;
+    const entries = loadCoinLedger().entries;
+    const matching = entries.filter(entry => {
+        if (filter === 'earned') return entry.amount >= 0;
+        if (filter === 'spent') return entry.amount < 0;
+        return !filter || entry.reason === filter;
+    });
+    
+    if (matching.length === 0) {
+        profileElements.coinHistoryList.innerHTML = createEmptyCoinLedgerTemplate(entries.length > 0);
+        return;
+    }
+    
+    profileElements.coinHistoryList.innerHTML = matching
+        .reverse()
+        .map(createCoinLedgerEntryTemplate)
+        .join('');
+}
+
+/**
+ * Replays the coin ledger and shows whether it adds up to the stored balance.
+ */
+function renderCoinLedgerCheck() {
+    const result = verifyCoinLedger();
+    const status = profileElements.coinLedgerStatus;
+    
+    if (result.ok) {
+        status.textContent = `✅ Your balance of ${formatNumber(result.actual)} coins matches ${result.entryCount} recorded transactions.`;
+    } else {
+        const brokenEntry = result.mismatchIndex >= 0
+            ? ` Transaction ${result.mismatchIndex + 1} doesn't follow from the ones before it.`
+            : '';
+        status.textContent = `⚠️ The ledger adds up to ${formatNumber(result.expected)} coins, but your balance is ${formatNumber(result.actual)}.${brokenEntry}`;
+    }
+    
+    status.classList.toggle('mismatch', !result.ok);
 }
 
 /**
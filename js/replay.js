@@ -0,0 +1,359 @@
+/**
+ * Replay Page JavaScript
+ *
+ * Lists recorded battles, imports and exports them as JSON,
+ * and steps through a battle log using the battle page's cards.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Time each event stays on screen while a replay plays */
+const REPLAY_STEP_DELAY = 1500;
+
+// ==========================================
+// DOM Elements
+// ==========================================
+const replayElements = {
+    viewer: null,
+    title: null,
+    info: null,
+    playerPokemon: null,
+    enemyPokemon: null,
+    message: null,
+    stepCounter: null,
+    prevBtn: null,
+    playBtn: null,
+    nextBtn: null,
+    closeBtn: null,
+    logList: null,
+    importInput: null,
+    toast: null
+};
+
+// ==========================================
+// Replay State
+// ==========================================
+const replayState = {
+    logs: [],
+    log: null,
+    step: 0,
+    playTimer: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+
+/**
+ * Initializes the replay page.
+ */
+function initReplay() {
+    cacheReplayElements();
+    renderUserBadge();
+    setupReplayEventListeners();
+    loadReplayLogs();
+    
+    console.log('Replay page initialized!');
+}
+
+/**
+ * Caches DOM elements for the replay page.
+ */
+function cacheReplayElements() {
+    replayElements.viewer = document.getElementById('replay-viewer');
+    replayElements.title = document.getElementById('replay-title');
+    replayElements.info = document.getElementById('replay-info');
+    replayElements.playerPokemon = document.getElementById('replay-player');
+    replayElements.enemyPokemon = document.getElementById('replay-enemy');
+    replayElements.message = document.getElementById('replay-message');
+    replayElements.stepCounter = document.getElementById('replay-step');
+    replayElements.prevBtn = document.getElementById('replay-prev-btn');
+    replayElements.playBtn = document.getElementById('replay-play-btn');
+    replayElements.nextBtn = document.getElementById('replay-next-btn');
+    replayElements.closeBtn = document.getElementById('replay-close-btn');
+    replayElements.logList = document.getElementById('replay-list');
+    replayElements.importInput = document.getElementById('replay-import-input');
+    replayElements.toast = document.getElementById('toast');
+}
+
+/**
+ * Sets up event listeners.
+ */
+function setupReplayEventListeners() {
+    // Playback controls
+    replayElements.prevBtn.addEventListener('click', () => {
+        stopPlayback();
+        showReplayStep(replayState.step - 1);
+    });
+    replayElements.nextBtn.addEventListener('click', () => {
+        stopPlayback();
+        showReplayStep(replayState.step + 1);
+    });
+    replayElements.playBtn.addEventListener('click', togglePlayback);
+    replayElements.closeBtn.addEventListener('click', closeReplay);
+    
+    // Import
+    replayElements.importInput.addEventListener('change', handleImport);
+    
+    // Log list buttons (using event delegation)
+    replayElements.logList.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        
+        const row = btn.closest('.replay-log');
+        if (!row) return;
+        
+        const logId = row.dataset.logId;
+        
+        if (btn.dataset.action === 'view') {
+            openReplay(logId);
+        } else if (btn.dataset.action === 'export') {
+            handleExport(logId);
+        } else if (btn.dataset.action === 'delete') {
+            handleDelete(logId);
+        }
+    });
+}
+
+/**
+ * Loads the saved battle logs and renders the list.
+ */
+function loadReplayLogs() {
+    replayState.logs = loadBattleLogs();
+    renderLogList();
+}
+
+// ==========================================
+// Event Handlers
+// ==========================================
+
+/**
+ * Handles importing a battle log from a JSON file.
+ * @param {Event} e - Change event from the file input
+ */
+async function handleImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+        const log = importBattleLog(await file.text());
+        loadReplayLogs();
+        showToast(`Imported battle against ${getBattleLogTitle(log)}!`, 'success');
+    } catch (error) {
+        console.error('Failed to import battle log:', error);
+        showToast(error.message, 'error');
+    } finally {
+        // Let the same file be picked again
+        e.target.value = '';
+    }
+}
+
+/**
+ * Handles exporting a battle log as a JSON file download.
+ * @param {string} logId - ID of the log to export
+ */
+function handleExport(logId) {
+    const log = findLog(logId);
+    if (!log) return;
+    
+    const blob = new Blob([exportBattleLog(log)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `battle-${log.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    
+    showToast('Battle log exported!', 'success');
+}
+
+/**
+ * Handles deleting a battle log.
+ * @param {string} logId - ID of the log to delete
+ */
+function handleDelete(logId) {
+    const log = findLog(logId);
+    if (!log) return;
+    
+    if (!confirm(`Delete the battle against ${getBattleLogTitle(log)}?`)) {
+        return;
+    }
+    
+    if (replayState.log && replayState.log.id === logId) {
+        closeReplay();
+    }
+    
+    deleteBattleLog(logId);
+    loadReplayLogs();
+    showToast('Battle log deleted.', 'info');
+}
+
+/**
+ * Finds a saved log by ID.
+ * @param {string} logId - Log ID
+ * @returns {Object|undefined} The log, if it is still saved
+ */
+function findLog(logId) {
+    return replayState.logs.find(log => log.id === logId);
+}
+
+// ==========================================
+// Playback
+// ==========================================
+
+/**
+ * Opens a saved log in the viewer at its first event.
+ * @param {string} logId - ID of the log to view
+ */
+function openReplay(logId) {
+    const log = findLog(logId);
+    if (!log) return;
+    
+    stopPlayback();
+    replayState.log = log;
+    
+    replayElements.viewer.hidden = false;
+    replayElements.title.textContent = `Replay: ${getBattleLogTitle(log)}`;
+    renderReplayInfo();
+    showReplayStep(0);
+    
+    replayElements.viewer.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Closes the viewer.
+ */
+function closeReplay() {
+    stopPlayback();
+    replayState.log = null;
+    replayElements.viewer.hidden = true;
+}
+
+/**
+ * Shows one event of the open log.
+ * @param {number} step - Index of the event to show (clamped to the log)
+ */
+function showReplayStep(step) {
+    const events = replayState.log.events;
+    replayState.step = Math.max(0, Math.min(step, events.length - 1));
+    renderReplayStep();
+}
+
+/**
+ * Starts or pauses automatic playback.
+ */
+function togglePlayback() {
+    if (replayState.playTimer) {
+        stopPlayback();
+        return;
+    }
+    
+    // Playing from the last event starts over
+    if (replayState.step >= replayState.log.events.length - 1) {
+        showReplayStep(0);
+    }
+    
+    replayElements.playBtn.textContent = '⏸ Pause';
+    replayState.playTimer = setInterval(() => {
+        if (replayState.step >= replayState.log.events.length - 1) {
+            stopPlayback();
+            return;
+        }
+        showReplayStep(replayState.step + 1);
+    }, REPLAY_STEP_DELAY);
+}
+
+/**
+ * Stops automatic playback.
+ */
+function stopPlayback() {
+    clearInterval(replayState.playTimer);
+    replayState.playTimer = null;
+    replayElements.playBtn.textContent = '▶ Play';
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Renders the list of saved battle logs.
+ */
+function renderLogList() {
+    if (replayState.logs.length === 0) {
+        replayElements.logList.innerHTML = createEmptyReplayListTemplate();
+        return;
+    }
+    
+    replayElements.logList.innerHTML = replayState.logs
+        .map(log => createReplayLogTemplate(log))
+        .join('');
+}
+
+/**
+ * Renders the open log's seed, round, difficulty and outcome.
+ */
+function renderReplayInfo() {
+    const log = replayState.log;
+    const details = [
+        { label: 'Seed', value: log.seed },
+        { label: 'Round', value: log.round },
+        { label: 'Difficulty', value: AI_DIFFICULTY_NAMES[log.difficulty] || log.difficulty },
+        { label: 'Outcome', value: BATTLE_LOG_OUTCOME_NAMES[log.outcome || 'abandoned'] }
+    ];
+    
+    replayElements.info.innerHTML = details.map(detail => `
+        <div class="replay-info-item">
+            <span class="stat-label">${detail.label}</span>
+            <span class="replay-info-value">${escapeHTML(detail.value)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders the current event: both Pokemon as they were afterwards and the battle message.
+ */
+function renderReplayStep() {
+    const events = replayState.log.events;
+    const event = events[replayState.step];
+    
+    replayElements.stepCounter.textContent = `${events.length ? replayState.step + 1 : 0} / ${events.length}`;
+    replayElements.prevBtn.disabled = replayState.step <= 0;
+    replayElements.nextBtn.disabled = replayState.step >= events.length - 1;
+    
+    if (!event) {
+        replayElements.playerPokemon.innerHTML = '';
+        replayElements.enemyPokemon.innerHTML = '';
+        replayElements.message.textContent = 'This battle ended before anything happened.';
+        return;
+    }
+    
+    replayElements.playerPokemon.innerHTML = createBattlePokemonCardTemplate(event.player, false, event.enemy);
+    replayElements.enemyPokemon.innerHTML = createBattlePokemonCardTemplate(event.enemy, true, null);
+    
+    const turn = event.turn ? `Turn ${event.turn}: ` : '';
+    replayElements.message.textContent = `${turn}${event.message}`;
+}
+
+/**
+ * Shows a toast notification.
+ * @param {string} message - Message to display
+ * @param {string} type - Toast type (success, error, info)
+ */
+function showToast(message, type = 'info') {
+    const toast = replayElements.toast;
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
+
+// ==========================================
+// Start when DOM is ready
+// ==========================================
+document.addEventListener('DOMContentLoaded', initReplay);
@@ -0,0 +1,195 @@
+/**
+ * Seedable Random Number Generator
+ *
+ * Every random decision in the game (damage rolls, encounters, movesets, ...)
+ * goes through this module instead of Math.random(), so a run played from
+ * the same seed always plays out the same way.
+ * Uses the mulberry32 PRNG, whose whole state is a single 32-bit integer.
+ */
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Largest value a derived sub-seed can take (32-bit unsigned) */
+const MAX_SEED = 0xFFFFFFFF;
+
+// ==========================================
+// Generator State
+// ==========================================
+
+/** Seed the shared generator was started from */
+let rngSeed = null;
+
+/** Current internal state of the shared generator */
+let rngState = 0;
+
+// ==========================================
+// Core Functions
+// ==========================================
+
+/**
+ * Hashes a seed of any kind into a 32-bit integer (FNV-1a).
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit unsigned integer
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+    
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return hash >>> 0;
+}
+
+/**
+ * Advances a mulberry32 state by one step.
+ * @param {number} state - Current 32-bit state
+ * @returns {Object} Object with the next state and a value in [0, 1)
+ */
+function mulberry32(state) {
+    const nextState = (state + 0x6D2B79F5) | 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    
+    return {
+        state: nextState >>> 0,
+        value: ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    };
+}
+
+/**
+ * Gets the next random number from the shared generator.
+ * Drop-in replacement for Math.random().
+ * @returns {number} Random number in [0, 1)
+ */
+function random() {
+    const result = mulberry32(rngState);
+    rngState = result.state;
+    return result.value;
+}
+
+/**
+ * Creates an independent generator from a seed.
+ * Useful when work finishes in an unpredictable order (e.g. parallel fetches):
+ * draw a sub-seed from the shared generator up front, then use this.
+ * @param {string|number} seed - Seed value
+ * @returns {Function} Function returning random numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    
+    return function () {
+        const result = mulberry32(state);
+        state = result.state;
+        return result.value;
+    };
+}
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Generates a random integer between min and max (inclusive).
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {Function} randomFn - Source of randomness (defaults to the shared generator)
+ * @returns {number} Random integer
+ */
+function randomInt(min, max, randomFn = random) {
+    return Math.floor(randomFn() * (max - min + 1)) + min;
+}
+
+/**
+ * Picks a random element from an array.
+ * @param {Array} array - Array to pick from
+ * @param {Function} randomFn - Source of randomness (defaults to the shared generator)
+ * @returns {*} Random element (undefined if the array is empty)
+ */
+function randomChoice(array, randomFn = random) {
+    return array[Math.floor(randomFn() * array.length)];
+}
+
+// ==========================================
+// Seeding
+// ==========================================
+
+/**
+ * Seeds the shared generator.
+ * @param {string|number} seed - Seed value
+ */
+function setRandomSeed(seed) {
+    rngSeed = String(seed);
+    rngState = hashSeed(rngSeed);
+}
+
+/**
+ * Gets the seed the shared generator was started from.
+ * @returns {string} Current seed
+ */
+function getRandomSeed() {
+    return rngSeed;
+}
+
+/**
+ * Gets the shared generator's current state, for saving mid-run.
+ * @returns {number} 32-bit generator state
+ */
+function getRandomState() {
+    return rngState;
+}
+
+/**
+ * Restores the shared generator to a saved seed and state.
+ * @param {string} seed - Seed the run started from
+ * @param {number} state - Saved generator state
+ */
+function restoreRandomState(seed, state) {
+    rngSeed = String(seed);
+    rngState = state >>> 0;
+}
+
+/**
+ * Generates a fresh, unpredictable seed for a new run.
+ * @returns {string} New seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * MAX_SEED).toString(36);
+}
+
+/**
+ * Gets the shared seed for a given day, so every player gets the same run.
+ * @param {Date} date - Day to get the seed for (defaults to today)
+ * @returns {string} Daily seed (e.g. "daily-2024-05-01")
+ */
+function getDailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+// Start with an unpredictable seed until a run sets its own
+setRandomSeed(generateSeed());
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_SEED,
+        hashSeed,
+        random,
+        createSeededRandom,
+        randomInt,
+        randomChoice,
+        setRandomSeed,
+        getRandomSeed,
+        getRandomState,
+        restoreRandomState,
+        generateSeed,
+        getDailySeed
+    };
+}
@@ -16,6 +16,25 @@ const AVATAR_OPTIONS = [
     '🐉', '👻', '🦋', '🌙', '☀️'
 ];
 
+/** Battle modes: choose every turn, or auto-play the fight with one move */
+const BATTLE_MODES = {
+    MANUAL: 'manual',
+    QUICK: 'quick'
+};
+
+/** Where Pokemon data comes from: the live PokeAPI, or the dataset bundled in data/ */
+const DATA_SOURCES = {
+    POKEAPI: 'pokeapi',
+    LOCAL: 'local'
+};
+
+/** Sprite sets Pokemon can be drawn with */
+const SPRITE_STYLES = {
+    CLASSIC: 'classic',
+    ARTWORK: 'artwork',
+    ANIMATED: 'animated'
+};
+
 /** Default user profile values */
 const DEFAULT_PROFILE = {
     username: 'Trainer',
@@ -25,7 +44,14 @@ const DEFAULT_PROFILE = {
         totalBattles: 0,
         totalWins: 0,
         bestStreak: 0,
-        currentStreak: 0
+        currentStreak: 0,
+        totalCaught: 0
+    },
+    settings: {
+        battleMode: BATTLE_MODES.MANUAL,
+        dataSource: DATA_SOURCES.POKEAPI,
+        spriteStyle: SPRITE_STYLES.CLASSIC,
+        partySize: 3
     }
 };
 
@@ -34,18 +60,142 @@ const STORAGE_KEY = 'pokemonBattleUser';
 const TEAM_STORAGE_KEY = 'pokemonBattleTeam';
 const BATTLE_PROGRESS_KEY = 'pokemonBattleProgress';
 const ENEMY_STORAGE_KEY = 'pokemonBattleEnemy';
+const BAG_STORAGE_KEY = 'pokemonBattleBag';
+const BOX_STORAGE_KEY = 'pokemonBattleStorage';
+const COIN_LEDGER_KEY = 'pokemonBattleCoinLedger';
+const BUILDER_ROLLS_STORAGE_KEY = 'pokemonBattleBuilderRolls';
+
+/** How many Pokemon the party can be set to hold (see settings.partySize) */
+const MIN_PARTY_SIZE = 1;
+const MAX_PARTY_SIZE = 6;
+
+/** Storage boxes for Pokemon outside the party, and how many each holds */
+const BOX_COUNT = 8;
+const BOX_CAPACITY = 30;
+
+/** Highest species capture rate (see PokeAPI capture_rate) */
+const MAX_CAPTURE_RATE = 255;
 
 /** Coin costs for actions */
 const COSTS = {
     REVIVE: 50,
     NEW_POKEMON: 100,
-    HEAL_ALL: 75
+    HEAL_ALL: 75,
+    CURE_STATUS: 30
+};
+
+/** Price of a Pokemon picked in the Team Builder, by strength tier (see getStrengthTier) */
+const SPECIES_PRICES = {
+    S: 500,
+    A: 300,
+    B: 200,
+    C: 150,
+    D: 100
+};
+
+/**
+ * Persistent status conditions a Pokemon can suffer from.
+ * Keys match PokeAPI move ailment names; battle effects live in combat.js.
+ */
+const STATUS_CONDITIONS = {
+    burn: { name: 'Burn', abbreviation: 'BRN', inflicted: 'was burned', description: 'Loses HP each turn and deals less physical damage' },
+    poison: { name: 'Poison', abbreviation: 'PSN', inflicted: 'was poisoned', description: 'Loses HP each turn' },
+    paralysis: { name: 'Paralysis', abbreviation: 'PAR', inflicted: 'is paralyzed', description: 'Slower, and may be unable to move' },
+    sleep: { name: 'Sleep', abbreviation: 'SLP', inflicted: 'fell asleep', description: 'Can\'t move until it wakes up' },
+    freeze: { name: 'Freeze', abbreviation: 'FRZ', inflicted: 'was frozen solid', description: 'Can\'t move until it thaws out' }
+};
+
+/**
+ * Items sold in the shop and kept in the bag, keyed by PokeAPI item name.
+ * Effects: heal (HP restored), revive (fraction of max HP restored),
+ * cures (status conditions cured), or battle-only stat boosts (stat and stages)
+ * and Poke Balls (catchRate, which multiplies the chance of catching a wild Pokemon).
+ * Revive and Full Heal cost the same as the Team page's Revive and Cure buttons (see COSTS).
+ */
+const BAG_ITEMS = {
+    potion: { name: 'Potion', icon: '🧪', price: 20, description: 'Restores 20 HP', heal: 20 },
+    'super-potion': { name: 'Super Potion', icon: '🧴', price: 50, description: 'Restores 60 HP', heal: 60 },
+    revive: { name: 'Revive', icon: '💚', price: COSTS.REVIVE, description: 'Revives a fainted Pokemon with half its HP', revive: 0.5 },
+    antidote: { name: 'Antidote', icon: '💜', price: 10, description: 'Cures poison', cures: ['poison'] },
+    'burn-heal': { name: 'Burn Heal', icon: '🧯', price: 10, description: 'Cures a burn', cures: ['burn'] },
+    'paralyze-heal': { name: 'Paralyze Heal', icon: '💛', price: 10, description: 'Cures paralysis', cures: ['paralysis'] },
+    awakening: { name: 'Awakening', icon: '⏰', price: 10, description: 'Wakes up a sleeping Pokemon', cures: ['sleep'] },
+    'ice-heal': { name: 'Ice Heal', icon: '🌡️', price: 10, description: 'Thaws out a frozen Pokemon', cures: ['freeze'] },
+    'full-heal': {
+        name: 'Full Heal',
+        icon: '💊',
+        price: COSTS.CURE_STATUS,
+        description: 'Cures any status condition',
+        cures: Object.keys(STATUS_CONDITIONS)
+    },
+    'x-attack': { name: 'X Attack', icon: '⚔️', price: 40, description: 'Raises Attack in battle', battleOnly: true, stat: 'attack', stages: 1 },
+    'poke-ball': { name: 'Poke Ball', icon: '🔴', price: 20, description: 'Throw it to catch a wild Pokemon', battleOnly: true, catchRate: 1 },
+    'great-ball': { name: 'Great Ball', icon: '🔵', price: 60, description: 'Catches wild Pokemon more easily than a Poke Ball', battleOnly: true, catchRate: 1.5 },
+    'ultra-ball': { name: 'Ultra Ball', icon: '🟡', price: 120, description: 'Catches wild Pokemon even more easily', battleOnly: true, catchRate: 2 }
 };
 
 /** Coin rewards */
 const REWARDS = {
     WIN_BATTLE: 25,
-    DEFEAT_POKEMON: 10
+    DEFEAT_POKEMON: 10,
+    WIN_TRAINER_BATTLE: 75
+};
+
+/** Why the coin balance changed, recorded with each coin ledger entry */
+const COIN_REASONS = {
+    WIN_BATTLE: 'win-battle',
+    DEFEAT_POKEMON: 'defeat-pokemon',
+    WIN_TRAINER_BATTLE: 'win-trainer-battle',
+    REVIVE: 'revive',
+    CURE_STATUS: 'cure-status',
+    HEAL_ALL: 'heal-all',
+    NEW_POKEMON: 'new-pokemon',
+    REFUND: 'refund',
+    BUY_ITEM: 'buy-item',
+    BUY_POKEMON: 'buy-pokemon'
+};
+
+/** Display names for each coin ledger reason */
+const COIN_REASON_NAMES = {
+    'win-battle': 'Battle won',
+    'defeat-pokemon': 'Pokemon defeated',
+    'win-trainer-battle': 'Trainer prize',
+    'revive': 'Revive',
+    'cure-status': 'Status cure',
+    'heal-all': 'Heal all',
+    'new-pokemon': 'Random Pokemon',
+    'refund': 'Refund',
+    'buy-item': 'Shop item',
+    'buy-pokemon': 'Team Builder Pokemon'
+};
+
+/** Most coin ledger entries kept; older ones are folded into its opening balance */
+const MAX_COIN_LEDGER_ENTRIES = 500;
+
+/** Kinds of encounter: a lone wild Pokemon, or an NPC trainer with a team */
+const ENCOUNTER_TYPES = {
+    WILD: 'wild',
+    TRAINER: 'trainer'
+};
+
+/** Pokemon generations, their home regions and National Dex ranges */
+const GENERATIONS = [
+    { id: 1, region: 'Kanto', firstId: 1, lastId: 151 },
+    { id: 2, region: 'Johto', firstId: 152, lastId: 251 },
+    { id: 3, region: 'Hoenn', firstId: 252, lastId: 386 },
+    { id: 4, region: 'Sinnoh', firstId: 387, lastId: 493 },
+    { id: 5, region: 'Unova', firstId: 494, lastId: 649 },
+    { id: 6, region: 'Kalos', firstId: 650, lastId: 721 },
+    { id: 7, region: 'Alola', firstId: 722, lastId: 809 },
+    { id: 8, region: 'Galar', firstId: 810, lastId: 905 },
+    { id: 9, region: 'Paldea', firstId: 906, lastId: 1025 }
+];
+
+/** Which Pokemon a run can encounter (chosen when the run starts) */
+const DEFAULT_ENCOUNTER_FILTERS = {
+    generations: [1, 2, 3, 4, 5],
+    legendaries: true,
+    mythicals: true
 };
 
 // ==========================================
@@ -69,6 +219,10 @@ function getUserProfile() {
                 stats: {
                     ...DEFAULT_PROFILE.stats,
                     ...(parsed.stats || {})
+                },
+                settings: {
+                    ...DEFAULT_PROFILE.settings,
+                    ...(parsed.settings || {})
                 }
             };
         }
@@ -103,12 +257,33 @@ function updateUserProfile(updates) {
         stats: {
             ...profile.stats,
             ...(updates.stats || {})
+        },
+        settings: {
+            ...profile.settings,
+            ...(updates.settings || {})
         }
     };
     saveUserProfile(updated);
     return updated;
 }
 
+/**
+ * Gets the user's game settings.
+ * @returns {Object} Settings object
+ */
+function getSettings() {
+    return getUserProfile().settings;
+}
+
+/**
+ * Updates one or more game settings.
+ * @param {Object} updates - Settings to change
+ * @returns {Object} Updated settings
+ */
+function updateSettings(updates) {
+    return updateUserProfile({ settings: updates }).settings;
+}
+
 /**
  * Resets user stats to default values (keeps username and avatar).
  * @returns {Object} Updated profile with reset stats
@@ -137,7 +312,7 @@ function recordBattleResult(won) {
             profile.stats.bestStreak = profile.stats.currentStreak;
         }
         // Award coins for winning
-        profile.coins += REWARDS.WIN_BATTLE;
+        changeCoins(profile, REWARDS.WIN_BATTLE, COIN_REASONS.WIN_BATTLE);
     } else {
         profile.stats.currentStreak = 0;
     }
@@ -146,6 +321,17 @@ function recordBattleResult(won) {
     return profile;
 }
 
+/**
+ * Records that the player caught a Pokemon.
+ * @returns {Object} Updated profile
+ */
+function recordCatch() {
+    const profile = getUserProfile();
+    profile.stats.totalCaught++;
+    saveUserProfile(profile);
+    return profile;
+}
+
 // ==========================================
 // Coins Management
 // ==========================================
@@ -161,11 +347,13 @@ function getCoins() {
 /**
  * Adds coins to the user's balance.
  * @param {number} amount - Amount to add
+ * @param {string} reason - Why they were earned (one of COIN_REASONS)
+ * @param {string} note - Optional detail for the coin history (e.g. a trainer's name)
  * @returns {number} New balance
  */
-function addCoins(amount) {
+function addCoins(amount, reason, note = '') {
     const profile = getUserProfile();
-    profile.coins += amount;
+    changeCoins(profile, amount, reason, note);
     saveUserProfile(profile);
     return profile.coins;
 }
@@ -173,12 +361,14 @@ function addCoins(amount) {
 /**
  * Spends coins if user has enough.
  * @param {number} amount - Amount to spend
+ * @param {string} reason - What they were spent on (one of COIN_REASONS)
+ * @param {string} note - Optional detail for the coin history (e.g. the item bought)
  * @returns {boolean} True if successful, false if insufficient funds
  */
-function spendCoins(amount) {
+function spendCoins(amount, reason, note = '') {
     const profile = getUserProfile();
     if (profile.coins >= amount) {
-        profile.coins -= amount;
+        changeCoins(profile, -amount, reason, note);
         saveUserProfile(profile);
         return true;
     }
@@ -194,6 +384,92 @@ function canAfford(amount) {
     return getUserProfile().coins >= amount;
 }
 
+// ==========================================
+// Coin Ledger
+// ==========================================
+
+/**
+ * Changes a profile's coin balance and records the change in the coin ledger.
+ * Every change to profile.coins goes through here; the caller saves the profile.
+ * @param {Object} profile - User profile (changed in place)
+ * @param {number} amount - Coins gained, or negative for coins spent
+ * @param {string} reason - Why the balance changed (one of COIN_REASONS)
+ * @param {string} note - Optional detail for the coin history
+ */
+function changeCoins(profile, amount, reason, note = '') {
+    const ledger = loadCoinLedger(profile.coins);
+    
+    profile.coins += amount;
+    ledger.entries.push({ timestamp: Date.now(), amount, reason, note, balance: profile.coins });
+    
+    // Fold the oldest entries into the opening balance, so the rest still add up
+    const overflow = ledger.entries.length - MAX_COIN_LEDGER_ENTRIES;
+    if (overflow > 0) {
+        ledger.openingBalance = ledger.entries[overflow - 1].balance;
+        ledger.entries = ledger.entries.slice(overflow);
+    }
+    
+    saveCoinLedger(ledger);
+}
+
+/**
+ * Loads the coin ledger. A save from before the ledger existed starts one
+ * from the current balance.
+ * @param {number} currentCoins - Balance to open a new ledger with
+ * @returns {Object} Ledger with its opening balance and entries, oldest first
+ */
+function loadCoinLedger(currentCoins = getCoins()) {
+    try {
+        const stored = localStorage.getItem(COIN_LEDGER_KEY);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        console.error('Error reading coin ledger:', error);
+    }
+    return { openingBalance: currentCoins, entries: [] };
+}
+
+/**
+ * Saves the coin ledger to localStorage.
+ * @param {Object} ledger - Ledger to save
+ */
+function saveCoinLedger(ledger) {
+    try {
+        localStorage.setItem(COIN_LEDGER_KEY, JSON.stringify(ledger));
+    } catch (error) {
+        console.error('Error saving coin ledger:', error);
+    }
+}
+
+/**
+ * Replays the coin ledger from its opening balance and checks it against the stored balance.
+ * @returns {Object} Result with ok, the balance the ledger adds up to (expected), the stored
+ *   balance (actual), the entry count, and the index of the first entry whose recorded
+ *   balance doesn't follow from the ones before it (mismatchIndex, or -1)
+ */
+function verifyCoinLedger() {
+    const actual = getCoins();
+    const ledger = loadCoinLedger(actual);
+    let expected = ledger.openingBalance;
+    let mismatchIndex = -1;
+    
+    ledger.entries.forEach((entry, index) => {
+        expected += entry.amount;
+        if (mismatchIndex < 0 && entry.balance !== expected) {
+            mismatchIndex = index;
+        }
+    });
+    
+    return {
+        ok: mismatchIndex < 0 && expected === actual,
+        expected,
+        actual,
+        entryCount: ledger.entries.length,
+        mismatchIndex
+    };
+}
+
 // ==========================================
 // Team Management
 // ==========================================
@@ -227,9 +503,10 @@ function loadTeam() {
 }
 
 /**
- * Clears the saved team from localStorage.
+ * Clears the saved team from localStorage. Items the team was holding go back in the bag.
  */
 function clearTeam() {
+    (loadTeam() || []).forEach(returnHeldItem);
     localStorage.removeItem(TEAM_STORAGE_KEY);
 }
 
@@ -247,7 +524,7 @@ function updateTeamPokemon(index, pokemon) {
 }
 
 /**
- * Revives a fainted Pokemon (restores HP to max).
+ * Revives a fainted Pokemon (restores HP to max and clears its status).
  * @param {number} index - Index of Pokemon to revive
  * @returns {Object|null} Revived Pokemon or null if failed
  */
@@ -257,6 +534,8 @@ function revivePokemon(index) {
         const pokemon = team[index];
         if (pokemon.hp <= 0) {
             pokemon.hp = pokemon.maxHp;
+            pokemon.status = null;
+            pokemon.statusTurns = 0;
             team[index] = pokemon;
             saveTeam(team);
             return pokemon;
@@ -266,18 +545,474 @@ function revivePokemon(index) {
 }
 
 /**
- * Heals all Pokemon in the team to full HP.
+ * Cures a Pokemon's status condition.
+ * @param {number} index - Index of Pokemon to cure
+ * @returns {Object|null} Cured Pokemon or null if it had no status
+ */
+function curePokemonStatus(index) {
+    const team = loadTeam();
+    if (team && index >= 0 && index < team.length) {
+        const pokemon = team[index];
+        if (pokemon.status) {
+            pokemon.status = null;
+            pokemon.statusTurns = 0;
+            team[index] = pokemon;
+            saveTeam(team);
+            return pokemon;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gives a team Pokemon an item to hold from the bag, or takes its item away.
+ * Any item it was already holding goes back in the bag.
+ * @param {number} index - Index of Pokemon to equip
+ * @param {string|null} itemId - Item to hold (see HELD_ITEMS), or null to unequip
+ * @returns {Object|null} Updated Pokemon or null if the index is invalid or the item isn't in the bag
+ */
+function setHeldItem(index, itemId) {
+    const team = loadTeam();
+    if (!team || index < 0 || index >= team.length) return null;
+    
+    const pokemon = team[index];
+    if (itemId && itemId !== pokemon.heldItem && !removeBagItem(itemId)) return null;
+    
+    if (pokemon.heldItem !== itemId) {
+        returnHeldItem(pokemon);
+    }
+    pokemon.heldItem = itemId || null;
+    team[index] = pokemon;
+    saveTeam(team);
+    return pokemon;
+}
+
+/**
+ * Takes a Pokemon's held item and puts it back in the bag.
+ * @param {Object} pokemon - Pokemon data object (changed in place)
+ */
+function returnHeldItem(pokemon) {
+    if (pokemon.heldItem) {
+        addBagItem(pokemon.heldItem);
+        pokemon.heldItem = null;
+    }
+}
+
+/**
+ * Heals all Pokemon in the team to full HP and clears their status conditions.
  */
 function healAllPokemon() {
     const team = loadTeam();
     if (team) {
         team.forEach(pokemon => {
             pokemon.hp = pokemon.maxHp;
+            pokemon.status = null;
+            pokemon.statusTurns = 0;
         });
         saveTeam(team);
     }
 }
 
+// ==========================================
+// Pokemon Storage
+// ==========================================
+
+/**
+ * Creates an empty box.
+ * @param {number} index - Box index
+ * @returns {Object} Box with a name and no Pokemon
+ */
+function createEmptyBox(index) {
+    return { name: `Box ${index + 1}`, pokemon: [] };
+}
+
+/**
+ * Loads the storage boxes. Always returns BOX_COUNT boxes.
+ * @returns {Object[]} Boxes, each with a name and up to BOX_CAPACITY Pokemon
+ */
+function loadBoxes() {
+    let boxes = [];
+    
+    try {
+        const stored = localStorage.getItem(BOX_STORAGE_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            boxes = Array.isArray(parsed.boxes) ? parsed.boxes : [];
+        }
+    } catch (error) {
+        console.error('Error reading boxes:', error);
+    }
+    
+    return Array.from({ length: BOX_COUNT }, (_, i) => boxes[i] || createEmptyBox(i));
+}
+
+/**
+ * Saves the storage boxes to localStorage.
+ * @param {Object[]} boxes - Boxes to save
+ */
+function saveBoxes(boxes) {
+    try {
+        localStorage.setItem(BOX_STORAGE_KEY, JSON.stringify({ boxes }));
+    } catch (error) {
+        console.error('Error saving boxes:', error);
+    }
+}
+
+/**
+ * Checks whether the boxes have room for more Pokemon.
+ * @param {number} count - How many Pokemon need to be stored
+ * @returns {boolean} True if that many Pokemon can be stored
+ */
+function hasBoxSpace(count = 1) {
+    const free = loadBoxes().reduce((total, box) => total + BOX_CAPACITY - box.pokemon.length, 0);
+    return free >= count;
+}
+
+/**
+ * Sends a Pokemon to the first box with room.
+ * @param {Object} pokemon - Pokemon to store
+ * @returns {number} Index of the box it went to, or -1 if every box is full
+ */
+function storePokemon(pokemon) {
+    const boxes = loadBoxes();
+    const index = boxes.findIndex(box => box.pokemon.length < BOX_CAPACITY);
+    if (index < 0) return -1;
+    
+    boxes[index].pokemon.push(pokemon);
+    saveBoxes(boxes);
+    return index;
+}
+
+/**
+ * Renames a box.
+ * @param {number} boxIndex - Box to rename
+ * @param {string} name - New name (blank resets it to the default)
+ * @returns {Object[]} Updated boxes
+ */
+function renameBox(boxIndex, name) {
+    const boxes = loadBoxes();
+    if (boxes[boxIndex]) {
+        boxes[boxIndex].name = name.trim() || createEmptyBox(boxIndex).name;
+        saveBoxes(boxes);
+    }
+    return boxes;
+}
+
+/**
+ * Moves a stored Pokemon to another box.
+ * @param {number} fromBox - Box it is in
+ * @param {number} slot - Its slot in that box
+ * @param {number} toBox - Box to move it to
+ * @returns {boolean} True if successful, false if the target box is full
+ */
+function movePokemonToBox(fromBox, slot, toBox) {
+    const boxes = loadBoxes();
+    const source = boxes[fromBox];
+    const target = boxes[toBox];
+    if (!source || !target || !source.pokemon[slot] || target.pokemon.length >= BOX_CAPACITY) return false;
+    
+    target.pokemon.push(...source.pokemon.splice(slot, 1));
+    saveBoxes(boxes);
+    return true;
+}
+
+/**
+ * Releases a stored Pokemon for good. Its held item goes back in the bag.
+ * @param {number} boxIndex - Box it is in
+ * @param {number} slot - Its slot in that box
+ * @returns {Object|null} The released Pokemon, or null if there was none
+ */
+function releasePokemon(boxIndex, slot) {
+    const boxes = loadBoxes();
+    const box = boxes[boxIndex];
+    if (!box || !box.pokemon[slot]) return null;
+    
+    const [released] = box.pokemon.splice(slot, 1);
+    returnHeldItem(released);
+    saveBoxes(boxes);
+    return released;
+}
+
+/**
+ * Moves a party Pokemon into a box. The party always keeps at least one Pokemon.
+ * @param {number} partyIndex - Index of Pokemon in the party
+ * @param {number} boxIndex - Box to put it in
+ * @returns {boolean} True if successful
+ */
+function depositPokemon(partyIndex, boxIndex) {
+    const team = loadTeam() || [];
+    const boxes = loadBoxes();
+    const box = boxes[boxIndex];
+    if (team.length <= 1 || !team[partyIndex] || !box || box.pokemon.length >= BOX_CAPACITY) return false;
+    
+    box.pokemon.push(...team.splice(partyIndex, 1));
+    saveBoxes(boxes);
+    saveTeam(team);
+    return true;
+}
+
+/**
+ * Moves a stored Pokemon into the party, if it has room.
+ * @param {number} boxIndex - Box it is in
+ * @param {number} slot - Its slot in that box
+ * @returns {boolean} True if successful
+ */
+function withdrawPokemon(boxIndex, slot) {
+    const team = loadTeam() || [];
+    const boxes = loadBoxes();
+    const box = boxes[boxIndex];
+    if (team.length >= getPartySize() || !box || !box.pokemon[slot]) return false;
+    
+    team.push(...box.pokemon.splice(slot, 1));
+    saveBoxes(boxes);
+    saveTeam(team);
+    return true;
+}
+
+/**
+ * Gets how many Pokemon the party can hold (see settings.partySize).
+ * @returns {number} Party size, from MIN_PARTY_SIZE to MAX_PARTY_SIZE
+ */
+function getPartySize() {
+    const size = parseInt(getSettings().partySize, 10) || DEFAULT_PROFILE.settings.partySize;
+    return Math.max(MIN_PARTY_SIZE, Math.min(MAX_PARTY_SIZE, size));
+}
+
+/**
+ * Changes how many Pokemon the party can hold.
+ * Pokemon that no longer fit are sent to the boxes, last first.
+ * The size is left unchanged if the boxes don't have room for them.
+ * @param {number} size - New party size
+ * @returns {number} The party size now in use
+ */
+function setPartySize(size) {
+    const newSize = Math.max(MIN_PARTY_SIZE, Math.min(MAX_PARTY_SIZE, size));
+    const team = loadTeam() || [];
+    const overflow = team.length - newSize;
+    if (overflow > 0 && !hasBoxSpace(overflow)) {
+        return getPartySize();
+    }
+    
+    updateSettings({ partySize: newSize });
+    if (overflow > 0) {
+        team.splice(newSize).reverse().forEach(storePokemon);
+        saveTeam(team);
+    }
+    
+    return newSize;
+}
+
+// ==========================================
+// Bag Management
+// ==========================================
+
+/**
+ * Gets an item sold in the shop: a bag item, or an item for a Pokemon to hold.
+ * Held items are only found on pages that load held-items.js.
+ * @param {string} itemId - Item ID (see BAG_ITEMS and HELD_ITEMS)
+ * @returns {Object|null} Item definition with its price, or null if the shop doesn't sell it
+ */
+function getShopItem(itemId) {
+    const heldItems = typeof HELD_ITEMS !== 'undefined' ? HELD_ITEMS : {};
+    return BAG_ITEMS[itemId] || heldItems[itemId] || null;
+}
+
+/**
+ * Gets the items in the bag.
+ * @returns {Object} Item counts keyed by item ID (see BAG_ITEMS and HELD_ITEMS)
+ */
+function getBag() {
+    try {
+        const stored = localStorage.getItem(BAG_STORAGE_KEY);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        console.error('Error reading bag:', error);
+    }
+    return {};
+}
+
+/**
+ * Saves the bag to localStorage.
+ * @param {Object} bag - Item counts keyed by item ID
+ */
+function saveBag(bag) {
+    try {
+        localStorage.setItem(BAG_STORAGE_KEY, JSON.stringify(bag));
+    } catch (error) {
+        console.error('Error saving bag:', error);
+    }
+}
+
+/**
+ * Gets how many of an item are in the bag.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @returns {number} Item count
+ */
+function getBagItemCount(itemId) {
+    return getBag()[itemId] || 0;
+}
+
+/**
+ * Puts items in the bag.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @param {number} quantity - How many to add
+ * @returns {number} New count of the item
+ */
+function addBagItem(itemId, quantity = 1) {
+    const bag = getBag();
+    bag[itemId] = (bag[itemId] || 0) + quantity;
+    saveBag(bag);
+    return bag[itemId];
+}
+
+/**
+ * Takes one of an item out of the bag.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @returns {boolean} True if successful, false if there were none left
+ */
+function removeBagItem(itemId) {
+    const bag = getBag();
+    if (!bag[itemId]) return false;
+    
+    bag[itemId]--;
+    if (bag[itemId] === 0) {
+        delete bag[itemId];
+    }
+    saveBag(bag);
+    return true;
+}
+
+/**
+ * Buys an item from the shop and puts it in the bag.
+ * @param {string} itemId - Item ID (see getShopItem)
+ * @returns {boolean} True if successful, false if unknown or unaffordable
+ */
+function buyBagItem(itemId) {
+    const item = getShopItem(itemId);
+    if (!item || !spendCoins(item.price, COIN_REASONS.BUY_ITEM, item.name)) return false;
+    
+    addBagItem(itemId);
+    return true;
+}
+
+/**
+ * Applies a bag item's out-of-battle effect (healing, reviving or curing) to a Pokemon.
+ * Battle-only stat boosts are applied by applyBattleItem in combat.js.
+ * @param {Object} pokemon - Pokemon to use the item on (changed in place)
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @returns {string|null} Message describing the effect, or null if it would have no effect
+ */
+function applyBagItem(pokemon, itemId) {
+    const item = BAG_ITEMS[itemId];
+    if (!item || !pokemon) return null;
+    
+    if (item.revive) {
+        if (pokemon.hp > 0) return null;
+        pokemon.hp = Math.max(1, Math.floor(pokemon.maxHp * item.revive));
+        pokemon.status = null;
+        pokemon.statusTurns = 0;
+        return `${pokemon.name} was revived!`;
+    }
+    
+    if (pokemon.hp <= 0) return null;
+    
+    if (item.heal) {
+        const healing = Math.min(item.heal, pokemon.maxHp - pokemon.hp);
+        if (healing <= 0) return null;
+        pokemon.hp += healing;
+        return `${pokemon.name} recovered ${healing} HP!`;
+    }
+    
+    if (item.cures) {
+        if (!item.cures.includes(pokemon.status)) return null;
+        const conditionName = STATUS_CONDITIONS[pokemon.status].name.toLowerCase();
+        pokemon.status = null;
+        pokemon.statusTurns = 0;
+        return `${pokemon.name} was cured of its ${conditionName}!`;
+    }
+    
+    return null;
+}
+
+/**
+ * Uses a bag item on a team Pokemon outside of battle.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @param {number} index - Index of Pokemon to use it on
+ * @returns {Object|null} Object with the updated pokemon and a message, or null if the item can't be used
+ */
+function useBagItemOnTeam(itemId, index) {
+    const team = loadTeam();
+    if (!team || index < 0 || index >= team.length || !getBagItemCount(itemId)) return null;
+    
+    const pokemon = team[index];
+    const message = applyBagItem(pokemon, itemId);
+    if (!message) return null;
+    
+    removeBagItem(itemId);
+    team[index] = pokemon;
+    saveTeam(team);
+    return { pokemon, message };
+}
+
+// ==========================================
+// Team Builder Rolls
+// ==========================================
+
+/**
+ * Loads the random traits rolled for species previewed in the Team Builder.
+ * @returns {Object} Rolls keyed by Pokemon ID, each with isShiny, ability and moves
+ */
+function loadBuilderRolls() {
+    try {
+        const stored = localStorage.getItem(BUILDER_ROLLS_STORAGE_KEY);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        console.error('Error reading Team Builder rolls:', error);
+    }
+    return {};
+}
+
+/**
+ * Saves the Team Builder rolls to localStorage.
+ * @param {Object} rolls - Rolls keyed by Pokemon ID
+ */
+function saveBuilderRolls(rolls) {
+    try {
+        localStorage.setItem(BUILDER_ROLLS_STORAGE_KEY, JSON.stringify(rolls));
+    } catch (error) {
+        console.error('Error saving Team Builder rolls:', error);
+    }
+}
+
+/**
+ * Keeps a previewed Pokemon's shiny flag, ability and moves the same every time its
+ * species is previewed, so previewing again can't reroll them. The first roll is kept.
+ * @param {Object} pokemon - Freshly fetched Pokemon
+ * @returns {Object} The Pokemon with its species' kept roll
+ */
+function applyBuilderRoll(pokemon) {
+    const rolls = loadBuilderRolls();
+    if (!rolls[pokemon.id]) {
+        rolls[pokemon.id] = { isShiny: pokemon.isShiny, ability: pokemon.ability, moves: pokemon.moves };
+        saveBuilderRolls(rolls);
+    }
+    return { ...pokemon, ...rolls[pokemon.id] };
+}
+
+/**
+ * Forgets a species' kept roll once it has been bought, so the next one is rolled fresh.
+ * @param {number} id - Pokemon ID
+ */
+function clearBuilderRoll(id) {
+    const rolls = loadBuilderRolls();
+    delete rolls[id];
+    saveBuilderRolls(rolls);
+}
+
 // ==========================================
 // Battle Progress Management
 // ==========================================
@@ -317,42 +1052,57 @@ function resetBattleProgress() {
     saveBattleProgress({ round: 1, wins: 0 });
 }
 
+/**
+ * Gets the current run's encounter filters.
+ * @returns {Object} Filters with generations, legendaries and mythicals
+ */
+function getEncounterFilters() {
+    // Node has no saved progress
+    const progress = typeof localStorage !== 'undefined' ? loadBattleProgress() : {};
+    return { ...DEFAULT_ENCOUNTER_FILTERS, ...progress.encounterFilters };
+}
+
 // ==========================================
-// Enemy Pokemon Management
+// Encounter Management
 // ==========================================
 
 /**
- * Saves the current enemy Pokemon to localStorage.
- * @param {Object} enemy - Enemy Pokemon object
+ * Saves the current encounter (the enemy side of the battle) to localStorage.
+ * @param {Object} encounter - Encounter object ({ type, trainer, team, activeIndex })
  */
-function saveEnemy(enemy) {
+function saveEncounter(encounter) {
     try {
-        localStorage.setItem(ENEMY_STORAGE_KEY, JSON.stringify(enemy));
+        localStorage.setItem(ENEMY_STORAGE_KEY, JSON.stringify(encounter));
     } catch (error) {
-        console.error('Error saving enemy:', error);
+        console.error('Error saving encounter:', error);
     }
 }
 
 /**
- * Loads the enemy Pokemon from localStorage.
- * @returns {Object|null} Enemy Pokemon or null if not found
+ * Loads the current encounter from localStorage.
+ * Older saves stored a single wild Pokemon, which is wrapped in a wild encounter.
+ * @returns {Object|null} Encounter object or null if not found
  */
-function loadEnemy() {
+function loadEncounter() {
     try {
         const stored = localStorage.getItem(ENEMY_STORAGE_KEY);
         if (stored) {
-            return JSON.parse(stored);
+            const parsed = JSON.parse(stored);
+            if (Array.isArray(parsed.team)) {
+                return parsed;
+            }
+            return { type: ENCOUNTER_TYPES.WILD, trainer: null, team: [parsed], activeIndex: 0 };
         }
     } catch (error) {
-        console.error('Error loading enemy:', error);
+        console.error('Error loading encounter:', error);
     }
     return null;
 }
 
 /**
- * Clears the saved enemy Pokemon.
+ * Clears the saved encounter.
  */
-function clearEnemy() {
+function clearEncounter() {
     localStorage.removeItem(ENEMY_STORAGE_KEY);
 }
 
@@ -423,40 +1173,110 @@ function getStrengthTier(strength) {
     return { name: 'D', class: 'strength-d' };
 }
 
+/**
+ * Gets what a Pokemon costs in the Team Builder, from its strength tier.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {number} Price in coins
+ */
+function getSpeciesPrice(pokemon) {
+    return SPECIES_PRICES[getStrengthTier(pokemon.strength || 50).name];
+}
+
+/**
+ * Gets the generation a Pokemon was introduced in, from its National Dex number.
+ * @param {number} id - Pokemon ID
+ * @returns {Object|null} Generation from GENERATIONS, or null if the ID is outside them (e.g. alternate forms)
+ */
+function getGeneration(id) {
+    return GENERATIONS.find(generation => id >= generation.firstId && id <= generation.lastId) || null;
+}
+
 // ==========================================
 // Export for module usage (if needed later)
 // ==========================================
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         AVATAR_OPTIONS,
+        BATTLE_MODES,
+        DATA_SOURCES,
+        SPRITE_STYLES,
         DEFAULT_PROFILE,
         COSTS,
+        SPECIES_PRICES,
         REWARDS,
+        COIN_REASONS,
+        COIN_REASON_NAMES,
+        MAX_COIN_LEDGER_ENTRIES,
+        ENCOUNTER_TYPES,
+        GENERATIONS,
+        DEFAULT_ENCOUNTER_FILTERS,
+        STATUS_CONDITIONS,
+        MIN_PARTY_SIZE,
+        MAX_PARTY_SIZE,
+        BOX_COUNT,
+        BOX_CAPACITY,
+        MAX_CAPTURE_RATE,
+        BAG_ITEMS,
         getUserProfile,
         saveUserProfile,
         updateUserProfile,
+        getSettings,
+        updateSettings,
         resetUserStats,
         recordBattleResult,
+        recordCatch,
         getCoins,
         addCoins,
         spendCoins,
         canAfford,
+        changeCoins,
+        loadCoinLedger,
+        saveCoinLedger,
+        verifyCoinLedger,
         saveTeam,
         loadTeam,
         clearTeam,
         updateTeamPokemon,
         revivePokemon,
+        curePokemonStatus,
+        setHeldItem,
+        returnHeldItem,
         healAllPokemon,
+        loadBoxes,
+        saveBoxes,
+        hasBoxSpace,
+        storePokemon,
+        renameBox,
+        movePokemonToBox,
+        releasePokemon,
+        depositPokemon,
+        withdrawPokemon,
+        getPartySize,
+        setPartySize,
+        getShopItem,
+        getBag,
+        saveBag,
+        getBagItemCount,
+        addBagItem,
+        removeBagItem,
+        buyBagItem,
+        applyBagItem,
+        useBagItemOnTeam,
+        applyBuilderRoll,
+        clearBuilderRoll,
         saveBattleProgress,
         loadBattleProgress,
         resetBattleProgress,
-        saveEnemy,
-        loadEnemy,
-        clearEnemy,
+        getEncounterFilters,
+        saveEncounter,
+        loadEncounter,
+        clearEncounter,
         renderUserBadge,
         renderAvatarGrid,
         formatNumber,
-        getStrengthTier
+        getStrengthTier,
+        getSpeciesPrice,
+        getGeneration
     };
 }
 
@@ -0,0 +1,115 @@
+/**
+ * Shop Page JavaScript
+ *
+ * Sells bag items (potions, revives, status cures and battle boosters) and held items for coins.
+ */
+
+// ==========================================
+// DOM Elements
+// ==========================================
+const shopElements = {
+    coinsAmount: null,
+    shopGrid: null,
+    heldItemGrid: null,
+    toast: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+
+/**
+ * Initializes the shop page.
+ */
+function initShop() {
+    cacheShopElements();
+    setupShopEventListeners();
+    renderShop();
+    
+    console.log('Shop page initialized!');
+}
+
+/**
+ * Caches DOM elements for the shop page.
+ */
+function cacheShopElements() {
+    shopElements.coinsAmount = document.getElementById('coins-amount');
+    shopElements.shopGrid = document.getElementById('shop-grid');
+    shopElements.heldItemGrid = document.getElementById('held-item-grid');
+    shopElements.toast = document.getElementById('toast');
+}
+
+/**
+ * Sets up event listeners.
+ */
+function setupShopEventListeners() {
+    // Buy buttons (using event delegation)
+    [shopElements.shopGrid, shopElements.heldItemGrid].forEach(grid => {
+        grid.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-buy');
+            if (!btn) return;
+            
+            handleBuy(btn.closest('.shop-item').dataset.item);
+        });
+    });
+}
+
+// ==========================================
+// Event Handlers
+// ==========================================
+
+/**
+ * Handles buying an item.
+ * @param {string} itemId - Item ID (see getShopItem)
+ */
+function handleBuy(itemId) {
+    const item = getShopItem(itemId);
+    if (!item) return;
+    
+    if (!buyBagItem(itemId)) {
+        showToast(`Not enough coins! Need ${item.price} 🪙`, 'error');
+        return;
+    }
+    
+    renderShop();
+    showToast(`Bought ${item.name}!`, 'success');
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Renders the coin balance and every item for sale.
+ */
+function renderShop() {
+    const coins = getCoins();
+    const bag = getBag();
+    const renderItems = (items) => Object.entries(items)
+        .map(([itemId, item]) => createShopItemTemplate(itemId, bag[itemId] || 0, coins >= item.price))
+        .join('');
+    
+    shopElements.coinsAmount.textContent = formatNumber(coins);
+    shopElements.shopGrid.innerHTML = renderItems(BAG_ITEMS);
+    shopElements.heldItemGrid.innerHTML = renderItems(HELD_ITEMS);
+}
+
+/**
+ * Shows a toast notification.
+ * @param {string} message - Message to show
+ * @param {string} type - 'success', 'error', or 'info'
+ */
+function showToast(message, type = 'info') {
+    const toast = shopElements.toast;
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
+
+// ==========================================
+// Start when DOM is ready
+// ==========================================
+document.addEventListener('DOMContentLoaded', initShop);
@@ -2,7 +2,7 @@
  * Team Page JavaScript
  * 
  * Handles team management including viewing Pokemon,
- * reviving fainted Pokemon, and replacing Pokemon.
+ * reviving fainted Pokemon, equipping held items, using bag items, and replacing Pokemon.
  */
 
 // ==========================================
@@ -12,6 +12,7 @@ const teamElements = {
     coinsDisplay: null,
     coinsAmount: null,
     teamGrid: null,
+    bagList: null,
     healAllBtn: null,
     toast: null
 };
@@ -42,6 +43,7 @@ function cacheTeamElements() {
     teamElements.coinsDisplay = document.getElementById('coins-display');
     teamElements.coinsAmount = document.getElementById('coins-amount');
     teamElements.teamGrid = document.getElementById('team-grid');
+    teamElements.bagList = document.getElementById('bag-list');
     teamElements.healAllBtn = document.getElementById('heal-all-btn');
     teamElements.toast = document.getElementById('toast');
     
@@ -71,10 +73,34 @@ function setupTeamEventListeners() {
         
         if (btn.classList.contains('btn-revive')) {
             handleRevive(index);
-        } else if (btn.classList.contains('btn-replace')) {
+        } else if (btn.classList.contains('btn-cure')) {
+            handleCureStatus(index);
+        } else if (btn.classList.contains('btn-replace') || btn.classList.contains('btn-retry')) {
             handleReplace(index);
+        } else if (btn.classList.contains('btn-dismiss')) {
+            setCardError(index, null);
         }
     });
+    
+    // Held item dropdowns
+    teamElements.teamGrid.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('held-item-select')) return;
+        
+        const card = e.target.closest('.team-pokemon-card');
+        if (!card) return;
+        
+        handleHeldItemChange(parseInt(card.dataset.index, 10), e.target.value);
+    });
+    
+    // Bag item Use buttons
+    teamElements.bagList.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-use-item');
+        if (!btn) return;
+        
+        const entry = btn.closest('.bag-item');
+        const index = parseInt(entry.querySelector('.bag-target-select').value, 10);
+        handleUseBagItem(entry.dataset.item, index);
+    });
 }
 
 /**
@@ -84,14 +110,36 @@ async function loadTeamData() {
     const savedTeam = loadTeam();
     
     if (savedTeam && savedTeam.length > 0) {
-        currentTeam = savedTeam;
+        // Fill in anything older saves are missing
+        currentTeam = await backfillTeam(savedTeam);
+        saveTeam(currentTeam);
         renderTeam();
+        loadEvolutionHints();
     } else {
         // No team yet - show message to go battle
         renderEmptyTeam();
     }
 }
 
+/**
+ * Looks up evolution options for team Pokemon that don't have them yet,
+ * then re-renders so the Team page can show "can evolve" hints.
+ */
+async function loadEvolutionHints() {
+    const missing = currentTeam.filter(pokemon => !pokemon.evolutions);
+    if (missing.length === 0) return;
+    
+    const results = await Promise.allSettled(missing.map(pokemon => fetchEvolutionOptions(pokemon)));
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            missing[i].evolutions = result.value;
+        }
+    });
+    
+    saveTeam(currentTeam);
+    renderTeam();
+}
+
 // ==========================================
 // Event Handlers
 // ==========================================
@@ -114,7 +162,7 @@ function handleRevive(index) {
     }
     
     // Spend coins and revive using shared function
-    spendCoins(COSTS.REVIVE);
+    spendCoins(COSTS.REVIVE, COIN_REASONS.REVIVE, pokemon.name);
     const revivedPokemon = revivePokemon(index);
     
     // Sync local state
@@ -128,6 +176,93 @@ function handleRevive(index) {
     showToast(`${pokemon.name} has been revived!`, 'success');
 }
 
+/**
+ * Handles curing a Pokemon's status condition.
+ * @param {number} index - Index of Pokemon to cure
+ */
+function handleCureStatus(index) {
+    const pokemon = currentTeam[index];
+    
+    if (!pokemon || !pokemon.status) {
+        showToast('This Pokemon is perfectly healthy!', 'error');
+        return;
+    }
+    
+    if (!canAfford(COSTS.CURE_STATUS)) {
+        showToast(`Not enough coins! Need ${COSTS.CURE_STATUS} 🪙`, 'error');
+        return;
+    }
+    
+    const conditionName = STATUS_CONDITIONS[pokemon.status].name.toLowerCase();
+    
+    // Spend coins and cure using shared function
+    spendCoins(COSTS.CURE_STATUS, COIN_REASONS.CURE_STATUS, pokemon.name);
+    const curedPokemon = curePokemonStatus(index);
+    
+    // Sync local state
+    if (curedPokemon) {
+        currentTeam[index] = curedPokemon;
+    }
+    
+    // Update UI
+    updateCoinsDisplay();
+    renderTeam();
+    showToast(`${pokemon.name} was cured of its ${conditionName}!`, 'success');
+}
+
+/**
+ * Handles equipping or unequipping a Pokemon's held item.
+ * @param {number} index - Index of Pokemon
+ * @param {string} itemId - Item to hold, or an empty string to unequip
+ */
+function handleHeldItemChange(index, itemId) {
+    const pokemon = currentTeam[index];
+    if (!pokemon) return;
+    
+    const previousItem = getHeldItem(pokemon);
+    const updatedPokemon = setHeldItem(index, itemId);
+    
+    if (!updatedPokemon) {
+        renderTeam();
+        showToast("That item isn't in your bag! Buy one at the Shop.", 'error');
+        return;
+    }
+    
+    // Sync local state
+    currentTeam[index] = updatedPokemon;
+    
+    renderTeam();
+    
+    const item = getHeldItem(currentTeam[index]);
+    if (item) {
+        showToast(`${pokemon.name} is now holding ${item.name}!`, 'success');
+    } else if (previousItem) {
+        showToast(`Took ${previousItem.name} from ${pokemon.name} and put it back in the bag.`, 'info');
+    }
+}
+
+/**
+ * Handles using an item from the bag on a team Pokemon.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @param {number} index - Index of Pokemon to use it on
+ */
+function handleUseBagItem(itemId, index) {
+    const pokemon = currentTeam[index];
+    if (!pokemon) return;
+    
+    const result = useBagItemOnTeam(itemId, index);
+    if (!result) {
+        showToast(`It won't have any effect on ${pokemon.name}.`, 'error');
+        return;
+    }
+    
+    // Sync local state
+    currentTeam[index] = result.pokemon;
+    
+    renderTeam();
+    showToast(result.message, 'success');
+}
+
 /**
  * Handles replacing a Pokemon with a new random one.
  * @param {number} index - Index of Pokemon to replace
@@ -141,30 +276,35 @@ async function handleReplace(index) {
     const oldPokemon = currentTeam[index];
     
     // Show loading state
+    setCardError(index, null);
     setCardLoading(index, true);
     
     try {
         // Spend coins
-        spendCoins(COSTS.NEW_POKEMON);
+        spendCoins(COSTS.NEW_POKEMON, COIN_REASONS.NEW_POKEMON, oldPokemon.name);
         updateCoinsDisplay();
         
         // Fetch new Pokemon
         const newPokemon = await fetchRandomPokemon();
         
-        // Update team
+        // Update team (the old Pokemon's item goes back in the bag)
+        returnHeldItem(oldPokemon);
         currentTeam[index] = newPokemon;
         saveTeam(currentTeam);
+        markPokemonOwned(newPokemon);
         
         // Update UI
         renderTeam();
+        loadEvolutionHints();
         showToast(`Replaced ${oldPokemon.name} with ${newPokemon.name}!`, 'success');
     } catch (error) {
         console.error('Failed to fetch new Pokemon:', error);
         // Refund coins
-        addCoins(COSTS.NEW_POKEMON);
+        addCoins(COSTS.NEW_POKEMON, COIN_REASONS.REFUND, oldPokemon.name);
         updateCoinsDisplay();
         showToast('Failed to get new Pokemon. Coins refunded.', 'error');
         setCardLoading(index, false);
+        setCardError(index, "Couldn't reach the Pokemon server. Check your connection and try again.");
     }
 }
 
@@ -172,8 +312,8 @@ async function handleReplace(index) {
  * Handles healing all Pokemon.
  */
 function handleHealAll() {
-    // Check if any Pokemon need healing
-    const needsHealing = currentTeam.some(p => p.hp < p.maxHp);
+    // Check if any Pokemon need healing (HP or status)
+    const needsHealing = currentTeam.some(p => p.hp < p.maxHp || p.status);
     
     if (!needsHealing) {
         showToast('All Pokemon are already at full health!', 'info');
@@ -186,7 +326,7 @@ function handleHealAll() {
     }
     
     // Spend coins and heal using shared function
-    spendCoins(COSTS.HEAL_ALL);
+    spendCoins(COSTS.HEAL_ALL, COIN_REASONS.HEAL_ALL);
     healAllPokemon();
     
     // Sync local state by reloading from storage
@@ -203,12 +343,25 @@ function handleHealAll() {
 // ==========================================
 
 /**
- * Renders the team grid using template functions.
+ * Renders the team grid using template functions, along with the bag (which lists the team as targets).
  */
 function renderTeam() {
+    const bag = getBag();
     teamElements.teamGrid.innerHTML = currentTeam
-        .map((pokemon, index) => createTeamCardTemplate(pokemon, index, COSTS))
+        .map((pokemon, index) => createTeamCardTemplate(pokemon, index, COSTS, bag))
         .join('');
+    renderBag();
+}
+
+/**
+ * Renders the items in the bag.
+ */
+function renderBag() {
+    const entries = Object.entries(getBag()).filter(([itemId]) => BAG_ITEMS[itemId]);
+    
+    teamElements.bagList.innerHTML = entries.length > 0
+        ? entries.map(([itemId, count]) => createBagItemTemplate(itemId, count, currentTeam)).join('')
+        : createEmptyBagTemplate();
 }
 
 /**
@@ -216,6 +369,7 @@ function renderTeam() {
  */
 function renderEmptyTeam() {
     teamElements.teamGrid.innerHTML = createEmptyTeamTemplate();
+    renderBag();
 }
 
 /**
@@ -241,6 +395,26 @@ function setCardLoading(index, loading) {
     }
 }
 
+/**
+ * Shows or clears the error overlay on a card.
+ * @param {number} index - Card index
+ * @param {string|null} message - Error to show, or null to clear it
+ */
+function setCardError(index, message) {
+    const cards = teamElements.teamGrid.querySelectorAll('.team-pokemon-card');
+    const card = cards[index];
+    
+    if (!card) return;
+    
+    const existing = card.querySelector('.card-error-overlay');
+    if (existing) existing.remove();
+    
+    if (message) {
+        card.style.position = 'relative';
+        card.insertAdjacentHTML('beforeend', createCardErrorTemplate(message));
+    }
+}
+
 // ==========================================
 // UI Updates
 // ==========================================
@@ -9,6 +9,21 @@
 // Helper Functions
 // ==========================================
 
+/**
+ * Escapes text so it shows as-is when put into HTML (including attribute values).
+ * Use it for anything that didn't come from the game itself, like an imported battle log.
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Gets type effectiveness indicator HTML for a Pokemon against an enemy.
  * @param {Object} pokemon - The player's Pokemon
@@ -21,7 +36,7 @@ function getEffectivenessIndicator(pokemon, enemy) {
     const playerTypes = pokemon.types || ['normal'];
     const enemyTypes = enemy.types || ['normal'];
     
-    // Check player's effectiveness against enemy
+    // Check player's effectiveness against enemy (dual types use whichever type hits harder)
     const playerVsEnemy = getTypeEffectiveness(playerTypes, enemyTypes);
     // Check enemy's effectiveness against player
     const enemyVsPlayer = getTypeEffectiveness(enemyTypes, playerTypes);
@@ -51,24 +66,187 @@ function getEffectivenessIndicator(pokemon, enemy) {
  */
 function createTypeBadges(types) {
     return (types || []).map(type => 
-        `<span class="type-badge ${type}">${type}</span>`
+        `<span class="type-badge ${escapeHTML(type)}">${escapeHTML(type)}</span>`
     ).join('');
 }
 
 /**
- * Creates sprite HTML with fallback placeholder.
- * @param {string|null} spriteUrl - URL of the sprite image
- * @param {string} name - Pokemon name for alt text
+ * Creates a status condition badge (e.g. BRN, PAR) for a Pokemon.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the badge (or empty string if healthy)
+ */
+function createStatusBadge(pokemon) {
+    const condition = STATUS_CONDITIONS[pokemon.status];
+    if (!condition || pokemon.hp <= 0) return '';
+    
+    return `<span class="status-condition status-${pokemon.status}" title="${condition.name}: ${condition.description}">${condition.abbreviation}</span>`;
+}
+
+/**
+ * Creates a badge naming a Pokemon's ability.
+ * Abilities with no effect in battle are shown, but marked inactive.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the badge (or empty string if it has no ability)
+ */
+function createAbilityBadge(pokemon) {
+    if (!pokemon.ability) return '';
+    
+    const ability = getAbility(pokemon);
+    const title = ability ? ability.description : 'No effect in battle yet';
+    return `<span class="ability-badge ${ability ? '' : 'inactive'}" title="${title}">${escapeHTML(pokemon.ability.name)}</span>`;
+}
+
+/**
+ * Creates a badge naming the item a Pokemon is holding.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the badge (or empty string if it isn't holding anything)
+ */
+function createHeldItemBadge(pokemon) {
+    const item = getHeldItem(pokemon);
+    if (!item) return '';
+    
+    return `<span class="held-item-badge" title="${item.description}">${item.icon} ${item.name}</span>`;
+}
+
+/**
+ * Creates badges for a Pokemon's raised or lowered stats in battle (e.g. "Attack -1").
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the badges (or empty string if no stats changed)
+ */
+function createStatStageBadges(pokemon) {
+    return Object.entries(pokemon.statStages || {})
+        .filter(([, stage]) => stage !== 0)
+        .map(([stat, stage]) => `<span class="stat-stage ${stage > 0 ? 'raised' : 'lowered'}">${STAT_NAMES[stat]} ${stage > 0 ? '+' : ''}${stage}</span>`)
+        .join('');
+}
+
+/**
+ * Creates a level badge (e.g. "Lv. 12") for a Pokemon.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the badge (or empty string if unknown)
+ */
+function createLevelBadge(pokemon) {
+    if (!pokemon.level) return '';
+    return `<span class="pokemon-level">Lv. ${pokemon.level}</span>`;
+}
+
+/**
+ * Creates HTML for an experience bar showing progress to the next level.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the XP bar
+ */
+function createExperienceBarTemplate(pokemon) {
+    const level = pokemon.level || STARTING_LEVEL;
+    const progressPercent = getLevelProgress(pokemon) * 100;
+    const xpLabel = level >= MAX_LEVEL
+        ? 'Max level'
+        : `${getExperienceForLevel(level + 1) - (pokemon.xp ?? getExperienceForLevel(level))} to Lv. ${level + 1}`;
+    
+    return `
+        <div class="xp-section">
+            <div class="xp-label">
+                <span>XP</span>
+                <span>${xpLabel}</span>
+            </div>
+            <div class="xp-bar">
+                <div class="xp-fill" style="width: ${progressPercent}%"></div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates a hint describing how a Pokemon can evolve.
+ * @param {Object} pokemon - Pokemon data object (with evolutions loaded)
+ * @returns {string} HTML string for the hint (or empty string if it can't evolve)
+ */
+function createEvolutionHintTemplate(pokemon) {
+    if (!pokemon.evolutions || pokemon.evolutions.length === 0) return '';
+    
+    const hints = pokemon.evolutions.map(evolution => {
+        // Level-based evolutions happen automatically after battle
+        const label = evolution.minLevel ? 'Evolves' : 'Can evolve';
+        return `<span class="evolution-hint" title="${evolution.condition}">✨ ${label} into ${evolution.name}: ${evolution.condition}</span>`;
+    });
+    
+    return `<div class="evolution-hints">${hints.join('')}</div>`;
+}
+
+/**
+ * Creates HTML for a shiny indicator.
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the badge (or empty string if not shiny)
+ */
+function createShinyBadge(pokemon) {
+    if (!pokemon.isShiny) return '';
+    return '<span class="shiny-badge" title="Shiny">✨</span>';
+}
+
+/**
+ * Gets the URL of a Pokemon's sprite in a sprite style.
+ * Uses the normal sprite if the style has no shiny one, and the classic
+ * sprite if the style has nothing for the species at all.
+ * @param {Object} pokemon - Pokemon data object
+ * @param {string} style - Sprite style (one of SPRITE_STYLES, defaults to the setting)
+ * @returns {string|null} Sprite URL, or null if there is no sprite
+ */
+function getSpriteUrl(pokemon, style = getSettings().spriteStyle) {
+    const sprites = pokemon.sprites || {};
+    const sets = [sprites[style], sprites[SPRITE_STYLES.CLASSIC]].filter(Boolean);
+    
+    // A shiny Pokemon keeps its colours even if that means using the classic set
+    const keys = pokemon.isShiny ? ['frontShiny', 'front'] : ['front'];
+    for (const key of keys) {
+        const set = sets.find(candidate => candidate[key]);
+        if (set) return set[key];
+    }
+    
+    // Pokemon saved before sprite styles only have the classic sprite
+    return pokemon.sprite || null;
+}
+
+/**
+ * Creates sprite HTML in the chosen sprite style, with fallback placeholder.
+ * If the styled image fails to load, the classic sprite is shown instead (see cache.js).
+ * @param {Object} pokemon - Pokemon data object
  * @param {string} className - CSS class for the image
  * @param {boolean} isFainted - Whether Pokemon is fainted
+ * @param {string} placeholderClass - CSS class for the placeholder shown without a sprite
  * @returns {string} HTML string for sprite
  */
-function createSpriteHTML(spriteUrl, name, className = '', isFainted = false) {
+function createSpriteHTML(pokemon, className = '', isFainted = false, placeholderClass = 'small') {
+    const spriteUrl = getSpriteUrl(pokemon);
+    
     if (spriteUrl) {
         const faintedClass = isFainted ? 'fainted' : '';
-        return `<img src="${spriteUrl}" alt="${name}" class="${className} ${faintedClass}">`;
+        const fallbackUrl = getSpriteUrl(pokemon, SPRITE_STYLES.CLASSIC);
+        const isStyled = fallbackUrl && fallbackUrl !== spriteUrl;
+        const fallbackAttribute = isStyled ? `data-fallback-url="${escapeHTML(fallbackUrl)}"` : '';
+        const styleClass = `sprite-${isStyled ? getSettings().spriteStyle : SPRITE_STYLES.CLASSIC}`;
+        return `<img src="${escapeHTML(spriteUrl)}" data-sprite-url="${escapeHTML(spriteUrl)}" ${fallbackAttribute} alt="${escapeHTML(pokemon.name)}" class="${className} ${styleClass} ${faintedClass}">`;
     }
-    return '<div class="sprite-placeholder small">?</div>';
+    return `<div class="sprite-placeholder ${placeholderClass}">?</div>`;
+}
+
+/**
+ * Creates HTML for the full stat breakdown (Defense, Sp. Atk, Sp. Def, Speed).
+ * @param {Object} pokemon - Pokemon data object
+ * @returns {string} HTML string for the stat list
+ */
+function createStatDetailsTemplate(pokemon) {
+    const stats = [
+        { label: 'DEF', value: pokemon.defense },
+        { label: 'SP.A', value: pokemon.specialAttack },
+        { label: 'SP.D', value: pokemon.specialDefense },
+        { label: 'SPE', value: pokemon.speed }
+    ];
+    
+    return stats.map(stat => `
+        <div class="stat-detail">
+            <span class="stat-detail-label">${stat.label}</span>
+            <span class="stat-detail-value">${stat.value || '?'}</span>
+        </div>
+    `).join('');
 }
 
 /**
@@ -97,7 +275,7 @@ function getHealthBarClass(hpPercent) {
 function createPokemonCardTemplate(pokemon, slot, isActive, enemyPokemon) {
     const hpPercent = (pokemon.hp / pokemon.maxHp) * 100;
     const isFainted = pokemon.hp <= 0;
-    const spriteContent = createSpriteHTML(pokemon.sprite, pokemon.name, 'card-sprite-img', isFainted);
+    const spriteContent = createSpriteHTML(pokemon, 'card-sprite-img', isFainted);
     
     let status = 'Ready';
     let statusClass = '';
@@ -127,7 +305,7 @@ function createPokemonCardTemplate(pokemon, slot, isActive, enemyPokemon) {
                 ${spriteContent}
             </div>
             <div class="card-info">
-                <span class="card-name">${pokemon.name}</span>
+                <span class="card-name">${pokemon.name} ${createShinyBadge(pokemon)} ${createLevelBadge(pokemon)} ${createStatusBadge(pokemon)}</span>
                 <div class="card-types">${typeBadges}</div>
                 <div class="mini-health-bar">
                     <div class="health-fill" style="width: ${hpPercent}%"></div>
@@ -152,9 +330,7 @@ function createPokemonCardTemplate(pokemon, slot, isActive, enemyPokemon) {
  */
 function createBattlePokemonCardTemplate(pokemon, isEnemy, enemyPokemon) {
     const hpPercent = (pokemon.hp / pokemon.maxHp) * 100;
-    const spriteContent = pokemon.sprite 
-        ? `<img src="${pokemon.sprite}" alt="${pokemon.name}" class="battle-sprite-img">`
-        : '<div class="sprite-placeholder">?</div>';
+    const spriteContent = createSpriteHTML(pokemon, 'battle-sprite-img', false, '');
     
     // Determine health bar color class
     const healthClass = getHealthBarClass(hpPercent);
@@ -174,10 +350,18 @@ function createBattlePokemonCardTemplate(pokemon, isEnemy, enemyPokemon) {
     const infoSection = `
         <div class="pokemon-info">
             <div class="pokemon-name-row">
-                <span class="pokemon-name">${pokemon.name}</span>
+                <span class="pokemon-name">${escapeHTML(pokemon.name)}</span>
+                ${createShinyBadge(pokemon)}
+                ${createLevelBadge(pokemon)}
+                ${createStatusBadge(pokemon)}
                 ${matchupIndicator}
             </div>
             <div class="battle-types">${typeBadges}</div>
+            <div class="battle-ability">
+                ${createAbilityBadge(pokemon)}
+                ${createHeldItemBadge(pokemon)}
+                ${createStatStageBadges(pokemon)}
+            </div>
             <div class="health-bar">
                 <div class="health-fill ${healthClass}" style="width: ${hpPercent}%"></div>
             </div>
@@ -191,6 +375,10 @@ function createBattlePokemonCardTemplate(pokemon, isEnemy, enemyPokemon) {
                     <span class="battle-stat-value">${pokemon.maxHp}</span>
                     <span class="battle-stat-label">HP</span>
                 </div>
+                <div class="battle-stat">
+                    <span class="battle-stat-value">${pokemon.speed || '?'}</span>
+                    <span class="battle-stat-label">SPE</span>
+                </div>
                 <div class="battle-stat">
                     <span class="battle-stat-value strength-badge ${tier.class}">${tier.name}</span>
                     <span class="battle-stat-label">STR</span>
@@ -217,6 +405,186 @@ function createBattlePokemonCardTemplate(pokemon, isEnemy, enemyPokemon) {
     `;
 }
 
+/**
+ * Creates HTML for an opposing trainer's card, with a ball for each Pokemon in their team.
+ * @param {Object} trainer - Trainer data (title, name, icon, quote)
+ * @param {Object[]} team - The trainer's team
+ * @returns {string} HTML string for the trainer card
+ */
+function createTrainerCardTemplate(trainer, team) {
+    const partyBalls = team.map(pokemon => `
+        <span class="party-ball ${pokemon.hp <= 0 ? 'fainted' : ''}"></span>
+    `).join('');
+    
+    return `
+        <div class="trainer-card">
+            <div class="trainer-icon">${trainer.icon}</div>
+            <div class="trainer-info">
+                <span class="trainer-name">${trainer.title} ${trainer.name}</span>
+                <span class="trainer-quote">"${trainer.quote}"</span>
+            </div>
+            <div class="trainer-party" title="${team.filter(p => p.hp > 0).length} of ${team.length} Pokemon left">
+                ${partyBalls}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for the turn-based battle menu (Fight, Switch, Bag, Run).
+ * @returns {string} HTML string of action buttons
+ */
+function createBattleActionsTemplate() {
+    return `
+        <button class="btn btn-action btn-fight" data-action="fight">⚔️ Fight</button>
+        <button class="btn btn-action btn-switch" data-action="switch">🔄 Switch</button>
+        <button class="btn btn-action btn-bag" data-action="bag">🎒 Bag</button>
+        <button class="btn btn-action btn-run" data-action="run">🏃 Run</button>
+    `;
+}
+
+/**
+ * Creates HTML for the battle bag menu: one button per item in the bag, plus Back.
+ * @param {Object} bag - Item counts keyed by item ID (see getBag)
+ * @returns {string} HTML string of item buttons
+ */
+function createBattleBagTemplate(bag) {
+    const itemButtons = Object.entries(bag)
+        .filter(([itemId]) => BAG_ITEMS[itemId])
+        .map(([itemId, count]) => `
+            <button class="btn btn-action btn-bag-item" data-item="${itemId}" title="${BAG_ITEMS[itemId].description}">
+                ${BAG_ITEMS[itemId].icon} ${BAG_ITEMS[itemId].name} <span class="bag-count">×${count}</span>
+            </button>
+        `)
+        .join('');
+    
+    return itemButtons + '<button class="btn btn-action btn-back" data-action="back">↩️ Back</button>';
+}
+
+/**
+ * Creates HTML for the strength tier badges of an encounter table.
+ * @param {Object} table - Encounter table (see ENCOUNTER_TABLES)
+ * @returns {string} HTML string of tier badges
+ */
+function createTierBadges(table) {
+    return table.tiers
+        .map(tier => `<span class="strength-badge strength-${tier.toLowerCase()}">${tier}</span>`)
+        .join('');
+}
+
+/**
+ * Creates HTML for the threat preview: the round's encounter table and the next one.
+ * @param {number} round - Current battle round
+ * @returns {string} HTML string for the preview
+ */
+function createThreatPreviewTemplate(round) {
+    const table = getEncounterTable(round);
+    const nextTable = getNextEncounterTable(round);
+    const statBonus = Math.round((getRoundStatMultiplier(round) - 1) * 100);
+    
+    const nextHTML = nextTable
+        ? `
+            <span class="threat-band threat-next">
+                Next from round ${nextTable.firstRound}:
+                <span class="threat-name">${nextTable.name}</span>
+                ${createTierBadges(nextTable)}
+            </span>
+        `
+        : '<span class="threat-band threat-next">The toughest foes are here!</span>';
+    
+    return `
+        <span class="threat-band">
+            Threats: <span class="threat-name">${table.name}</span>
+            ${createTierBadges(table)}
+            ${statBonus > 0 ? `<span class="threat-bonus">+${statBonus}% stats</span>` : ''}
+        </span>
+        ${nextHTML}
+    `;
+}
+
+/**
+ * Creates HTML for the encounter filter checkboxes used when starting a new run.
+ * @param {Object} filters - Encounter filters to show as checked
+ * @returns {string} HTML string for the filter groups
+ */
+function createEncounterFiltersTemplate(filters) {
+    const generationOptions = GENERATIONS.map(generation => `
+        <label class="filter-option" title="Pokemon #${generation.firstId}-${generation.lastId}">
+            <input type="checkbox" name="generation" value="${generation.id}" ${filters.generations.includes(generation.id) ? 'checked' : ''}>
+            Gen ${generation.id} · ${generation.region}
+        </label>
+    `).join('');
+    
+    return `
+        <div class="filter-group">
+            <span class="filter-label">Generations</span>
+            <div class="filter-options">${generationOptions}</div>
+        </div>
+        <div class="filter-group">
+            <span class="filter-label">Rare Pokemon</span>
+            <div class="filter-options">
+                <label class="filter-option">
+                    <input type="checkbox" name="legendaries" ${filters.legendaries ? 'checked' : ''}>
+                    Legendaries
+                </label>
+                <label class="filter-option">
+                    <input type="checkbox" name="mythicals" ${filters.mythicals ? 'checked' : ''}>
+                    Mythicals
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for the button shown in the action panel when Pokemon fail to load.
+ * @returns {string} HTML string for the retry button
+ */
+function createRetryButtonTemplate() {
+    return '<button class="btn btn-action btn-retry" data-action="retry">🔄 Try Again</button>';
+}
+
+/**
+ * Creates HTML for the move buttons in the action panel.
+ * Moves that share a type with the Pokemon are marked with the same-type bonus.
+ * @param {Object[]} moves - The active Pokemon's moveset
+ * @param {boolean} showBack - Whether to add a button back to the battle menu
+ * @param {Object|null} pokemon - The Pokemon using the moves (optional)
+ * @returns {string} HTML string of move buttons
+ */
+function createMoveButtonsTemplate(moves, showBack = false, pokemon = null) {
+    const backButton = showBack
+        ? '<button class="btn btn-action btn-back" data-action="back">↩️ Back</button>'
+        : '';
+    
+    return moves.map((move, index) => `
+        <button class="btn btn-move" data-move-index="${index}">
+            <span class="move-name">${move.name}</span>
+            <span class="move-details">
+                <span class="type-badge ${move.type}">${move.type}</span>
+                ${pokemon && move.damageClass !== 'status' && getStabMultiplier(pokemon, move) > 1
+                    ? '<span class="move-stab" title="Same-type attack bonus">STAB</span>'
+                    : ''}
+                <span class="move-power">${move.power || '—'} PWR</span>
+                <span class="move-accuracy">${move.accuracy ? `${move.accuracy}%` : '—'} ACC</span>
+            </span>
+        </button>
+    `).join('') + backButton;
+}
+
+/**
+ * Creates HTML for the quick battle button that picks the best move every turn.
+ * @returns {string} HTML string for the button
+ */
+function createAutoMoveButtonTemplate() {
+    return `
+        <button class="btn btn-move btn-auto-move" data-move-index="auto">
+            <span class="move-name">✨ Best Move</span>
+            <span class="move-details">Picks the most effective move each turn</span>
+        </button>
+    `;
+}
+
 /**
  * Creates HTML for a loading placeholder card.
  * @returns {string} HTML string for loading card
@@ -242,14 +610,43 @@ function createLoadingCardTemplate() {
 // Team Page Templates
 // ==========================================
 
+/**
+ * Creates the dropdown for choosing the item a team Pokemon holds.
+ * Only the item it holds and items in the bag can be picked.
+ * @param {Object} pokemon - Pokemon data
+ * @param {Object} bag - Item counts keyed by item ID (see getBag)
+ * @returns {string} HTML string for the held item control
+ */
+function createHeldItemSelectTemplate(pokemon, bag) {
+    const options = Object.entries(HELD_ITEMS)
+        .filter(([id]) => pokemon.heldItem === id || bag[id] > 0)
+        .map(([id, item]) => {
+            const isHeld = pokemon.heldItem === id;
+            const count = isHeld ? '' : ` ×${bag[id]}`;
+            return `<option value="${id}" ${isHeld ? 'selected' : ''}>${item.icon} ${item.name}${count}</option>`;
+        })
+        .join('');
+    
+    return `
+        <label class="held-item-control">
+            <span class="held-item-label">Held item</span>
+            <select class="held-item-select">
+                <option value="">No item</option>
+                ${options || '<option value="" disabled>Buy held items at the Shop</option>'}
+            </select>
+        </label>
+    `;
+}
+
 /**
  * Creates HTML for a team management Pokemon card.
  * @param {Object} pokemon - Pokemon data
  * @param {number} index - Array index
- * @param {Object} costs - Cost constants for revive/replace buttons
+ * @param {Object} costs - Cost constants for revive/cure/replace buttons
+ * @param {Object} bag - Item counts keyed by item ID, for the held item dropdown (see getBag)
  * @returns {string} HTML string
  */
-function createTeamCardTemplate(pokemon, index, costs) {
+function createTeamCardTemplate(pokemon, index, costs, bag) {
     const hpPercent = (pokemon.hp / pokemon.maxHp) * 100;
     const isFainted = pokemon.hp <= 0;
     const healthClass = getHealthBarClass(hpPercent);
@@ -262,17 +659,15 @@ function createTeamCardTemplate(pokemon, index, costs) {
     return `
         <div class="team-pokemon-card ${isFainted ? 'fainted' : ''}" data-index="${index}">
             <div class="card-header">
-                <span class="pokemon-id">#${String(pokemon.id).padStart(3, '0')}</span>
+                <span class="pokemon-id">#${String(pokemon.id).padStart(3, '0')} ${createStatusBadge(pokemon)}</span>
                 <div class="pokemon-types">${typeBadges}</div>
             </div>
             
             <div class="card-body">
-                <img 
-                    src="${pokemon.sprite}" 
-                    alt="${pokemon.name}" 
-                    class="team-sprite ${isFainted ? 'fainted' : ''}"
-                >
-                <span class="team-pokemon-name">${pokemon.name}</span>
+                ${createSpriteHTML(pokemon, 'team-sprite', isFainted)}
+                <span class="team-pokemon-name">${pokemon.name} ${createShinyBadge(pokemon)} ${createLevelBadge(pokemon)}</span>
+                ${createAbilityBadge(pokemon)}
+                ${createHeldItemSelectTemplate(pokemon, bag)}
                 
                 <div class="hp-section">
                     <div class="hp-label">
@@ -284,6 +679,9 @@ function createTeamCardTemplate(pokemon, index, costs) {
                     </div>
                 </div>
                 
+                ${createExperienceBarTemplate(pokemon)}
+                ${createEvolutionHintTemplate(pokemon)}
+                
                 <div class="stats-section">
                     <div class="stat-mini">
                         <span class="stat-mini-value">${pokemon.attack || '?'}</span>
@@ -298,6 +696,10 @@ function createTeamCardTemplate(pokemon, index, costs) {
                         <span class="stat-mini-label">STR</span>
                     </div>
                 </div>
+                
+                <div class="stat-details">
+                    ${createStatDetailsTemplate(pokemon)}
+                </div>
             </div>
             
             <div class="card-footer">
@@ -306,6 +708,11 @@ function createTeamCardTemplate(pokemon, index, costs) {
                         Revive <span class="cost">${costs.REVIVE}</span>
                     </button>
                 ` : ''}
+                ${pokemon.status && !isFainted ? `
+                    <button class="btn btn-cure">
+                        Cure <span class="cost">${costs.CURE_STATUS}</span>
+                    </button>
+                ` : ''}
                 <button class="btn btn-replace">
                     Replace <span class="cost">${costs.NEW_POKEMON}</span>
                 </button>
@@ -314,6 +721,49 @@ function createTeamCardTemplate(pokemon, index, costs) {
     `;
 }
 
+/**
+ * Creates HTML for an item in the Team page bag, with a picker for which Pokemon to use it on.
+ * @param {string} itemId - Item ID (see BAG_ITEMS)
+ * @param {number} count - How many are in the bag
+ * @param {Object[]} team - The player's team
+ * @returns {string} HTML string
+ */
+function createBagItemTemplate(itemId, count, team) {
+    const item = BAG_ITEMS[itemId];
+    const controls = item.battleOnly
+        ? '<span class="bag-item-note">Battle only</span>'
+        : `
+            <select class="bag-target-select">
+                ${team.map((pokemon, index) => `<option value="${index}">${pokemon.name}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary btn-small btn-use-item">Use</button>
+        `;
+    
+    return `
+        <div class="bag-item" data-item="${itemId}">
+            <span class="bag-item-icon">${item.icon}</span>
+            <div class="bag-item-info">
+                <span class="bag-item-name">${item.name} <span class="bag-count">×${count}</span></span>
+                <span class="bag-item-description">${item.description}</span>
+            </div>
+            <div class="bag-item-controls">${controls}</div>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for an empty bag.
+ * @returns {string} HTML string for empty bag message
+ */
+function createEmptyBagTemplate() {
+    return `
+        <div class="bag-empty">
+            <p class="empty-text">Your bag is empty.</p>
+            <a href="shop.html" class="btn btn-primary btn-small">Go to Shop</a>
+        </div>
+    `;
+}
+
 /**
  * Creates HTML for empty team state.
  * @returns {string} HTML string for empty team message
@@ -330,6 +780,456 @@ function createEmptyTeamTemplate() {
     `;
 }
 
+/**
+ * Creates HTML for the overlay shown on a team card when replacing its Pokemon fails.
+ * @param {string} message - What went wrong
+ * @returns {string} HTML string for the error overlay
+ */
+function createCardErrorTemplate(message) {
+    return `
+        <div class="card-error-overlay">
+            <p class="card-error-text">${message}</p>
+            <div class="card-error-actions">
+                <button class="btn btn-primary btn-small btn-retry">🔄 Retry</button>
+                <button class="btn btn-secondary btn-small btn-dismiss">Dismiss</button>
+            </div>
+        </div>
+    `;
+}
+
+// ==========================================
+// Replay Page Templates
+// ==========================================
+
+/**
+ * Creates HTML for a saved battle log in the replay list.
+ * @param {Object} log - Battle log
+ * @returns {string} HTML string for the log row
+ */
+function createReplayLogTemplate(log) {
+    const playerNames = log.participants.player.map(pokemon => escapeHTML(pokemon.name)).join(', ');
+    const startedAt = new Date(log.startedAt).toLocaleString();
+    const outcome = log.outcome || 'abandoned';
+    
+    return `
+        <div class="replay-log ${outcome}" data-log-id="${escapeHTML(log.id)}">
+            <span class="replay-log-icon">${log.trainer ? escapeHTML(log.trainer.icon) : '🌿'}</span>
+            <div class="replay-log-info">
+                <span class="replay-log-title">${escapeHTML(getBattleLogTitle(log))}</span>
+                <span class="replay-log-details">Round ${escapeHTML(log.round)} · ${playerNames} · ${log.events.length} events · ${startedAt}</span>
+            </div>
+            <span class="replay-log-outcome">${BATTLE_LOG_OUTCOME_NAMES[outcome]}</span>
+            <div class="replay-log-actions">
+                <button class="btn btn-primary" data-action="view" type="button">▶ View</button>
+                <button class="btn btn-secondary" data-action="export" type="button">Export</button>
+                <button class="btn btn-danger" data-action="delete" type="button">Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for the replay list when no battles have been recorded.
+ * @returns {string} HTML string for empty replay list message
+ */
+function createEmptyReplayListTemplate() {
+    return `
+        <div class="replay-empty">
+            <span class="replay-empty-icon">📼</span>
+            <p class="replay-empty-text">No battles recorded yet! Every battle you fight is saved here.</p>
+            <a href="index.html" class="btn btn-primary">Go to Battle</a>
+        </div>
+    `;
+}
+
+// ==========================================
+// Pokedex Page Templates
+// ==========================================
+
+/**
+ * Formats a Pokemon ID as a Pokedex number.
+ * @param {number} id - Pokemon ID
+ * @returns {string} Pokedex number (e.g. "#025")
+ */
+function formatDexNumber(id) {
+    return `#${String(id).padStart(3, '0')}`;
+}
+
+/**
+ * Creates HTML for a species in the Pokedex grid.
+ * @param {Object} entry - Pokedex entry (see pokedex-tracker.js)
+ * @param {boolean} isSelected - Whether the entry's details are open
+ * @returns {string} HTML string for the grid entry
+ */
+function createPokedexEntryTemplate(entry, isSelected) {
+    const ownedIcon = entry.owned ? '<span class="pokedex-owned" title="Owned">●</span>' : '';
+    
+    return `
+        <button class="pokedex-entry ${entry.owned ? 'owned' : ''} ${isSelected ? 'selected' : ''}" data-id="${entry.id}" type="button">
+            ${ownedIcon}
+            ${createSpriteHTML(entry, 'pokedex-sprite')}
+            <span class="pokedex-number">${formatDexNumber(entry.id)}</span>
+            <span class="pokedex-name">${entry.name}</span>
+        </button>
+    `;
+}
+
+/**
+ * Creates HTML for the details of a species in the Pokedex.
+ * @param {Object} entry - Pokedex entry (see pokedex-tracker.js)
+ * @returns {string} HTML string for the details panel
+ */
+function createPokedexDetailTemplate(entry) {
+    const tier = getStrengthTier(entry.strength || 50);
+    const generation = getGeneration(entry.id);
+    const baseStats = entry.baseStats || {};
+    const stats = [
+        { label: 'HP', value: baseStats.hp },
+        { label: 'ATK', value: baseStats.attack },
+        { label: 'DEF', value: baseStats.defense },
+        { label: 'SP.A', value: baseStats.specialAttack },
+        { label: 'SP.D', value: baseStats.specialDefense },
+        { label: 'SPD', value: baseStats.speed }
+    ].filter(stat => stat.value !== undefined);
+    
+    const ownedText = entry.owned
+        ? `Owned since ${new Date(entry.firstOwnedAt).toLocaleDateString()}`
+        : 'Not owned yet';
+    
+    return `
+        <div class="pokedex-detail-sprite">
+            ${createSpriteHTML(entry, 'pokedex-detail-img', false, '')}
+        </div>
+        <div class="pokedex-detail-info">
+            <div class="pokedex-detail-name">
+                <span class="pokedex-number">${formatDexNumber(entry.id)}</span>
+                <h3>${entry.name}</h3>
+            </div>
+            <div class="pokemon-types">${createTypeBadges(entry.types)}</div>
+            <div class="pokedex-detail-facts">
+                <span class="stat-label">Strength <span class="strength-badge ${tier.class}">${tier.name}</span></span>
+                <span class="stat-label">${generation ? `Gen ${generation.id} · ${generation.region}` : 'Special form'}</span>
+            </div>
+            ${stats.length ? `
+                <div class="pokedex-base-stats">
+                    ${stats.map(stat => `
+                        <div class="pokedex-base-stat">
+                            <span class="stat-label">${stat.label}</span>
+                            <span class="pokedex-base-stat-value">${stat.value}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <p class="pokedex-detail-record">
+                Seen ${entry.timesSeen} ${entry.timesSeen === 1 ? 'time' : 'times'}, first on ${new Date(entry.firstSeenAt).toLocaleDateString()} · ${ownedText}
+            </p>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for the Pokedex grid when no species match.
+ * @param {boolean} hasEntries - Whether any species have been seen at all
+ * @returns {string} HTML string for the empty grid message
+ */
+function createEmptyPokedexTemplate(hasEntries) {
+    if (hasEntries) {
+        return `
+            <div class="pokedex-empty">
+                <span class="pokedex-empty-icon">🔍</span>
+                <p class="pokedex-empty-text">No Pokemon you've seen match these filters.</p>
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="pokedex-empty">
+            <span class="pokedex-empty-icon">📕</span>
+            <p class="pokedex-empty-text">No Pokemon seen yet! Every Pokemon you meet or add to your team is recorded here.</p>
+            <a href="index.html" class="btn btn-primary">Go to Battle</a>
+        </div>
+    `;
+}
+
+// ==========================================
+// Shop Page Templates
+// ==========================================
+
+/**
+ * Creates HTML for an item for sale in the shop.
+ * @param {string} itemId - Item ID (see getShopItem)
+ * @param {number} owned - How many are already in the bag
+ * @param {boolean} affordable - Whether the player has enough coins
+ * @returns {string} HTML string
+ */
+function createShopItemTemplate(itemId, owned, affordable) {
+    const item = getShopItem(itemId);
+    
+    return `
+        <div class="shop-item" data-item="${itemId}">
+            <span class="shop-item-icon">${item.icon}</span>
+            <span class="shop-item-name">${item.name}</span>
+            <span class="shop-item-description">${item.description}</span>
+            <span class="shop-item-owned">In bag: ${owned}</span>
+            <button class="btn btn-primary btn-small btn-buy" ${affordable ? '' : 'disabled'}>
+                Buy <span class="cost">${item.price}</span>
+            </button>
+        </div>
+    `;
+}
+
+// ==========================================
+// Box Page Templates
+// ==========================================
+
+/**
+ * Creates HTML for the sprite, name, types, strength and HP of a Pokemon on the Box page.
+ * @param {Object} pokemon - Pokemon data
+ * @returns {string} HTML string
+ */
+function createBoxPokemonSummary(pokemon) {
+    const hpPercent = (pokemon.hp / pokemon.maxHp) * 100;
+    const tier = getStrengthTier(pokemon.strength || 50);
+    
+    return `
+        ${createSpriteHTML(pokemon, 'box-sprite', pokemon.hp <= 0)}
+        <span class="box-pokemon-name">${pokemon.name} ${createShinyBadge(pokemon)}</span>
+        <span class="box-pokemon-facts">
+            ${createLevelBadge(pokemon)}
+            <span class="strength-badge ${tier.class}" title="Strength tier">${tier.name}</span>
+        </span>
+        <div class="pokemon-types">${createTypeBadges(pokemon.types)}</div>
+        <div class="box-hp">
+            <div class="team-health-bar">
+                <div class="team-health-fill ${getHealthBarClass(hpPercent)}" style="width: ${hpPercent}%"></div>
+            </div>
+            <span class="box-hp-text">${pokemon.hp} / ${pokemon.maxHp}</span>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for a party Pokemon on the Box page.
+ * @param {Object} pokemon - Pokemon data
+ * @param {number} index - Index in the party
+ * @param {boolean} canDeposit - Whether it can be sent to the open box
+ * @returns {string} HTML string
+ */
+function createPartySlotTemplate(pokemon, index, canDeposit) {
+    return `
+        <div class="box-slot ${pokemon.hp <= 0 ? 'fainted' : ''}" data-index="${index}">
+            ${createBoxPokemonSummary(pokemon)}
+            <button class="btn btn-secondary btn-small btn-deposit" ${canDeposit ? '' : 'disabled'}>Deposit</button>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for a stored Pokemon on the Box page, with controls to withdraw, move or release it.
+ * @param {Object} pokemon - Pokemon data
+ * @param {number} slot - Slot in its box
+ * @param {Object[]} boxes - All storage boxes
+ * @param {number} boxIndex - Index of the box it is in
+ * @param {boolean} canWithdraw - Whether the party has room for it
+ * @returns {string} HTML string
+ */
+function createBoxSlotTemplate(pokemon, slot, boxes, boxIndex, canWithdraw) {
+    const moveOptions = boxes
+        .map((box, index) => (index === boxIndex ? '' : `<option value="${index}">${box.name}</option>`))
+        .join('');
+    
+    return `
+        <div class="box-slot ${pokemon.hp <= 0 ? 'fainted' : ''}" data-slot="${slot}">
+            ${createBoxPokemonSummary(pokemon)}
+            <div class="box-slot-actions">
+                <button class="btn btn-primary btn-small btn-withdraw" ${canWithdraw ? '' : 'disabled'}>Withdraw</button>
+                <button class="btn btn-danger btn-small btn-release">Release</button>
+            </div>
+            <select class="form-input box-move-select" aria-label="Move to box">
+                <option value="">Move to...</option>
+                ${moveOptions}
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for a box with nothing to show.
+ * @param {boolean} hasPokemon - Whether the box holds Pokemon that the filters hide
+ * @returns {string} HTML string for the empty box message
+ */
+function createEmptyBoxTemplate(hasPokemon) {
+    return `
+        <div class="box-empty">
+            <p class="empty-text">${hasPokemon ? 'No Pokemon in this box match these filters.' : 'This box is empty. Deposit Pokemon from your party, or catch more in battle.'}</p>
+        </div>
+    `;
+}
+
+// ==========================================
+// Team Builder Page Templates
+// ==========================================
+
+/**
+ * Creates HTML for a species in the Team Builder search results.
+ * @param {Object} species - Species ID and name (see fetchSpeciesOfType)
+ * @param {boolean} isSelected - Whether it is being previewed
+ * @returns {string} HTML string for the result
+ */
+function createSpeciesResultTemplate(species, isSelected) {
+    return `
+        <button class="builder-result ${isSelected ? 'selected' : ''}" data-id="${species.id}" type="button">
+            <span class="pokedex-number">${formatDexNumber(species.id)}</span>
+            <span class="builder-result-name">${species.name}</span>
+        </button>
+    `;
+}
+
+/**
+ * Creates HTML for the Team Builder's search results when there are none.
+ * @param {string} message - Why there is nothing to show (plain text; it may quote the player's search)
+ * @returns {string} HTML string for the empty results message
+ */
+function createEmptyBuilderResultsTemplate(message) {
+    return `
+        <div class="builder-empty">
+            <p class="empty-text">${escapeHTML(message)}</p>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for how a Pokemon's types fare against every attacking type,
+ * and how it matches up against each Pokemon in the party.
+ * @param {Object} pokemon - Pokemon being previewed
+ * @param {Object[]} team - The player's party
+ * @returns {string} HTML string for the matchup panel
+ */
+function createMatchupTemplate(pokemon, team) {
+    const defense = Object.keys(TYPE_EFFECTIVENESS).map(type => ({
+        type,
+        multiplier: getAttackTypeEffectiveness(type, pokemon.types)
+    }));
+    const groups = [
+        { label: 'Weak to', entries: defense.filter(entry => entry.multiplier > 1) },
+        { label: 'Resists', entries: defense.filter(entry => entry.multiplier > 0 && entry.multiplier < 1) },
+        { label: 'Immune to', entries: defense.filter(entry => entry.multiplier === 0) }
+    ].filter(group => group.entries.length > 0);
+    
+    return `
+        <div class="builder-matchups">
+            ${groups.map(group => `
+                <div class="builder-matchup-row">
+                    <span class="builder-matchup-label">${group.label}</span>
+                    <div class="pokemon-types">
+                        ${group.entries.map(entry => `<span class="type-badge ${entry.type}">${entry.type}${entry.multiplier > 2 ? ' ×4' : ''}${entry.multiplier > 0 && entry.multiplier < 0.5 ? ' ×¼' : ''}</span>`).join('')}
+                    </div>
+                </div>
+            `).join('')}
+            ${team.length > 0 ? `
+                <div class="builder-matchup-row">
+                    <span class="builder-matchup-label">Against your party</span>
+                    <div class="builder-party-matchups">
+                        ${team.map(member => `
+                            <span class="builder-party-matchup">${member.name} ${getEffectivenessIndicator(pokemon, member) || '<span class="matchup-indicator" title="Even matchup">➖</span>'}</span>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for the Pokemon previewed in the Team Builder, laid out like a team card.
+ * @param {Object} pokemon - Pokemon being previewed
+ * @param {number} price - What it costs (see getSpeciesPrice)
+ * @param {boolean} affordable - Whether the player has enough coins
+ * @returns {string} HTML string
+ */
+function createBuilderPreviewTemplate(pokemon, price, affordable) {
+    const tier = getStrengthTier(pokemon.strength || 50);
+    const moves = getMoveset(pokemon);
+    
+    return `
+        <div class="team-pokemon-card builder-preview-card">
+            <div class="card-header">
+                <span class="pokemon-id">${formatDexNumber(pokemon.id)}</span>
+                <div class="pokemon-types">${createTypeBadges(pokemon.types)}</div>
+            </div>
+            
+            <div class="card-body">
+                ${createSpriteHTML(pokemon, 'team-sprite')}
+                <span class="team-pokemon-name">${pokemon.name} ${createShinyBadge(pokemon)} ${createLevelBadge(pokemon)}</span>
+                ${createAbilityBadge(pokemon)}
+                
+                <div class="stats-section">
+                    <div class="stat-mini">
+                        <span class="stat-mini-value">${pokemon.attack || '?'}</span>
+                        <span class="stat-mini-label">ATK</span>
+                    </div>
+                    <div class="stat-mini">
+                        <span class="stat-mini-value">${pokemon.maxHp}</span>
+                        <span class="stat-mini-label">HP</span>
+                    </div>
+                    <div class="stat-mini">
+                        <span class="stat-mini-value strength-badge ${tier.class}">${tier.name}</span>
+                        <span class="stat-mini-label">STR</span>
+                    </div>
+                </div>
+                
+                <div class="stat-details">
+                    ${createStatDetailsTemplate(pokemon)}
+                </div>
+                
+                <ul class="builder-moves">
+                    ${moves.map(move => `<li><span class="type-badge ${move.type}">${move.type}</span> ${move.name}${move.power ? ` <span class="builder-move-power">${move.power}</span>` : ''}</li>`).join('')}
+                </ul>
+            </div>
+            
+            <div class="card-footer">
+                <button class="btn btn-primary btn-buy-pokemon" ${affordable ? '' : 'disabled'}>
+                    Buy <span class="cost">${price}</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// ==========================================
+// Profile Page Templates
+// ==========================================
+
+/**
+ * Creates HTML for a transaction in the coin history.
+ * @param {Object} entry - Coin ledger entry (see changeCoins)
+ * @returns {string} HTML string
+ */
+function createCoinLedgerEntryTemplate(entry) {
+    const earned = entry.amount >= 0;
+    const reason = COIN_REASON_NAMES[entry.reason] || 'Other';
+    
+    return `
+        <div class="coin-entry ${earned ? 'earned' : 'spent'}">
+            <span class="coin-entry-date">${new Date(entry.timestamp).toLocaleString()}</span>
+            <span class="coin-entry-reason">${reason}${entry.note ? ` <span class="coin-entry-note">· ${escapeHTML(entry.note)}</span>` : ''}</span>
+            <span class="coin-entry-amount">${earned ? '+' : '−'}${formatNumber(Math.abs(entry.amount))}</span>
+            <span class="coin-entry-balance">🪙 ${formatNumber(entry.balance)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Creates HTML for a coin history with nothing to show.
+ * @param {boolean} hasEntries - Whether there are transactions that the filter hides
+ * @returns {string} HTML string for the empty history message
+ */
+function createEmptyCoinLedgerTemplate(hasEntries) {
+    return `
+        <p class="coin-history-empty">${hasEntries ? 'No transactions match this filter.' : 'No coins earned or spent yet. Win battles to earn some!'}</p>
+    `;
+}
+
 // ==========================================
 // Shared Templates
 // ==========================================
@@ -369,15 +1269,56 @@ function createAvatarGridTemplate(avatarOptions, selectedAvatar) {
 // ==========================================
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        escapeHTML,
         getEffectivenessIndicator,
         createTypeBadges,
+        createStatusBadge,
+        createAbilityBadge,
+        createHeldItemBadge,
+        createStatStageBadges,
+        createLevelBadge,
+        createExperienceBarTemplate,
+        createEvolutionHintTemplate,
+        createShinyBadge,
+        getSpriteUrl,
         createSpriteHTML,
+        createStatDetailsTemplate,
         getHealthBarClass,
         createPokemonCardTemplate,
         createBattlePokemonCardTemplate,
+        createTrainerCardTemplate,
+        createBattleActionsTemplate,
+        createBattleBagTemplate,
+        createTierBadges,
+        createThreatPreviewTemplate,
+        createEncounterFiltersTemplate,
+        createRetryButtonTemplate,
+        createMoveButtonsTemplate,
+        createAutoMoveButtonTemplate,
         createLoadingCardTemplate,
+        createHeldItemSelectTemplate,
         createTeamCardTemplate,
+        createBagItemTemplate,
+        createEmptyBagTemplate,
         createEmptyTeamTemplate,
+        createCardErrorTemplate,
+        createReplayLogTemplate,
+        createEmptyReplayListTemplate,
+        formatDexNumber,
+        createPokedexEntryTemplate,
+        createPokedexDetailTemplate,
+        createEmptyPokedexTemplate,
+        createShopItemTemplate,
+        createBoxPokemonSummary,
+        createPartySlotTemplate,
+        createBoxSlotTemplate,
+        createEmptyBoxTemplate,
+        createSpeciesResultTemplate,
+        createEmptyBuilderResultsTemplate,
+        createMatchupTemplate,
+        createBuilderPreviewTemplate,
+        createCoinLedgerEntryTemplate,
+        createEmptyCoinLedgerTemplate,
         createUserBadgeTemplate,
         createAvatarGridTemplate
     };
@@ -0,0 +1,192 @@
+/**
+ * NPC Trainers
+ *
+ * Creates encounters for the battle page: either a lone wild Pokemon or a
+ * named trainer with a team of 1-6 Pokemon that switch in as each one faints.
+ * An encounter is { type, trainer, team, activeIndex } (see ENCOUNTER_TYPES).
+ */
+
+// ==========================================
+// Dependencies
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    // Browser pages load these as globals via <script> tags
+    Object.assign(globalThis, require('./shared.js'), require('./rng.js'), require('./leveling.js'), require('./api.js'), require('./encounter-tables.js'));
+}
+
+// ==========================================
+// Constants
+// ==========================================
+
+/** Trainer classes, each with an icon and a pool of names */
+const TRAINER_CLASSES = [
+    { title: 'Youngster', icon: '🧢', names: ['Joey', 'Ben', 'Calvin', 'Timmy', 'Allen'] },
+    { title: 'Lass', icon: '🎀', names: ['Haley', 'Dana', 'Robin', 'Ali', 'Crissy'] },
+    { title: 'Bug Catcher', icon: '🦗', names: ['Rick', 'Doug', 'Wade', 'Greg', 'Sammy'] },
+    { title: 'Hiker', icon: '🥾', names: ['Marcos', 'Franklin', 'Nob', 'Wayne', 'Alan'] },
+    { title: 'Swimmer', icon: '🏊', names: ['Luis', 'Diana', 'Parker', 'Alice', 'Kirk'] },
+    { title: 'Psychic', icon: '🔮', names: ['Johan', 'Tyron', 'Cameron', 'Preston', 'Jaclyn'] },
+    { title: 'Ace Trainer', icon: '🎖️', names: ['Jake', 'Lola', 'Gwen', 'Ryan', 'Quinn'] },
+    { title: 'Veteran', icon: '🎩', names: ['Oscar', 'Grace', 'Maxwell', 'Denise', 'Hugo'] }
+];
+
+/** Lines trainers say when they challenge the player */
+const TRAINER_QUOTES = [
+    'My Pokemon and I have been training all day!',
+    'You look tough. Let\'s see what you\'ve got!',
+    'I won\'t go easy on you!',
+    'Our eyes met, so we have to battle!',
+    'I\'ve been waiting for a challenger like you.',
+    'Don\'t cry when you lose!'
+];
+
+/** Largest team a trainer can have */
+const MAX_TRAINER_TEAM_SIZE = 6;
+
+/** Every this many rounds is always a trainer battle */
+const TRAINER_ROUND_INTERVAL = 5;
+
+/** Chance of meeting a trainer in any other round (from round 2 on) */
+const TRAINER_ENCOUNTER_CHANCE = 0.25;
+
+/** Rounds per extra Pokemon a trainer's team can have */
+const ROUNDS_PER_TRAINER_POKEMON = 3;
+
+// ==========================================
+// Trainer Generation
+// ==========================================
+
+/**
+ * Decides whether a round's encounter is a trainer battle.
+ * @param {number} round - Battle round
+ * @returns {boolean} True for a trainer battle
+ */
+function isTrainerRound(round) {
+    if (round % TRAINER_ROUND_INTERVAL === 0) return true;
+    return round > 1 && random() < TRAINER_ENCOUNTER_CHANCE;
+}
+
+/**
+ * Gets the largest team a trainer can have in a round.
+ * @param {number} round - Battle round
+ * @returns {number} Maximum team size (1-6)
+ */
+function getMaxTrainerTeamSize(round) {
+    return Math.min(MAX_TRAINER_TEAM_SIZE, 1 + Math.floor(round / ROUNDS_PER_TRAINER_POKEMON));
+}
+
+/**
+ * Creates a random trainer for a round.
+ * @param {number} round - Battle round
+ * @returns {Object} Trainer with title, name, icon, quote and teamSize
+ */
+function generateTrainer(round) {
+    const trainerClass = randomChoice(TRAINER_CLASSES);
+    const maxTeamSize = getMaxTrainerTeamSize(round);
+    
+    return {
+        title: trainerClass.title,
+        name: randomChoice(trainerClass.names),
+        icon: trainerClass.icon,
+        quote: randomChoice(TRAINER_QUOTES),
+        teamSize: randomInt(Math.ceil(maxTeamSize / 2), maxTeamSize)
+    };
+}
+
+/**
+ * Gets a trainer's full display name (e.g. "Youngster Joey").
+ * @param {Object} trainer - Trainer object
+ * @returns {string} Display name
+ */
+function getTrainerDisplayName(trainer) {
+    return `${trainer.title} ${trainer.name}`;
+}
+
+// ==========================================
+// Encounters
+// ==========================================
+
+/**
+ * Fetches the encounter for a battle round: a wild Pokemon or a trainer and their team.
+ * Enemies come from the round's encounter table and get its stat boost, and are marked as seen in the Pokedex.
+ * @param {number} round - Battle round
+ * @returns {Promise<Object>} Encounter object
+ */
+async function fetchEncounter(round) {
+    const level = getEnemyLevelForRound(round);
+    const { tiers } = getEncounterTable(round);
+    
+    if (!isTrainerRound(round)) {
+        const pokemon = await fetchRandomPokemon(level, tiers);
+        return { type: ENCOUNTER_TYPES.WILD, trainer: null, team: [applyRoundScaling(pokemon, round)], activeIndex: 0 };
+    }
+    
+    const trainer = generateTrainer(round);
+    const team = await fetchRandomTeam(trainer.teamSize, level, tiers);
+    team.forEach(markPokemonSeen);
+    
+    return {
+        type: ENCOUNTER_TYPES.TRAINER,
+        trainer,
+        team: team.map(pokemon => applyRoundScaling(pokemon, round)),
+        activeIndex: 0
+    };
+}
+
+/**
+ * Fills in anything an older save is missing on each Pokemon in an encounter.
+ * @param {Object} encounter - Saved encounter
+ * @returns {Promise<Object>} Encounter with complete Pokemon data
+ */
+async function backfillEncounter(encounter) {
+    const team = await Promise.all(encounter.team.map(pokemon => backfillPokemon(pokemon)));
+    return { ...encounter, team };
+}
+
+/**
+ * Gets the enemy Pokemon currently in battle.
+ * @param {Object} encounter - Encounter object
+ * @returns {Object} Active enemy Pokemon
+ */
+function getActiveEnemy(encounter) {
+    return encounter.team[encounter.activeIndex];
+}
+
+/**
+ * Gets the slots of enemy Pokemon that haven't fainted yet.
+ * @param {Object} encounter - Encounter object
+ * @returns {number[]} Team slots still able to battle
+ */
+function getRemainingEnemySlots(encounter) {
+    return encounter.team
+        .map((pokemon, slot) => slot)
+        .filter(slot => encounter.team[slot].hp > 0);
+}
+
+/**
+ * Checks whether every enemy Pokemon in an encounter has fainted.
+ * @param {Object} encounter - Encounter object
+ * @returns {boolean} True if the encounter is over
+ */
+function isEncounterDefeated(encounter) {
+    return getRemainingEnemySlots(encounter).length === 0;
+}
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRAINER_CLASSES,
+        MAX_TRAINER_TEAM_SIZE,
+        isTrainerRound,
+        getMaxTrainerTeamSize,
+        generateTrainer,
+        getTrainerDisplayName,
+        fetchEncounter,
+        backfillEncounter,
+        getActiveEnemy,
+        getRemainingEnemySlots,
+        isEncounterDefeated
+    };
+}
@@ -0,0 +1,238 @@
+/**
+ * Local Dataset Builder
+ *
+ * Downloads a set of Pokemon from the live PokeAPI, along with their moves,
+ * species, evolution chains and sprites, and writes them to
+ * data/pokemon-dataset.js for the local data source (see js/data-source.js).
+ * Sprites are inlined as data URIs so the dataset works with no network.
+ *
+ * Usage (Node 18 or later):
+ *     node scripts/build-local-dataset.js [id ...]
+ * With no IDs, the Pokemon listed in DEFAULT_POKEMON_IDS are downloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// Constants
+// ==========================================
+
+const POKEAPI_BASE_URL = 'https://pokeapi.co/api/v2';
+
+/** Where the dataset is written */
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'pokemon-dataset.js');
+
+/** Pokemon included by default: a few full evolution lines with a spread of types */
+const DEFAULT_POKEMON_IDS = [
+    1, 2, 3, 4, 5, 6, 7, 8, 9, 16, 17, 18, 25, 26,
+    63, 64, 65, 74, 75, 76, 92, 93, 94, 129, 130
+];
+
+/** Learnable moves kept per Pokemon (the game samples from these) */
+const MOVES_PER_POKEMON = 16;
+
+/** Pokemon fields kept from each API response */
+const POKEMON_FIELDS = ['id', 'name', 'base_experience', 'types', 'stats', 'species'];
+
+// ==========================================
+// Downloading
+// ==========================================
+
+/**
+ * Fetches JSON from the PokeAPI.
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Request failed (${response.status}): ${url}`);
+    }
+    return response.json();
+}
+
+/**
+ * Downloads an image and converts it to a data URI.
+ * @param {string|null} url - Image URL
+ * @returns {Promise<string|null>} Data URI, or null if there is no image
+ */
+async function fetchDataUri(url) {
+    if (!url) return null;
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Sprite download failed (${response.status}): ${url}`);
+    }
+    
+    const type = response.headers.get('content-type') || 'image/png';
+    const data = Buffer.from(await response.arrayBuffer()).toString('base64');
+    return `data:${type};base64,${data}`;
+}
+
+/**
+ * Picks the moves to keep for a Pokemon, preferring moves learned by level-up.
+ * @param {Object[]} moves - Move entries from the API response
+ * @returns {Object[]} Up to MOVES_PER_POKEMON move entries (names only)
+ */
+function pickMoves(moves) {
+    const learnedByLevel = entry => entry.version_group_details
+        .some(detail => detail.move_learn_method.name === 'level-up');
+    
+    return [
+        ...moves.filter(learnedByLevel),
+        ...moves.filter(entry => !learnedByLevel(entry))
+    ]
+        .slice(0, MOVES_PER_POKEMON)
+        .map(entry => ({ move: { name: entry.move.name } }));
+}
+
+/**
+ * Downloads a Pokemon and trims it to the fields the game uses.
+ * @param {number} id - Pokemon ID
+ * @returns {Promise<Object>} Trimmed Pokemon data
+ */
+async function buildPokemon(id) {
+    const data = await fetchJson(`${POKEAPI_BASE_URL}/pokemon/${id}`);
+    const pokemon = {};
+    POKEMON_FIELDS.forEach(field => {
+        pokemon[field] = data[field];
+    });
+    
+    pokemon.abilities = data.abilities.map(entry => ({
+        ability: { name: entry.ability.name },
+        is_hidden: entry.is_hidden
+    }));
+    
+    // Only the classic sprites are bundled; other sprite styles fall back to them
+    pokemon.sprites = {
+        front_default: await fetchDataUri(data.sprites.front_default),
+        back_default: await fetchDataUri(data.sprites.back_default),
+        front_shiny: await fetchDataUri(data.sprites.front_shiny),
+        back_shiny: await fetchDataUri(data.sprites.back_shiny)
+    };
+    pokemon.moves = pickMoves(data.moves);
+    
+    return pokemon;
+}
+
+/**
+ * Downloads a species and trims it to the fields the game uses.
+ * @param {string} url - Species URL
+ * @returns {Promise<Object>} Trimmed species data
+ */
+async function buildSpecies(url) {
+    const data = await fetchJson(url);
+    return {
+        id: data.id,
+        name: data.name,
+        capture_rate: data.capture_rate,
+        is_legendary: data.is_legendary,
+        is_mythical: data.is_mythical,
+        evolution_chain: { url: data.evolution_chain.url }
+    };
+}
+
+/**
+ * Downloads a move and trims it to the fields the game uses.
+ * @param {string} name - Move name
+ * @returns {Promise<Object>} Trimmed move data
+ */
+async function buildMove(name) {
+    const data = await fetchJson(`${POKEAPI_BASE_URL}/move/${name}`);
+    return {
+        id: data.id,
+        name: data.name,
+        power: data.power,
+        accuracy: data.accuracy,
+        type: { name: data.type.name },
+        damage_class: { name: data.damage_class.name },
+        meta: data.meta && {
+            ailment: { name: data.meta.ailment.name },
+            ailment_chance: data.meta.ailment_chance
+        }
+    };
+}
+
+// ==========================================
+// Building
+// ==========================================
+
+/**
+ * Downloads everything the local data source needs for a set of Pokemon.
+ * @param {number[]} ids - Pokemon IDs to include
+ * @returns {Promise<Object>} The dataset
+ */
+async function buildDataset(ids) {
+    const pokemon = [];
+    const species = [];
+    const chainUrls = new Set();
+    const moveNames = new Set();
+    
+    for (const id of ids) {
+        console.log(`Downloading Pokemon #${id}...`);
+        const entry = await buildPokemon(id);
+        const speciesEntry = await buildSpecies(entry.species.url);
+        
+        pokemon.push(entry);
+        species.push(speciesEntry);
+        chainUrls.add(speciesEntry.evolution_chain.url);
+        entry.moves.forEach(({ move }) => moveNames.add(move.name));
+    }
+    
+    console.log(`Downloading ${moveNames.size} moves...`);
+    const moves = [];
+    for (const name of moveNames) {
+        moves.push(await buildMove(name));
+    }
+    
+    console.log(`Downloading ${chainUrls.size} evolution chains...`);
+    const evolutionChains = [];
+    for (const url of chainUrls) {
+        const data = await fetchJson(url);
+        evolutionChains.push({ id: data.id, url, chain: data.chain });
+    }
+    
+    return { source: POKEAPI_BASE_URL, pokemon, moves, species, evolutionChains };
+}
+
+/**
+ * Writes the dataset as a script that defines LOCAL_POKEMON_DATASET.
+ * @param {Object} dataset - Dataset to write
+ */
+function writeDataset(dataset) {
+    const contents = `/**
+ * Local Pokemon Dataset
+ *
+ * Generated by scripts/build-local-dataset.js from the PokeAPI on ${new Date().toISOString().slice(0, 10)}.
+ * Used by the local data source (see js/data-source.js) so the game runs with
+ * no network at all. Rebuild it with: node scripts/build-local-dataset.js
+ */
+const LOCAL_POKEMON_DATASET = ${JSON.stringify(dataset, null, 4)};
+
+// ==========================================
+// Export for module usage (if needed later)
+// ==========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCAL_POKEMON_DATASET };
+}
+`;
+
+    fs.writeFileSync(OUTPUT_PATH, contents);
+}
+
+// ==========================================
+// Run
+// ==========================================
+
+const requestedIds = process.argv.slice(2).map(arg => parseInt(arg, 10)).filter(id => id > 0);
+
+buildDataset(requestedIds.length > 0 ? requestedIds : DEFAULT_POKEMON_IDS)
+    .then(dataset => {
+        writeDataset(dataset);
+        console.log(`Wrote ${dataset.pokemon.length} Pokemon to ${OUTPUT_PATH}`);
+    })
+    .catch(error => {
+        console.error('Failed to build the local dataset:', error);
+        process.exitCode = 1;
+    });